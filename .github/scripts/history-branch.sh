@@ -0,0 +1,73 @@
+#!/usr/bin/env bash
+# Keeps the run history (see lib/history.js) on the run-history branch, which
+# outlives caches and artifacts:
+#   restore <runner>   copy <runner>.jsonl from the branch into ./history
+#   save <runner>      append this run's record, the last line of
+#                      ./history/<runner>.jsonl, to the branch and push it
+# Concurrent runs each append their own line: a rejected push is retried on
+# top of the branch as it is then.
+set -euo pipefail
+
+BRANCH=run-history
+action=$1
+runner=$2
+file="$runner.jsonl"
+mkdir -p history
+
+branch_exists() {
+  git ls-remote --exit-code --heads origin "$BRANCH" > /dev/null
+}
+
+case "$action" in
+  restore)
+    if branch_exists && git fetch --quiet --depth=1 origin "$BRANCH" && git cat-file -e "FETCH_HEAD:$file" 2> /dev/null; then
+      git show "FETCH_HEAD:$file" > "history/$file"
+      echo "Restored $(wc -l < "history/$file") run(s) from $BRANCH"
+    else
+      echo "No $file on $BRANCH yet"
+    fi
+    ;;
+
+  save)
+    if [ ! -s "history/$file" ]; then
+      echo "No $runner run to save"
+      exit 0
+    fi
+    record=$(tail -n 1 "history/$file")
+    run_id=$(node -p 'JSON.parse(process.argv[1]).runId' "$record")
+    worktree=$(mktemp -d)
+    trap 'git worktree remove --force "$worktree" 2> /dev/null || true' EXIT
+    for attempt in 1 2 3 4 5; do
+      if branch_exists; then
+        git fetch --quiet --depth=1 origin "$BRANCH"
+        git worktree add --quiet --detach "$worktree" FETCH_HEAD
+      else
+        git worktree add --quiet --detach "$worktree"
+        git -C "$worktree" checkout --quiet --orphan "$BRANCH-$attempt"
+        git -C "$worktree" rm -rfq --ignore-unmatch .
+      fi
+      # A runner that crashed before appending left an older run last
+      if [ -f "$worktree/$file" ] && grep -qF "\"runId\":\"$run_id\"" "$worktree/$file"; then
+        echo "Run $run_id is already on $BRANCH"
+        exit 0
+      fi
+      printf '%s\n' "$record" >> "$worktree/$file"
+      git -C "$worktree" add "$file"
+      git -C "$worktree" -c user.name='github-actions[bot]' -c user.email='41898282+github-actions[bot]@users.noreply.github.com' \
+        commit --quiet -m "Record $runner run $run_id"
+      if git -C "$worktree" push --quiet origin "HEAD:refs/heads/$BRANCH"; then
+        echo "Saved run $run_id to $BRANCH"
+        exit 0
+      fi
+      git worktree remove --force "$worktree"
+      sleep $((attempt * 5))
+    done
+    echo "Could not push run $run_id to $BRANCH"
+    exit 1
+    ;;
+
+  *)
+    echo "Usage: $0 restore|save <runner>" >&2
+    exit 2
+    ;;
+esac
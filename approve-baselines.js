@@ -0,0 +1,49 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { APPROVE_USAGE, parseApproveArgs } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/exit-codes');
+const { ACTUAL_DIR, BASELINE_DIR, listSnapshots } = require('./lib/visual');
+
+// Promote the screenshots of the last --visual run to baselines, after a
+// reviewer has checked the diffs in ./visual-diffs
+(async () => {
+  let args;
+  try {
+    args = parseApproveArgs();
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+  if (args.help) {
+    console.log(APPROVE_USAGE);
+    return;
+  }
+
+  const matches = args.match.map(text => text.toLowerCase());
+  const snapshots = (await listSnapshots()).filter(snapshot => {
+    const normalized = snapshot.split(path.sep).join('/').toLowerCase();
+    if (args.runner && !normalized.startsWith(`${args.runner}/`)) return false;
+    return matches.length === 0 || matches.some(text => normalized.includes(text));
+  });
+
+  if (snapshots.length === 0) {
+    console.log(`\n⚠️ No snapshots to approve in ${ACTUAL_DIR}. Run a test with --visual first.\n`);
+    return;
+  }
+
+  console.log(`\n🖼️ ${args.list ? 'Would approve' : 'Approving'} ${snapshots.length} baseline(s):\n`);
+  for (const snapshot of snapshots) {
+    const target = path.join(BASELINE_DIR, snapshot);
+    const existed = await fs.access(target).then(() => true, () => false);
+    if (!args.list) {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(path.join(ACTUAL_DIR, snapshot), target);
+    }
+    console.log(`  ${existed ? '♻️  updated' : '🆕 new    '} ${target}`);
+  }
+  console.log(args.list ? '' : '\n✅ Baselines approved. Commit ./baselines to share them.\n');
+})().catch(error => {
+  console.error(`\n💥 Approving baselines failed: ${error.stack || error.message}\n`);
+  process.exitCode = EXIT_CODES.CRASHED;
+});
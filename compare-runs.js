@@ -0,0 +1,123 @@
+const { COMPARE_USAGE, CliError, parseCompareArgs } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/exit-codes');
+const { DEFAULT_HISTORY_DIR, compareRuns, describeSelection, historyPath, passRateTrend, readHistory, sameSelection } = require('./lib/history');
+const { STATUS_ICONS } = require('./lib/summary');
+
+function describeRun(run) {
+  const failing = run.totals.fail + run.totals.error;
+  return `${run.runId} (${run.startedAt}, ${run.totals.pass}/${run.totals.total} passed${failing > 0 ? `, ${failing} failing` : ''})`;
+}
+
+// The message an item failed with, or its status when it did not fail
+function describeItem(item) {
+  return item.status === 'pass' || item.status === 'skipped' ? item.status : `${item.status}: ${item.errorMessage || item.message}`;
+}
+
+function printEntries(title, entries, line) {
+  if (entries.length === 0) return;
+  console.log(`\n${title} (${entries.length}):`);
+  for (const entry of entries) {
+    console.log(line(entry));
+  }
+}
+
+// Compare the last run of one runner with `base` (a run id) or the last
+// run before it of the same selection; resolves to the number of new failures
+async function compareRunner(runner, { dir, base, runs: window }) {
+  const { runs: all, skipped } = await readHistory(runner, { dir });
+  console.log(`\n${'═'.repeat(80)}`);
+  console.log(`📚 ${runner}: ${all.length} run(s) in ${historyPath(runner, dir)}${skipped > 0 ? ` (${skipped} unreadable line(s) skipped)` : ''}`);
+  console.log(`${'═'.repeat(80)}`);
+  if (all.length === 0) {
+    console.log('\nℹ️ Nothing to compare yet: the history needs at least two runs\n');
+    return 0;
+  }
+
+  // Only runs of the latest run's suite file and filters compare with it
+  const latest = all[all.length - 1];
+  const runs = all.filter(run => sameSelection(run, latest));
+  console.log(`🎯 Selection: ${describeSelection(latest)} (${runs.length} run(s))`);
+  if (base) {
+    const requested = all.find(run => run.runId === base);
+    if (!requested) {
+      throw new CliError(`Unknown run "${base}" in the ${runner} history`);
+    }
+    if (!sameSelection(requested, latest)) {
+      throw new CliError(`Run "${base}" ran ${describeSelection(requested)}, not ${describeSelection(latest)} like the latest run, so their items do not compare`);
+    }
+  } else if (runs.length < 2) {
+    console.log('\nℹ️ Nothing to compare yet: no earlier run of this selection\n');
+    return 0;
+  }
+  const previous = base ? runs.find(run => run.runId === base) : runs[runs.length - 2];
+  console.log(`\n🔍 Latest:   ${describeRun(latest)}`);
+  console.log(`   Compared: ${describeRun(previous)}`);
+
+  const comparison = compareRuns(previous, latest);
+  printEntries('🆕 New failures', comparison.newFailures, ({ id, after }) => `  ${STATUS_ICONS[after.status]} ${id}: ${describeItem(after)}`);
+  printEntries('✅ Fixed', comparison.fixed, ({ id, before }) => `  ${STATUS_ICONS.pass} ${id} (was ${describeItem(before)})`);
+  printEntries('🔀 Changed error messages', comparison.changedMessages, ({ id, before, after }) => [
+    `  ${STATUS_ICONS[after.status]} ${id}`,
+    `     before: ${describeItem(before)}`,
+    `     after:  ${describeItem(after)}`
+  ].join('\n'));
+  const unchanged = [
+    comparison.stillFailing.length > 0 ? `♻️ ${comparison.stillFailing.length} still failing the same way` : null,
+    comparison.added.length > 0 ? `➕ ${comparison.added.length} new item(s)` : null,
+    comparison.removed.length > 0 ? `➖ ${comparison.removed.length} item(s) no longer run` : null
+  ].filter(Boolean);
+  if (unchanged.length > 0) {
+    console.log(`\n${unchanged.join(', ')}`);
+  }
+  if (comparison.newFailures.length + comparison.fixed.length + comparison.changedMessages.length === 0) {
+    console.log('\n🟰 No item changed outcome or error message');
+  }
+
+  // Least reliable items first; one icon per run, oldest on the left
+  const recent = runs.slice(-window);
+  const trend = passRateTrend(recent).sort((a, b) => (a.rate ?? 2) - (b.rate ?? 2) || a.id.localeCompare(b.id));
+  console.log(`\n📈 Pass rate over the last ${recent.length} run(s):`);
+  for (const entry of trend) {
+    const icons = entry.sequence.map(status => STATUS_ICONS[status] || '·').join('');
+    const rate = entry.rate === null ? ' n/a' : `${(entry.rate * 100).toFixed(0).padStart(3)}%`;
+    console.log(`  ${icons} ${rate}  ${entry.id}`);
+  }
+  console.log('');
+  return comparison.newFailures.length;
+}
+
+(async () => {
+  let args;
+  try {
+    args = parseCompareArgs();
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+  if (args.help) {
+    console.log(COMPARE_USAGE);
+    return;
+  }
+
+  const runners = args.runner ? [args.runner] : ['form', 'passport'];
+  let newFailures = 0;
+  try {
+    for (const runner of runners) {
+      newFailures += await compareRunner(runner, { dir: args.history || DEFAULT_HISTORY_DIR, base: args.base, runs: args.runs });
+    }
+  } catch (error) {
+    if (!(error instanceof CliError)) throw error;
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+
+  if (newFailures > 0) {
+    console.log(`🚨 ${newFailures} new failure(s) since the compared run\n`);
+    process.exitCode = EXIT_CODES.FAILED;
+  }
+})().catch(error => {
+  console.error(`\n💥 Comparing runs failed: ${error.stack || error.message}\n`);
+  process.exitCode = EXIT_CODES.CRASHED;
+});
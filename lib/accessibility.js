@@ -0,0 +1,99 @@
+const axe = require('axe-core');
+
+// axe-core audits of the pages the runners visit. axe is injected from the
+// local package, so audits work without any CDN access from the page.
+
+// Most to least severe, as reported by axe
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+const DEFAULT_ACCESSIBILITY = {
+  tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'], // rule sets to run
+  failOn: 'serious', // lowest impact that fails an item; null to only report
+  exclude: [] // selectors left out of every audit (third-party widgets)
+};
+
+// Targets kept per violation in the results file
+const MAX_TARGETS = 5;
+
+function emptyCounts() {
+  return Object.fromEntries(IMPACTS.map(impact => [impact, 0]));
+}
+
+// audit(page, name) resolves to
+// { page: name, url, violations: [{ id, impact, help, helpUrl, nodes, targets }],
+//   counts: { critical, serious, moderate, minor }, error }
+function createAccessibilityAudit(options = {}) {
+  const resolved = { ...DEFAULT_ACCESSIBILITY, ...options };
+
+  async function audit(page, name) {
+    const result = { page: name, url: page.url(), violations: [], counts: emptyCounts(), error: null };
+    try {
+      if (!(await page.evaluate(() => typeof window.axe !== 'undefined'))) {
+        await page.evaluate(axe.source);
+      }
+      const violations = await page.evaluate(async ({ tags, exclude }) => {
+        const context = exclude.length > 0 ? { exclude: exclude.map(selector => [selector]) } : document;
+        const report = await window.axe.run(context, {
+          runOnly: { type: 'tag', values: tags },
+          resultTypes: ['violations']
+        });
+        return report.violations.map(violation => ({
+          id: violation.id,
+          impact: violation.impact,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          targets: violation.nodes.map(node => node.target.join(' '))
+        }));
+      }, { tags: resolved.tags, exclude: resolved.exclude });
+
+      for (const violation of violations) {
+        result.violations.push({
+          ...violation,
+          nodes: violation.targets.length,
+          targets: violation.targets.slice(0, MAX_TARGETS)
+        });
+        if (violation.impact in result.counts) result.counts[violation.impact]++;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    return result;
+  }
+
+  // Why these audits should fail an item, or null
+  function check(audits) {
+    if (!resolved.failOn) return null;
+    const blocking = IMPACTS.slice(0, IMPACTS.indexOf(resolved.failOn) + 1);
+    const offending = [];
+    for (const entry of audits) {
+      for (const violation of entry.violations) {
+        if (blocking.includes(violation.impact)) offending.push(`${violation.id} (${violation.impact}) on ${entry.page}`);
+      }
+    }
+    if (offending.length === 0) return null;
+    return `${offending.length} accessibility violation(s) at or above "${resolved.failOn}": ${offending.slice(0, 3).join(', ')}${offending.length > 3 ? ', ...' : ''}`;
+  }
+
+  return { options: resolved, audit, check };
+}
+
+// Violations grouped by impact across audits, for summaries and reports,
+// e.g. "1 critical, 3 serious on 2 page(s)". Null when every page was clean.
+function summarizeAccessibility(audits) {
+  if (!audits || audits.length === 0) return null;
+  const counts = emptyCounts();
+  for (const entry of audits) {
+    for (const impact of IMPACTS) counts[impact] += entry.counts[impact];
+  }
+  const parts = IMPACTS.filter(impact => counts[impact] > 0).map(impact => `${counts[impact]} ${impact}`);
+  const failed = audits.filter(entry => entry.error).length;
+  if (failed > 0) parts.push(`${failed} audit(s) could not run`);
+  return parts.length > 0 ? `${parts.join(', ')} on ${audits.length} page(s)` : null;
+}
+
+module.exports = {
+  DEFAULT_ACCESSIBILITY,
+  IMPACTS,
+  createAccessibilityAudit,
+  summarizeAccessibility
+};
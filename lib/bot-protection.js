@@ -0,0 +1,70 @@
+// Raised when a page is a bot-protection challenge instead of the real app
+class BotProtectionError extends Error {
+  constructor(url, reason) {
+    super(`Blocked by bot protection at ${url}: ${reason}`);
+    this.name = 'BotProtectionError';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+// Cloudflare answers a challenged request with 403 or 503 and this header
+const BLOCKED_STATUSES = [403, 503];
+const MITIGATED_HEADER = 'cf-mitigated';
+
+const CHALLENGE_TITLES = [
+  'Just a moment',
+  'Attention Required!',
+  'Verify you are human',
+  'Checking your browser'
+];
+
+// Elements only a challenge page has. Cloudflare also injects
+// /cdn-cgi/challenge-platform/ scripts into ordinary pages, so the page
+// source as a whole says nothing.
+const CHALLENGE_SELECTORS = [
+  '#challenge-form',
+  '#challenge-stage',
+  '#cf-challenge-running',
+  '[id^="cf-chl-"]',
+  'form[action*="__cf_chl"]'
+];
+
+// The reason a response and the top-level document it rendered are a
+// challenge page, or null. `headers` as Playwright lowercases them.
+function challengeReason({ status = null, headers = {}, title = '', challengeElement = false }) {
+  if (BLOCKED_STATUSES.includes(status) && headers[MITIGATED_HEADER]) {
+    return `HTTP ${status} with ${MITIGATED_HEADER}: ${headers[MITIGATED_HEADER]}`;
+  }
+  const challengeTitle = CHALLENGE_TITLES.find(text => title.includes(text));
+  if (challengeTitle) {
+    return `challenge page detected (title "${title}")`;
+  }
+  return challengeElement ? 'challenge page detected (challenge form)' : null;
+}
+
+// Inspect the navigation response and the rendered page for signs of a
+// challenge page. Returns a short reason, or null when the page looks real.
+async function detectBotProtection(page, response) {
+  return challengeReason({
+    status: response ? response.status() : null,
+    headers: response ? response.headers() : {},
+    title: await page.title().catch(() => ''),
+    // page.locator() only looks at the top-level document, not iframes
+    challengeElement: await page.locator(CHALLENGE_SELECTORS.join(', ')).count().then(count => count > 0).catch(() => false)
+  });
+}
+
+async function assertNotBlocked(page, response) {
+  const reason = await detectBotProtection(page, response);
+  if (reason) {
+    throw new BotProtectionError(page.url(), reason);
+  }
+}
+
+module.exports = {
+  BotProtectionError,
+  assertNotBlocked,
+  challengeReason,
+  detectBotProtection
+};
@@ -0,0 +1,117 @@
+const { chromium, firefox, webkit } = require('playwright-extra');
+const stealth = require('puppeteer-extra-plugin-stealth')();
+
+// Browser engines a session can run in, next to its device. The stealth
+// plugin and the DevTools Protocol (network throttling) only exist in
+// Chromium; Firefox and WebKit launch without them and keep the init-script
+// stealth measures every engine runs.
+chromium.use(stealth);
+
+const ENGINES = { chromium, firefox, webkit };
+const ENGINE_NAMES = Object.keys(ENGINES);
+
+// The engine every run used before engines existed; artifact names and
+// result labels leave it out
+const DEFAULT_ENGINE = 'chromium';
+
+const CHROMIUM_ARGS = [
+  '--disable-blink-features=AutomationControlled',
+  '--disable-dev-shm-usage',
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-web-security',
+  '--disable-features=IsolateOrigins,site-per-process'
+];
+
+// Permissions a context may ask for per engine; asking for any other one
+// makes newContext() throw, so they are dropped instead. null = all.
+const GRANTABLE_PERMISSIONS = {
+  chromium: null,
+  firefox: ['geolocation', 'notifications'],
+  webkit: ['geolocation']
+};
+
+function supportsCdp(engine) {
+  return engine === 'chromium';
+}
+
+// Launch `engine` headless. `fakeMedia` answers camera requests with a fake
+// stream and no permission prompt (the passport's Scan page).
+async function launchBrowser(engine, { fakeMedia = false } = {}) {
+  if (engine === 'chromium') {
+    const mediaArgs = fakeMedia ? ['--use-fake-ui-for-media-stream', '--use-fake-device-for-media-stream'] : [];
+    return chromium.launch({ headless: true, args: [...CHROMIUM_ARGS, ...mediaArgs] });
+  }
+  if (engine === 'firefox') {
+    const firefoxUserPrefs = fakeMedia ? { 'media.navigator.streams.fake': true, 'media.navigator.permission.disabled': true } : {};
+    return firefox.launch({ headless: true, firefoxUserPrefs });
+  }
+  return ENGINES[engine].launch({ headless: true });
+}
+
+// Launch a browser for each of `engines`. An engine that does not launch
+// (e.g. not installed) lands in `failed` with the reason, so only its own
+// sessions error; when none launch, the first error is thrown. `crashed()`
+// tells whether a browser disconnected before closeAll() closed it.
+async function launchBrowsers(engines, options) {
+  const browsers = new Map();
+  const failed = new Map();
+  let firstError = null;
+  let closing = false;
+  let crashed = false;
+  for (const engine of engines) {
+    try {
+      const browser = await launchBrowser(engine, options);
+      browser.on('disconnected', () => {
+        crashed = crashed || !closing;
+      });
+      browsers.set(engine, browser);
+    } catch (error) {
+      firstError = firstError || error;
+      failed.set(engine, error.message.split('\n')[0]);
+    }
+  }
+  if (browsers.size === 0 && firstError) throw firstError;
+
+  return {
+    browsers,
+    failed,
+    crashed: () => crashed,
+    versions: () => [...browsers].map(([name, browser]) => ({ name, version: browser.isConnected() ? browser.version() : null })),
+    closeAll: async () => {
+      closing = true;
+      for (const browser of browsers.values()) {
+        await browser.close();
+      }
+    }
+  };
+}
+
+// Context options for a Playwright device descriptor on `engine`: Firefox
+// has no mobile emulation (isMobile), so phones and tablets keep their
+// viewport, user agent and touch there but not the mobile meta viewport
+function deviceOptions(engine, deviceConfig, permissions = []) {
+  const { defaultBrowserType, isMobile, ...options } = deviceConfig;
+  const grantable = GRANTABLE_PERMISSIONS[engine];
+  return {
+    ...options,
+    ...(engine === 'firefox' ? {} : { isMobile }),
+    permissions: grantable ? permissions.filter(permission => grantable.includes(permission)) : permissions
+  };
+}
+
+// 'phone', 'tablet' or 'desktop', from a Playwright device descriptor
+function deviceClass(deviceConfig) {
+  if (!deviceConfig.isMobile && !deviceConfig.hasTouch) return 'desktop';
+  const { width, height } = deviceConfig.viewport;
+  return Math.min(width, height) >= 600 ? 'tablet' : 'phone';
+}
+
+module.exports = {
+  DEFAULT_ENGINE,
+  ENGINE_NAMES,
+  deviceClass,
+  deviceOptions,
+  launchBrowsers,
+  supportsCdp
+};
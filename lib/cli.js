@@ -0,0 +1,423 @@
+const { parseArgs } = require('util');
+const { IMPACTS } = require('./accessibility');
+const { MAX_RETRIES } = require('./retries');
+
+// Raised for unknown flags or filter values that match nothing
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+// Flags shared by both runners. Filter flags may be repeated or hold a
+// comma-separated list, e.g. --device "Pixel 5,Galaxy S24".
+const COMMON_OPTIONS = {
+  config: { type: 'string' },
+  device: { type: 'string', multiple: true },
+  engine: { type: 'string', multiple: true },
+  network: { type: 'string', multiple: true },
+  locale: { type: 'string', multiple: true },
+  list: { type: 'boolean', default: false },
+  workers: { type: 'string', default: '1' },
+  'max-failures': { type: 'string' },
+  'max-errors': { type: 'string' },
+  'demo-pacing': { type: 'boolean', default: false },
+  visual: { type: 'boolean', default: false },
+  a11y: { type: 'boolean', default: false },
+  'a11y-fail-on': { type: 'string' },
+  retries: { type: 'string' },
+  webhook: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const FORM_OPTIONS = {
+  ...COMMON_OPTIONS,
+  url: { type: 'string', multiple: true },
+  scenario: { type: 'string', multiple: true },
+  'video-per-scenario': { type: 'boolean', default: false },
+  mailbox: { type: 'string' }
+};
+
+const PASSPORT_OPTIONS = {
+  ...COMMON_OPTIONS,
+  step: { type: 'string', multiple: true }
+};
+
+// Flags that narrow the matrix, in the order a selection lists them
+const FILTER_FLAGS = ['url', 'device', 'scenario', 'step', 'engine', 'network', 'locale'];
+
+function splitValues(values) {
+  if (!values) return [];
+  return values
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+function parseCli(argv, options) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: false });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  const args = { ...parsed.values };
+  for (const [name, option] of Object.entries(options)) {
+    if (option.multiple) {
+      args[name] = splitValues(parsed.values[name]);
+    }
+  }
+
+  const workers = Number(args.workers);
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new CliError(`--workers must be a positive integer, got "${args.workers}"`);
+  }
+  args.workers = workers;
+  args.demoPacing = args['demo-pacing'];
+  args.videoPerScenario = Boolean(args['video-per-scenario']);
+
+  // "none" keeps audits report-only; unset means the suite file decides
+  const failOn = args['a11y-fail-on'];
+  if (failOn !== undefined && failOn !== 'none' && !IMPACTS.includes(failOn)) {
+    throw new CliError(`--a11y-fail-on must be one of ${IMPACTS.join(', ')} or none, got "${failOn}"`);
+  }
+  args.accessibility = failOn === undefined ? {} : { failOn: failOn === 'none' ? null : failOn };
+
+  // Unset means the suite file decides, per scenario or step
+  if (args.retries !== undefined) {
+    const retries = Number(args.retries);
+    if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+      throw new CliError(`--retries must be an integer from 0 to ${MAX_RETRIES}, got "${args.retries}"`);
+    }
+    args.retries = retries;
+  }
+
+  // Replaces the suite file's webhook URL; its other webhook settings still apply
+  if (args.webhook !== undefined) {
+    try {
+      new URL(args.webhook);
+    } catch (e) {
+      throw new CliError(`--webhook must be a URL, got "${args.webhook}"`);
+    }
+  }
+
+  // Only set when given, so the suite file's thresholds apply otherwise
+  args.thresholds = {};
+  for (const [flag, key] of [['max-failures', 'maxFailures'], ['max-errors', 'maxErrors']]) {
+    if (args[flag] === undefined) continue;
+    const value = Number(args[flag]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new CliError(`--${flag} must be a non-negative integer, got "${args[flag]}"`);
+    }
+    args.thresholds[key] = value;
+  }
+
+  return args;
+}
+
+// approve-baselines.js has its own small flag set
+const APPROVE_OPTIONS = {
+  runner: { type: 'string' },
+  match: { type: 'string', multiple: true },
+  list: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function parseApproveArgs(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: APPROVE_OPTIONS, allowPositionals: false });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  const args = { ...parsed.values, match: splitValues(parsed.values.match) };
+  if (args.runner !== undefined && !['form', 'passport'].includes(args.runner)) {
+    throw new CliError(`--runner must be "form" or "passport", got "${args.runner}"`);
+  }
+  return args;
+}
+
+// mock-server.js and verify-harness.js drive the local mock server
+const MOCK_OPTIONS = {
+  port: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const VERIFY_OPTIONS = {
+  runner: { type: 'string' },
+  output: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// compare-runs.js reads the run history the runners append to
+const COMPARE_OPTIONS = {
+  runner: { type: 'string' },
+  history: { type: 'string' },
+  base: { type: 'string' },
+  runs: { type: 'string', default: '10' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function parseCompareArgs(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: COMPARE_OPTIONS, allowPositionals: false });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  const args = { ...parsed.values };
+  if (args.runner !== undefined && !['form', 'passport'].includes(args.runner)) {
+    throw new CliError(`--runner must be "form" or "passport", got "${args.runner}"`);
+  }
+  if (args.base !== undefined && args.runner === undefined) {
+    throw new CliError('--base needs --runner, since run ids belong to one runner');
+  }
+  const runs = Number(args.runs);
+  if (!Number.isInteger(runs) || runs < 2) {
+    throw new CliError(`--runs must be an integer of at least 2, got "${args.runs}"`);
+  }
+  args.runs = runs;
+  return args;
+}
+
+function parseMockArgs(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: MOCK_OPTIONS, allowPositionals: false });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  const args = { ...parsed.values };
+  if (args.port !== undefined) {
+    const port = Number(args.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new CliError(`--port must be a port number, got "${args.port}"`);
+    }
+    args.port = port;
+  }
+  return args;
+}
+
+function parseVerifyArgs(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: VERIFY_OPTIONS, allowPositionals: false });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  const args = { ...parsed.values };
+  if (args.runner !== undefined && !['form', 'passport'].includes(args.runner)) {
+    throw new CliError(`--runner must be "form" or "passport", got "${args.runner}"`);
+  }
+  return args;
+}
+
+function parseFormArgs(argv = process.argv.slice(2)) {
+  const args = parseCli(argv, FORM_OPTIONS);
+  // Replaces the suite file's mailbox URL; its other mail settings still apply
+  if (args.mailbox !== undefined && !/^(https?|imaps?):\/\/[^/]/i.test(args.mailbox)) {
+    throw new CliError(`--mailbox must be an http(s):// or imap(s):// URL, got "${args.mailbox}"`);
+  }
+  return args;
+}
+
+function parsePassportArgs(argv = process.argv.slice(2)) {
+  return parseCli(argv, PASSPORT_OPTIONS);
+}
+
+// The filter flags given, as a run's selection records them: lowercased and
+// sorted, so the same filters typed differently select the same runs
+function activeFilters(args) {
+  const filters = {};
+  for (const name of FILTER_FLAGS) {
+    if (Array.isArray(args[name]) && args[name].length > 0) {
+      filters[name] = [...new Set(args[name].map(value => value.toLowerCase()))].sort();
+    }
+  }
+  return filters;
+}
+
+// --device picks from the suite's devices, or names any other of `known`
+// (Playwright's device descriptors), so tablets and desktops can be run on
+// demand without joining every scheduled run. Keeps the order given.
+function filterDevices(configured, wanted, known) {
+  if (wanted.length === 0) return configured;
+  const resolve = name => [...configured, ...known].find(device => device.toLowerCase() === name.toLowerCase());
+  const unknown = wanted.filter(name => !resolve(name));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown device ${unknown.map(u => `"${u}"`).join(', ')}. Suite devices: ${configured.join(', ')}; any Playwright device name works too`);
+  }
+  return [...new Set(wanted.map(resolve))];
+}
+
+// Keep the items whose name matches one of `wanted` (case-insensitive),
+// preserving the suite order. An empty filter keeps everything.
+function filterByName(items, wanted, label, getName = item => item) {
+  if (wanted.length === 0) return items;
+
+  const names = items.map(getName);
+  const unknown = wanted.filter(w => !names.some(name => name.toLowerCase() === w.toLowerCase()));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown ${label} ${unknown.map(u => `"${u}"`).join(', ')}. Available: ${names.join(', ')}`);
+  }
+
+  const lowered = wanted.map(w => w.toLowerCase());
+  return items.filter(item => lowered.includes(getName(item).toLowerCase()));
+}
+
+const FORM_USAGE = `Usage: node poap-form-test.js [options]
+
+Options:
+  --config <path>      Suite file to load (default: ./suite.config.json or $SUITE_CONFIG)
+  --url <name>         Only run these drops, by name (repeatable, comma-separated)
+  --device <name>      Only run these devices (repeatable, comma-separated).
+                       Any Playwright device runs too, even when the suite
+                       does not list it, e.g. --device "iPad Pro 11,Desktop Chrome"
+  --scenario <name>    Only run these scenarios (repeatable, comma-separated)
+  --engine <name>      Run in these browser engines instead of the suite's:
+                       chromium, firefox or webkit (repeatable, comma-separated)
+  --network <name>     Run under these network profiles instead of the suite's:
+                       full, fast-3g, slow-3g, high-latency or one defined in
+                       the suite file (repeatable, comma-separated)
+  --locale <tag>       Only run these of the suite's locales, e.g. es-ES
+                       (repeatable, comma-separated)
+  --list               Print the selected matrix and exit without running it
+  --workers <n>        Number of device sessions to run at once (default: 1)
+  --max-failures <n>   Failed results allowed before exiting non-zero (default: 0)
+  --max-errors <n>     Errored results allowed before exiting non-zero (default: 0)
+  --demo-pacing        Keep human-watchable pauses for recorded videos (slower)
+  --video-per-scenario Record each scenario in its own context and video clip
+  --visual             Compare each passing scenario's screen with its baseline
+  --a11y               Run axe accessibility audits before and after each submit
+  --a11y-fail-on <lvl> Lowest impact that fails a scenario: critical, serious,
+                       moderate, minor or none (default: from the suite file)
+  --retries <n>        Retry a failed or errored scenario up to n times in a
+                       fresh context (default: from the suite file)
+  --webhook <url>      POST the run's results to this URL (default: the suite
+                       file's webhook, if any)
+  --mailbox <url>      Check claim emails in this mailbox: a MailHog-style
+                       http(s):// API or an imap(s):// mailbox (default: the
+                       suite file's form.mail, if any)
+  -h, --help           Show this help
+
+Exit codes: 0 ok, 1 failed, 2 errored, 3 blocked by bot protection,
+            4 browser crashed, 5 bad flags or suite config
+`;
+
+const PASSPORT_USAGE = `Usage: node passport-navigation-test.js [options]
+
+Options:
+  --config <path>      Suite file to load (default: ./suite.config.json or $SUITE_CONFIG)
+  --device <name>      Only run these devices (repeatable, comma-separated).
+                       Any Playwright device runs too, even when the suite
+                       does not list it, e.g. --device "iPad Pro 11,Desktop Chrome"
+  --step <name>        Only run these steps and the steps they need, e.g.
+                       --step settings also runs start and login
+                       (repeatable, comma-separated)
+  --engine <name>      Run in these browser engines instead of the suite's:
+                       chromium, firefox or webkit (repeatable, comma-separated)
+  --network <name>     Run under these network profiles instead of the suite's:
+                       full, fast-3g, slow-3g, high-latency or one defined in
+                       the suite file (repeatable, comma-separated)
+  --locale <tag>       Only run these of the suite's locales, e.g. es-ES
+                       (repeatable, comma-separated)
+  --list               Print the selected devices, networks, locales and steps and exit
+  --workers <n>        Number of device sessions to run at once (default: 1)
+  --max-failures <n>   Failed results allowed before exiting non-zero (default: 0)
+  --max-errors <n>     Errored results allowed before exiting non-zero (default: 0)
+  --demo-pacing        Keep human-watchable pauses for recorded videos (slower)
+  --visual             Compare each passing step's screen with its baseline
+  --a11y               Run axe accessibility audits on every page visited
+  --a11y-fail-on <lvl> Lowest impact that fails a step: critical, serious,
+                       moderate, minor or none (default: from the suite file)
+  --retries <n>        Retry a failed or errored step up to n times in a
+                       fresh context (default: from the suite file)
+  --webhook <url>      POST the run's results to this URL (default: the suite
+                       file's webhook, if any)
+  -h, --help           Show this help
+
+Exit codes: 0 ok, 1 failed, 2 errored, 3 blocked by bot protection,
+            4 browser crashed, 5 bad flags or suite config
+`;
+
+const APPROVE_USAGE = `Usage: node approve-baselines.js [options]
+
+Copies the screenshots of each runner's last --visual run (./visual-actual)
+over the stored baselines (./baselines). Every --visual run clears its
+runner's screenshots first, so older runs' never get approved.
+
+Options:
+  --runner <name>      Only approve "form" or "passport" snapshots
+  --match <text>       Only approve snapshots whose path contains this text
+                       (repeatable, comma-separated, e.g. iphone-se,leaderboard)
+  --list               Print what would be approved and exit
+  -h, --help           Show this help
+`;
+
+const COMPARE_USAGE = `Usage: node compare-runs.js [options]
+
+Compares the latest run in the history (./history/<runner>.jsonl, appended
+to by every run) with the one before it that ran the same suite file and
+filters: new failures, fixed items and changed error messages, plus each
+item's pass-rate trend over those runs.
+
+Options:
+  --runner <name>      Only compare "form" or "passport" runs (default: both)
+  --history <dir>      History directory (default: ./history)
+  --base <runId>       Compare the latest run with this run instead of the
+                       previous one; it must have run the same suite file
+                       and filters (needs --runner)
+  --runs <n>           Runs the pass-rate trend covers (default: 10)
+  -h, --help           Show this help
+
+Exit codes: 0 no new failures, 1 new failures since the compared run,
+            5 bad flags, or a --base run that is unknown or ran another selection
+`;
+
+const MOCK_USAGE = `Usage: node mock-server.js [options]
+
+Serves a local copy of the mint form and the passport app for trying the
+runners offline, e.g. node poap-form-test.js --config suite.mock.json
+
+Options:
+  --port <n>           Port to listen on (default: 4010, as in suite.mock.json)
+  -h, --help           Show this help
+`;
+
+const VERIFY_USAGE = `Usage: node verify-harness.js [options]
+
+Starts the mock server, runs the runners against suite.mock.json and checks
+that every scenario and step ends the way the mock is built to make it end.
+
+Options:
+  --runner <name>      Only verify "form" or "passport"
+  --output <dir>       Where the runners write their results, reports,
+                       screenshots, videos and run history (default: a new
+                       temporary directory, so ./history and the live
+                       results are left alone)
+  -h, --help           Show this help
+
+Exit codes: 0 every result as expected, 1 unexpected results,
+            4 a runner could not be run, 5 bad flags
+`;
+
+module.exports = {
+  APPROVE_USAGE,
+  COMPARE_USAGE,
+  CliError,
+  FORM_USAGE,
+  MOCK_USAGE,
+  PASSPORT_USAGE,
+  VERIFY_USAGE,
+  activeFilters,
+  filterByName,
+  filterDevices,
+  parseApproveArgs,
+  parseCompareArgs,
+  parseFormArgs,
+  parseMockArgs,
+  parsePassportArgs,
+  parseVerifyArgs
+};
@@ -0,0 +1,42 @@
+// Process exit codes shared by both runners, so CI and n8n can tell a real
+// regression apart from an environment problem.
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1, // assertions failed beyond the allowed threshold
+  ERRORED: 2, // scenarios or devices errored beyond the allowed threshold
+  BLOCKED: 3, // only problem was bot protection (challenge page, 403/429)
+  CRASHED: 4, // the harness or the browser itself died
+  USAGE: 5 // bad CLI flags or suite config
+};
+
+const DEFAULT_THRESHOLDS = {
+  maxFailures: 0,
+  maxErrors: 0
+};
+
+// Pick the exit code for a finished run. Assertion failures win over errors,
+// and errors over bot protection, because they are the more actionable signal.
+// Blocked items do not count towards `maxErrors`.
+function resolveExitCode({ failed = 0, errored = 0, blocked = 0, crashed = false }, thresholds = {}) {
+  const { maxFailures, maxErrors } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+  if (crashed) {
+    return { code: EXIT_CODES.CRASHED, reason: 'Browser crashed during the run' };
+  }
+  if (failed > maxFailures) {
+    return { code: EXIT_CODES.FAILED, reason: `${failed} failed (allowed: ${maxFailures})` };
+  }
+  if (errored > maxErrors) {
+    return { code: EXIT_CODES.ERRORED, reason: `${errored} errored (allowed: ${maxErrors})` };
+  }
+  if (blocked > 0) {
+    return { code: EXIT_CODES.BLOCKED, reason: `${blocked} blocked by bot protection` };
+  }
+  return { code: EXIT_CODES.OK, reason: 'All results within thresholds' };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  EXIT_CODES,
+  resolveExitCode
+};
@@ -0,0 +1,103 @@
+// The fields a drop's mint form asks for, declared per drop (or once in
+// form.fields for every drop) instead of guessed through broad selectors.
+// Each field is { name, selector, type, value, required, requiredText }:
+//   text       value is typed in
+//   select     a native <select>; value is the label of the option to pick
+//   dropdown   a custom list; selector opens it, value is the option's text
+//   checkbox   checked when value is true (the default), unchecked otherwise
+//   identity   the Email, ETH or ENS input; its value comes from the scenario
+// A field whose element does not show up fails the scenario. Every required
+// field also gets a scenario of its own, required-<name>, that leaves it
+// empty and expects its requiredText.
+const FIELD_TYPES = ['text', 'select', 'dropdown', 'checkbox', 'identity'];
+
+// What the runner filled before fields were declared
+const DEFAULT_FIELDS = [
+  {
+    name: 'name',
+    type: 'text',
+    selector: 'input[name="name"], input[placeholder*="Name"], input[placeholder*="name"]',
+    value: 'Juan Carlos'
+  },
+  {
+    name: 'lastname',
+    type: 'text',
+    selector: 'input[name="lastname"], input[name="lastName"], input[placeholder*="Last"], input[placeholder*="last"]',
+    value: 'Rodríguez'
+  },
+  {
+    name: 'address',
+    type: 'text',
+    selector: 'input[name="address"], input[placeholder*="Address"], input[placeholder*="address"]',
+    value: '123 Main Street, Apt 4B'
+  },
+  {
+    name: 'option',
+    type: 'dropdown',
+    selector: 'text="Select from the list"',
+    value: 'Option 1'
+  },
+  {
+    name: 'email',
+    type: 'identity',
+    selector: 'input[name="email"], input[type="email"], input[placeholder*="Email"], input[placeholder*="email"], input[placeholder*="ETH"], input[placeholder*="ENS"]',
+    required: true,
+    requiredText: 'Email is required'
+  }
+];
+
+async function fillField(page, field, value, waits) {
+  const element = page.locator(field.selector).first();
+  if (!(await waits.visible(element))) {
+    throw new Error(`Form field "${field.name}" (${field.type}) not found: ${field.selector}`);
+  }
+  if (field.type === 'text' || field.type === 'identity') {
+    await element.fill(value);
+  } else if (field.type === 'select') {
+    await element.selectOption({ label: value });
+  } else if (field.type === 'checkbox') {
+    await element.setChecked(value !== false);
+  } else {
+    await element.click();
+    await waits.pace(page, 800);
+    const option = page.locator(`text="${value}"`).first();
+    if (!(await waits.visible(option))) {
+      throw new Error(`Form field "${field.name}" has no option "${value}"`);
+    }
+    await option.click();
+  }
+  await waits.pace(page, 500);
+}
+
+// Fill every field in order, the identity field with `identity`, leaving the
+// field named `empty` (if any) untouched
+async function fillFields(page, fields, { identity, empty = null, waits, log }) {
+  for (const field of fields) {
+    if (field.name === empty) {
+      log(`   ⬜ Leaving ${field.name} empty`);
+      continue;
+    }
+    await fillField(page, field, field.type === 'identity' ? identity : field.value, waits);
+  }
+}
+
+// Form scenarios that each leave one required field empty. The identity
+// field is left empty by typing no address; other fields still get a
+// unique address, so only the empty field can be what the form rejects.
+function requiredFieldScenarios(fields) {
+  return fields.filter(field => field.required).map(field => ({
+    name: `required-${field.name}`,
+    description: `Leaves the required ${field.name} field empty`,
+    email: field.type === 'identity' ? '' : null,
+    expectError: true,
+    expectedErrorText: field.requiredText,
+    emptyField: field.name
+  }));
+}
+
+module.exports = {
+  DEFAULT_FIELDS,
+  FIELD_TYPES,
+  fillFields,
+  requiredFieldScenarios
+};
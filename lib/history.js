@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Run history, so a regression can be dated after test-results.json has been
+// overwritten and the CI artifacts have expired. Each runner appends one
+// JSON line per run to <dir>/<runner>.jsonl, keyed by runId; in CI the file
+// lives on the run-history branch (.github/scripts/history-branch.sh):
+//
+// {
+//   runId, runner, startedAt, finishedAt, durationMs,
+//   suite, filters,                    the run's selection (see lib/results.js)
+//   targets: [{ name, url, version }],
+//   browsers: [{ name, version }],
+//   totals,
+//   items: [{ id, status, flaky, message, errorMessage }]   errorMessage = the form's error text, if any
+// }
+const DEFAULT_HISTORY_DIR = './history';
+
+function historyPath(runner, dir = DEFAULT_HISTORY_DIR) {
+  return path.join(dir, `${runner}.jsonl`);
+}
+
+function historyRecord(run) {
+  return {
+    runId: run.runId,
+    runner: run.runner,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    suite: run.selection.suite,
+    filters: run.selection.filters,
+    targets: run.environment.targets,
+    browsers: run.environment.browsers,
+    totals: run.totals,
+    items: run.items.map(item => ({
+      id: item.id,
+      status: item.status,
+      flaky: item.flaky,
+      message: item.message,
+      errorMessage: item.details.errorMessage || null
+    }))
+  };
+}
+
+async function appendHistory(run, { dir = DEFAULT_HISTORY_DIR } = {}) {
+  const filePath = historyPath(run.runner, dir);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(historyRecord(run))}\n`);
+  return filePath;
+}
+
+// Every run recorded for `runner`, oldest first. A run appended twice keeps
+// its last record; lines that do not parse (a write cut short) are counted
+// in `skipped` rather than failing the whole history.
+async function readHistory(runner, { dir = DEFAULT_HISTORY_DIR } = {}) {
+  let source;
+  try {
+    source = await fs.readFile(historyPath(runner, dir), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { runs: [], skipped: 0 };
+    throw error;
+  }
+  const byId = new Map();
+  let skipped = 0;
+  for (const line of source.split('\n')) {
+    if (line.trim() === '') continue;
+    try {
+      const record = JSON.parse(line);
+      byId.delete(record.runId);
+      byId.set(record.runId, record);
+    } catch (e) {
+      skipped++;
+    }
+  }
+  return { runs: [...byId.values()], skipped };
+}
+
+// Runs of another suite file or other filters cover other items, so only
+// runs of the same selection compare. Records from before selections were
+// recorded have none, and compare only with each other.
+function selectionKey(record) {
+  return JSON.stringify([record.suite || null, record.filters || {}]);
+}
+
+function sameSelection(a, b) {
+  return selectionKey(a) === selectionKey(b);
+}
+
+// "suite.mock.json --device pixel 5 --step login,settings"
+function describeSelection(record) {
+  const filters = Object.entries(record.filters || {}).map(([name, values]) => ` --${name} ${values.join(',')}`);
+  return `${record.suite || 'unrecorded suite'}${filters.join('')}`;
+}
+
+function isProblem(status) {
+  return status === 'fail' || status === 'error';
+}
+
+// Item-by-item differences from `previous` to `latest`. Skipped items did
+// not run, so they neither fail nor fix anything.
+//   newFailures     passed before, fail or error now
+//   fixed           failed or errored before, pass now
+//   changedMessages failing in both, with a different message or error text
+//   stillFailing    failing in both, same message
+//   added, removed  only in one of the two runs (matrix changed)
+function compareRuns(previous, latest) {
+  if (!sameSelection(previous, latest)) {
+    throw new Error(`Run ${previous.runId} (${describeSelection(previous)}) and ${latest.runId} (${describeSelection(latest)}) ran different selections`);
+  }
+  const before = new Map(previous.items.map(item => [item.id, item]));
+  const after = new Map(latest.items.map(item => [item.id, item]));
+  const comparison = { newFailures: [], fixed: [], changedMessages: [], stillFailing: [], added: [], removed: [] };
+
+  for (const [id, item] of after) {
+    const old = before.get(id);
+    if (!old) {
+      comparison.added.push(item);
+    } else if (old.status === 'pass' && isProblem(item.status)) {
+      comparison.newFailures.push({ id, before: old, after: item });
+    } else if (isProblem(old.status) && item.status === 'pass') {
+      comparison.fixed.push({ id, before: old, after: item });
+    } else if (isProblem(old.status) && isProblem(item.status)) {
+      const changed = old.message !== item.message || old.errorMessage !== item.errorMessage;
+      comparison[changed ? 'changedMessages' : 'stillFailing'].push({ id, before: old, after: item });
+    }
+  }
+  for (const [id, item] of before) {
+    if (!after.has(id)) comparison.removed.push(item);
+  }
+  return comparison;
+}
+
+// Pass rate per item over `runs` (oldest first), counting only the runs
+// the item actually ran in. `sequence` has one status per run, '' where
+// the item was not in that run.
+function passRateTrend(runs) {
+  const trend = new Map();
+  runs.forEach((run, index) => {
+    for (const item of run.items) {
+      if (!trend.has(item.id)) {
+        trend.set(item.id, { id: item.id, runs: 0, passes: 0, rate: null, sequence: Array(runs.length).fill('') });
+      }
+      const entry = trend.get(item.id);
+      entry.sequence[index] = item.status;
+      if (item.status === 'skipped') continue;
+      entry.runs++;
+      if (item.status === 'pass') entry.passes++;
+    }
+  });
+  for (const entry of trend.values()) {
+    entry.rate = entry.runs > 0 ? Number((entry.passes / entry.runs).toFixed(3)) : null;
+  }
+  return [...trend.values()];
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DIR,
+  appendHistory,
+  compareRuns,
+  describeSelection,
+  historyPath,
+  passRateTrend,
+  readHistory,
+  sameSelection
+};
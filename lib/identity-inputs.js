@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
+const { bytesToHex } = require('@noble/hashes/utils');
+
+// Generated inputs for the mint form's "Email, ETH or ENS" field. Each
+// category builds inputs from templates; what the form should do with an
+// input comes from checkIdentity(), a local reference validator, never from
+// the template. A scenario the form answers differently is a disagreement
+// with the reference, reported as such by poap-form-test.js.
+//
+// The reference follows the published rules where they exist: EIP-55
+// checksums for ETH addresses, RFC 5321/6531 lengths and internationalized
+// addresses for email, and for ENS a name must already be in normalized
+// form (lowercase, NFKC), since the claim stores the name as it was typed.
+
+// Error the form is expected to show for an invalid input, by kind
+const ERROR_TEXTS = {
+  empty: 'Email is required',
+  eth: 'valid ETH',
+  ens: 'valid ENS',
+  email: 'Wrong format'
+};
+
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LOCAL_PART_LENGTH = 64;
+const MAX_DOMAIN_LABEL_LENGTH = 63;
+
+// EIP-55: a hex letter is uppercase when its nibble of the keccak-256 hash
+// of the lowercase address is 8 or more
+function toChecksumAddress(address) {
+  const hex = address.replace(/^0x/i, '').toLowerCase();
+  const hash = bytesToHex(keccak256(hex));
+  return `0x${[...hex].map((character, i) => (parseInt(hash[i], 16) >= 8 ? character.toUpperCase() : character)).join('')}`;
+}
+
+function checkEth(input) {
+  if (!input.startsWith('0x')) return 'prefix must be lowercase 0x';
+  const hex = input.slice(2);
+  if (!/^[0-9a-fA-F]*$/.test(hex)) return 'not hexadecimal';
+  if (hex.length !== 40) return `${hex.length} hex digits instead of 40`;
+  // All-lowercase and all-uppercase addresses carry no checksum
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return null;
+  return toChecksumAddress(input) === input ? null : 'EIP-55 checksum mismatch';
+}
+
+function checkEns(input) {
+  const labels = input.split('.');
+  if (labels.some(label => label === '')) return 'empty label';
+  if (/[\s\p{C}@/\\:?#%]/u.test(input)) return 'whitespace, invisible or reserved character';
+  if (input.normalize('NFKC').toLowerCase() !== input) return 'not in normalized form';
+  if (labels.some(label => label.slice(1).includes('_'))) return 'underscore after the start of a label';
+  if (labels.some(label => /^[\x00-\x7f]{2}--/.test(label))) return 'hyphens in the 3rd and 4th position';
+  return null;
+}
+
+// Dot-atom local part, letters of any script allowed (RFC 6531)
+const LOCAL_ATOM = /^[\p{L}\p{M}\p{N}!#$%&'*+/=?^_`{|}~-]+$/u;
+const DOMAIN_LABEL = /^[\p{L}\p{M}\p{N}](?:[\p{L}\p{M}\p{N}-]*[\p{L}\p{M}\p{N}])?$/u;
+
+function checkEmail(input) {
+  if (Buffer.byteLength(input) > MAX_EMAIL_LENGTH) return `longer than ${MAX_EMAIL_LENGTH} bytes`;
+  const at = input.lastIndexOf('@');
+  if (at <= 0 || at === input.length - 1) return 'not local@domain';
+  const local = input.slice(0, at);
+  const domain = input.slice(at + 1);
+  if (local.includes('@')) return 'more than one @';
+  if (Buffer.byteLength(local) > MAX_LOCAL_PART_LENGTH) return `local part longer than ${MAX_LOCAL_PART_LENGTH} bytes`;
+  if (!local.split('.').every(atom => LOCAL_ATOM.test(atom))) return 'malformed local part';
+  const labels = domain.split('.');
+  if (labels.length < 2) return 'domain without a dot';
+  if (!labels.every(label => DOMAIN_LABEL.test(label) && Buffer.byteLength(label) <= MAX_DOMAIN_LABEL_LENGTH)) return 'malformed domain';
+  if (/^\d+$/.test(labels[labels.length - 1])) return 'numeric top-level domain';
+  return null;
+}
+
+// What the form should make of `raw`, as typed: { kind, valid, reason,
+// errorText }. Surrounding whitespace is ignored, as the form trims it.
+function checkIdentity(raw) {
+  const input = raw.trim();
+  if (input === '') {
+    return { kind: 'empty', valid: false, reason: 'empty', errorText: ERROR_TEXTS.empty };
+  }
+  const kind = /^0x/i.test(input) ? 'eth' : (!input.includes('@') && /\.eth$/i.test(input) ? 'ens' : 'email');
+  const reason = { eth: checkEth, ens: checkEns, email: checkEmail }[kind](input);
+  return { kind, valid: reason === null, reason, errorText: reason === null ? null : ERROR_TEXTS[kind] };
+}
+
+// Deterministic per seed, so a rerun types the same inputs
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    // mulberry32
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return bytes => Array.from({ length: bytes }, () => Math.floor(next() * 256).toString(16).padStart(2, '0')).join('');
+}
+
+// Flip the case of one letter so the checksum no longer matches
+function breakChecksum(address) {
+  const index = [...address].findIndex((character, i) => i > 1 && /[a-fA-F]/.test(character));
+  if (index === -1) return `${address.slice(0, -1)}${address.endsWith('0') ? '1' : '0'}`;
+  const character = address[index];
+  return `${address.slice(0, index)}${character === character.toLowerCase() ? character.toUpperCase() : character.toLowerCase()}${address.slice(index + 1)}`;
+}
+
+// Category -> templates, each (random) -> input. Templates are used in turn,
+// so `perCategory` inputs cover the first `perCategory` of them.
+const CATEGORIES = {
+  'eth-valid': [
+    random => toChecksumAddress(random(20)),
+    random => `0x${random(20)}`
+  ],
+  'eth-bad-checksum': [
+    random => breakChecksum(toChecksumAddress(random(20))),
+    random => `0X${toChecksumAddress(random(20)).slice(2)}`
+  ],
+  'eth-wrong-length': [
+    random => `0x${random(20).slice(1)}`,
+    random => `0x${random(21).slice(0, 41)}`,
+    random => `0x${random(4)}`
+  ],
+  'eth-non-hex': [
+    random => `0x${random(19)}zz`,
+    random => `0x${random(20).slice(0, 39)}\u0430`
+  ],
+  'ens-unicode': [
+    random => `café-${random(3)}.eth`,
+    random => `🚀${random(3)}.eth`,
+    random => `ñandú${random(2)}.eth`,
+    random => `${random(3)}.poap.eth`
+  ],
+  'ens-unnormalized': [
+    random => `Poap${random(3)}.eth`,
+    random => `cafe\u0301-${random(3)}.eth`,
+    random => `ｐｏａｐ${random(2)}.eth`,
+    random => `po\u200bap${random(2)}.eth`
+  ],
+  'ens-malformed': [
+    random => `poap${random(2)}..eth`,
+    () => '.eth',
+    random => `po ap${random(2)}.eth`,
+    random => `ab--${random(2)}.eth`
+  ],
+  'email-plus': [
+    random => `qa+${random(4)}@example.com`,
+    random => `qa.tester+poap.${random(3)}@example.com`
+  ],
+  'email-international': [
+    random => `josé.${random(3)}@example.com`,
+    random => `${random(4)}@bücher.example`,
+    random => `用户${random(3)}@例子.广告`
+  ],
+  'email-malformed': [
+    random => `${random(4)}@example`,
+    random => `a..${random(3)}@example.com`,
+    random => `.${random(4)}@example.com`,
+    random => `${random(4)}@-example.com`,
+    random => `${random(4)}@example..com`
+  ],
+  whitespace: [
+    random => `  ${random(4)}@example.com  `,
+    random => `\t${toChecksumAddress(random(20))}\n`,
+    random => `${random(2)} ${random(2)}@example.com`,
+    () => '   '
+  ],
+  'long-strings': [
+    random => `${'a'.repeat(MAX_LOCAL_PART_LENGTH - 8)}${random(4)}@example.com`,
+    random => `${'a'.repeat(MAX_LOCAL_PART_LENGTH)}${random(4)}@example.com`,
+    random => `${random(4)}@${Array(5).fill('d'.repeat(60)).join('.')}.com`,
+    random => `${'x'.repeat(4000)}${random(2)}`
+  ]
+};
+
+const CATEGORY_NAMES = Object.keys(CATEGORIES);
+
+const DEFAULT_GENERATED_INPUTS = {
+  categories: CATEGORY_NAMES, // which categories to generate
+  perCategory: 1, // inputs per category, up to its number of templates
+  seed: 1 // integer, so every run types the same inputs; null = a fresh seed per run
+};
+
+// The generation options with the seed settled: a null seed becomes a random
+// one, which the results record so the run's inputs can be typed again
+function resolveGeneratedInputs(options = {}) {
+  const resolved = { ...DEFAULT_GENERATED_INPUTS, ...options };
+  return { ...resolved, seed: resolved.seed === null ? crypto.randomInt(2 ** 31) : resolved.seed };
+}
+
+// "0x5aAe…BeAed" style preview of an input for logs and descriptions
+function describeInput(input) {
+  const shown = JSON.stringify(input.length > 48 ? `${input.slice(0, 24)}…${input.slice(-16)}` : input);
+  return input.length > 48 ? `${shown} (${input.length} chars)` : shown;
+}
+
+// Form scenarios for the generated inputs, named gen-<category>-<n>. Each
+// carries its category, input, reference verdict and seed in `generated`.
+function generateScenarios(options = {}) {
+  const { categories, perCategory, seed } = resolveGeneratedInputs(options);
+  const random = createRandom(seed);
+  const scenarios = [];
+  for (const category of categories) {
+    const templates = CATEGORIES[category];
+    for (let i = 0; i < Math.min(perCategory, templates.length); i++) {
+      const input = templates[i](random);
+      const reference = checkIdentity(input);
+      scenarios.push({
+        name: `gen-${category}-${i + 1}`,
+        description: `Generated ${category}: ${describeInput(input)}, ${reference.valid ? `valid ${reference.kind}` : `invalid ${reference.kind} (${reference.reason})`}`,
+        email: input,
+        expectError: !reference.valid,
+        expectedErrorText: reference.errorText,
+        generated: { category, input, reference, seed }
+      });
+    }
+  }
+  return scenarios;
+}
+
+module.exports = {
+  CATEGORY_NAMES,
+  DEFAULT_GENERATED_INPUTS,
+  checkIdentity,
+  describeInput,
+  generateScenarios,
+  resolveGeneratedInputs,
+  toChecksumAddress
+};
@@ -0,0 +1,67 @@
+const { ImapFlow } = require('imapflow');
+
+// Read-only IMAP access through imapflow: log in, open one mailbox read-only,
+// search it by recipient and fetch whole messages without marking them seen.
+// One connection per fetchImapMessages().
+//   imaps://[user:password@]host[:993][/mailbox]   TLS from the start
+//   imap://[user:password@]host[:143][/mailbox]    plain TCP, for local test servers
+// The login is `user`/`password` when given, else the one in the URL.
+
+// { user, password } to log into the mailbox at `url` with, or null when
+// neither the options nor the URL carry both
+function imapLogin(url, { user = null, password = null } = {}) {
+  const target = new URL(url);
+  const login = {
+    user: user || decodeURIComponent(target.username) || null,
+    password: password || decodeURIComponent(target.password) || null
+  };
+  return login.user && login.password ? login : null;
+}
+
+// Every message in the mailbox of `url` addressed to `to`, as raw Buffers,
+// oldest first
+async function fetchImapMessages(url, { user, password, to, timeoutMs = 15000 }) {
+  const target = new URL(url);
+  const secure = target.protocol === 'imaps:';
+  const login = imapLogin(url, { user, password });
+  const client = new ImapFlow({
+    host: target.hostname,
+    port: Number(target.port) || (secure ? 993 : 143),
+    secure,
+    // Without a login only a PREAUTH greeting gets further than connecting
+    auth: login ? { user: login.user, pass: login.password } : undefined,
+    logger: false,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  });
+  // A dropped connection is reported by the command it interrupts
+  client.on('error', () => {});
+
+  try {
+    await client.connect();
+    await client.mailboxOpen(decodeURIComponent(target.pathname.replace(/^\//, '')) || 'INBOX', { readOnly: true });
+    const uids = await client.search({ to }, { uid: true });
+    const messages = [];
+    if (uids && uids.length > 0) {
+      for await (const message of client.fetch(uids, { source: true }, { uid: true })) {
+        messages.push(message.source);
+      }
+    }
+    await client.logout().catch(() => {});
+    return messages;
+  } catch (error) {
+    if (error.authenticationFailed && !login) {
+      throw new Error('IMAP server wants a login, but no user and password were given');
+    }
+    // imapflow's "Command failed" says little; the server's answer says why
+    throw new Error(`IMAP ${error.authenticationFailed ? 'login' : 'command'} failed: ${error.responseText || error.message}`);
+  } finally {
+    client.close();
+  }
+}
+
+module.exports = {
+  fetchImapMessages,
+  imapLogin
+};
@@ -0,0 +1,60 @@
+// Locale and timezone a session runs in, next to its device and network
+// profile. The texts the runners look for are written in English in the
+// suite file; other locales get theirs from the suite's `translations`
+// block (English text -> translated text, per locale) or from a scenario's
+// own { locale: text } map. A text with no translation for the session's
+// locale is reported as a failure instead of being looked for in English.
+
+// The locale and timezone every run used before locales existed; artifact
+// names and result labels leave it out
+const DEFAULT_LOCALE = { locale: 'en-US', timezoneId: 'America/New_York' };
+
+function language(locale) {
+  return locale.split('-')[0].toLowerCase();
+}
+
+// Locales of the default language read the suite's English texts as they are
+function isDefaultLanguage(locale) {
+  return language(locale) === language(DEFAULT_LOCALE.locale);
+}
+
+// "es-ES,es;q=0.9", as a browser set to that locale sends it
+function acceptLanguage(locale) {
+  return language(locale) === locale ? locale : `${locale},${language(locale)};q=0.9`;
+}
+
+// navigator.languages for the same browser
+function navigatorLanguages(locale) {
+  return language(locale) === locale ? [locale] : [locale, language(locale)];
+}
+
+// t(text) resolves a text for `locale`: an English string through
+// `translations`, or a { locale: text } map by exact locale, then by
+// language. Resolves to null when there is no translation.
+function createTranslator(locale, translations = {}) {
+  function t(text) {
+    if (typeof text !== 'string') {
+      const fallback = isDefaultLanguage(locale) ? text[DEFAULT_LOCALE.locale] || text[language(DEFAULT_LOCALE.locale)] : null;
+      return text[locale] || text[language(locale)] || fallback || null;
+    }
+    if (isDefaultLanguage(locale)) return text;
+    const byLocale = translations[locale] || {};
+    const byLanguage = translations[language(locale)] || {};
+    return byLocale[text] || byLanguage[text] || null;
+  }
+
+  // Failure message for a text t() could not resolve
+  function missing(text) {
+    const english = typeof text === 'string' ? text : text[DEFAULT_LOCALE.locale] || Object.values(text)[0];
+    return `No ${locale} translation for "${english}"`;
+  }
+
+  return { locale, t, missing };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  acceptLanguage,
+  createTranslator,
+  navigatorLanguages
+};
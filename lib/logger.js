@@ -0,0 +1,15 @@
+// Console logger that prefixes every line with `tag`, so output from
+// parallel workers stays attributable. Leading blank lines are kept ahead
+// of the tag to preserve the runners' section spacing.
+function createLogger(tag = '') {
+  const format = message => {
+    if (!tag) return message;
+    return String(message).replace(/^(\n*)/, `$1${tag} `);
+  };
+
+  const log = (message = '', ...rest) => console.log(format(message), ...rest);
+  log.error = (message = '', ...rest) => console.error(format(message), ...rest);
+  return log;
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { compilePattern } = require('./page-diagnostics');
+const { assertNotBlocked } = require('./bot-protection');
+const { simpleParser } = require('mailparser');
+const { fetchImapMessages, imapLogin } = require('./imap');
+
+// Claim email checks for the form runner. Scenarios with `verifyEmail` claim
+// with a fresh address from `address`, then poll the mailbox at `url` until
+// a message to that address arrives, and check its subject, that it names
+// the drop and that it carries a claim link. The mailbox is either
+//   http(s)://host:8025        the HTTP API of a MailHog-style catcher (v2 search)
+//   imap(s)://host[/mailbox]   a real mailbox, logged into with user/password
+//                              or the user:password@ in the URL
+// Checks that need the drop's name are skipped for drops without a `title`.
+const DEFAULT_MAIL = {
+  url: null, // mailbox to poll; null = claim emails are not checked
+  user: null, // IMAP login; null = the one in the URL
+  password: null,
+  address: 'test{id}@example.com', // claim address; {id} is unique per claim
+  subject: '{drop}', // text the subject must contain; {drop} = the drop's title
+  linkPattern: '/claim/', // text or /regex/ the claim link's URL must match
+  followLink: false, // open the claim link in the device's browser context
+  timeoutMs: 60000, // for the email to arrive
+  pollMs: 2000
+};
+
+// Replace {id} in an address template with a per-claim id
+function uniqueAddress(template) {
+  return template.replace(/\{id\}/g, `${Date.now()}${crypto.randomInt(1000).toString().padStart(3, '0')}`);
+}
+
+// Raw messages to `to` from a MailHog-style v2 API
+async function fetchCatcherMessages(url, { to, timeoutMs }) {
+  const search = new URL('api/v2/search', url.endsWith('/') ? url : `${url}/`);
+  search.searchParams.set('kind', 'to');
+  search.searchParams.set('query', to);
+  const response = await fetch(search, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    throw new Error(`mail catcher answered HTTP ${response.status}`);
+  }
+  const { items = [] } = await response.json();
+  return items.map(item => item.Raw.Data);
+}
+
+// Raw message -> { subject, from, text, html }, decoded by mailparser
+async function parseMessage(raw) {
+  const parsed = await simpleParser(raw, { skipImageLinks: true, skipTextToHtml: true });
+  return {
+    subject: parsed.subject || '',
+    from: parsed.from ? parsed.from.text : null,
+    text: parsed.text || null,
+    html: parsed.html || null
+  };
+}
+
+// Every URL in the message; HTML links first, as that is what people click
+function messageLinks(message) {
+  const hrefs = [...(message.html || '').matchAll(/href\s*=\s*["']([^"']+)["']/gi)].map(match => match[1].replace(/&amp;/g, '&'));
+  const bare = [...`${message.text || ''}\n${message.html || ''}`.matchAll(/https?:\/\/[^\s"'<>]+/g)].map(match => match[0].replace(/&amp;/g, '&'));
+  return [...new Set([...hrefs, ...bare])].filter(link => /^https?:\/\//i.test(link));
+}
+
+function messageText(message) {
+  const html = (message.html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+  return `${message.text || ''}\n${html}`.replace(/\s+/g, ' ');
+}
+
+function createMailbox(options = {}) {
+  const resolved = { ...DEFAULT_MAIL, ...options };
+  if (!resolved.url) return null;
+  const imap = /^imaps?:/i.test(resolved.url);
+  const linkPattern = compilePattern(resolved.linkPattern);
+  // Never log a password that came in the URL
+  const display = (() => {
+    const url = new URL(resolved.url);
+    url.username = '';
+    url.password = '';
+    return url.href;
+  })();
+  // Polling an IMAP mailbox without a login could only ever fail
+  const login = imap ? imapLogin(resolved.url, resolved) : null;
+  if (imap && !login) {
+    throw new Error(`The IMAP mailbox ${display} needs a login: set form.mail.user and form.mail.password, or put user:password@ in the URL`);
+  }
+
+  function fetchMessages(to) {
+    const timeoutMs = Math.min(resolved.timeoutMs, 15000);
+    return imap
+      ? fetchImapMessages(resolved.url, { ...login, to, timeoutMs })
+      : fetchCatcherMessages(resolved.url, { to, timeoutMs });
+  }
+
+  // What is wrong with `message` as the claim email for the drop `title`
+  // (null when not known), or null
+  function check(message, title) {
+    const subject = title === null ? resolved.subject.replace(/\{drop\}/g, '') : resolved.subject.replace(/\{drop\}/g, title);
+    if (subject.trim() && !message.subject.toLowerCase().includes(subject.toLowerCase())) {
+      return `the claim email's subject "${message.subject}" does not contain "${subject}"`;
+    }
+    if (title !== null && !`${message.subject} ${messageText(message)}`.toLowerCase().includes(title.toLowerCase())) {
+      return `the claim email does not mention the drop "${title}"`;
+    }
+    if (!messageLinks(message).some(link => linkPattern.test(link))) {
+      return `the claim email has no claim link matching ${resolved.linkPattern}`;
+    }
+    return null;
+  }
+
+  // Poll until a message to `to` arrives or timeoutMs passes. Resolves to
+  // { email, problem }; `email` describes the newest message, if any. Never
+  // rejects: an unreachable mailbox is a problem of the item.
+  async function verify({ to, title = null, since = Date.now() }) {
+    const deadline = since + resolved.timeoutMs;
+    let lastError = null;
+    for (;;) {
+      let messages = [];
+      try {
+        messages = await fetchMessages(to);
+        lastError = null;
+      } catch (error) {
+        lastError = error.cause ? error.cause.message : error.message;
+      }
+      if (messages.length > 0) {
+        const message = await parseMessage(messages[messages.length - 1]);
+        const email = {
+          to,
+          from: message.from,
+          subject: message.subject,
+          link: messageLinks(message).find(link => linkPattern.test(link)) || null,
+          receivedAfterMs: Date.now() - since,
+          messages: messages.length
+        };
+        return { email, problem: check(message, title) };
+      }
+      if (Date.now() + resolved.pollMs > deadline) {
+        return { email: null, problem: `no claim email reached ${to} within ${resolved.timeoutMs / 1000}s${lastError ? ` (mailbox: ${lastError})` : ''}` };
+      }
+      await new Promise(resolve => setTimeout(resolve, resolved.pollMs));
+    }
+  }
+
+  return {
+    url: display,
+    imap,
+    followLink: resolved.followLink,
+    verify
+  };
+}
+
+// Open `link` in a new page of `context` and check that it loads and, when
+// the drop's `title` is known, shows it. Resolves to { url, status, problem }.
+async function followClaimLink(context, link, { title = null, waits }) {
+  const page = await context.newPage();
+  try {
+    const response = await page.goto(link, { waitUntil: 'networkidle', timeout: waits.timeouts.navigation });
+    await assertNotBlocked(page, response);
+    const status = response ? response.status() : null;
+    let problem = null;
+    if (status !== null && status >= 400) {
+      problem = `its claim link answered HTTP ${status}`;
+    } else if (title !== null && !(await waits.visible(page.getByText(title, { exact: false }).first()))) {
+      problem = `its claim link opened ${page.url()}, which does not show "${title}"`;
+    }
+    return { url: page.url(), status, problem };
+  } catch (error) {
+    return { url: link, status: null, problem: `its claim link did not open: ${error.message}` };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  DEFAULT_MAIL,
+  createMailbox,
+  followClaimLink,
+  uniqueAddress
+};
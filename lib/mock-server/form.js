@@ -0,0 +1,170 @@
+const { escapeXml: escapeHtml } = require('../reporters/escape');
+
+// The mint form of a POAP Studio drop, reduced to what poap-form-test.js
+// touches. "Test" posts to the same workflow endpoints Bubble uses, and the
+// address typed in decides what the form does next (see claimOutcome). A
+// claim that cannot reach the server shows a connection error. The name and
+// terms are required and checked before anything is posted, like Bubble's
+// own input validation.
+
+// Drops served under /form/<slug>. A drop without the "I want this" button
+// makes every scenario on it error out.
+const MOCK_DROPS = {
+  demo: { title: 'Mock Demo Drop', wantButton: true },
+  broken: { title: 'Mock Broken Drop', wantButton: false }
+};
+
+// Addresses that already claimed the drop
+const USED_ADDRESSES = ['test@example.com', 'used@example.com'];
+
+// Outcome of a claim, by the address's local part:
+//   redirect@…       redirects to the drop's claimed page
+//   silent@…         never answers on screen
+//   workflow-fail@…  shows the success popup although the workflow failed
+//   flaky@…          stays silent on every other claim, succeeds otherwise
+// Anything else that is well formed succeeds.
+function claimOutcome(address, state) {
+  if (!address) return { outcome: 'error', message: 'Email is required' };
+  if (address.startsWith('0x')) {
+    return /^0x[0-9a-fA-F]{40}$/.test(address) ? { outcome: 'success' } : { outcome: 'error', message: 'You must use a valid ETH address' };
+  }
+  if (address.endsWith('.eth')) {
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.eth$/i.test(address) ? { outcome: 'success' } : { outcome: 'error', message: 'You must use a valid ENS name' };
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) return { outcome: 'error', message: 'Wrong format' };
+  if (USED_ADDRESSES.includes(address.toLowerCase())) return { outcome: 'error', message: 'You already have this collectible' };
+
+  const local = address.split('@')[0].toLowerCase();
+  if (local === 'redirect') return { outcome: 'redirect' };
+  if (local === 'silent') return { outcome: 'silent' };
+  if (local === 'workflow-fail') return { outcome: 'workflow-error' };
+  if (local === 'flaky') {
+    const claims = (state.claims.get(address) || 0) + 1;
+    state.claims.set(address, claims);
+    return { outcome: claims % 2 === 1 ? 'silent' : 'success' };
+  }
+  return { outcome: 'success' };
+}
+
+// Response body of POST /api/1.1/wf/claim. Bubble reports a failed workflow
+// with HTTP 200 and status "ERROR".
+function claimResponse(result) {
+  if (result.outcome === 'workflow-error') {
+    return { status: 'ERROR', message: 'Workflow "claim" failed: mint queue unavailable' };
+  }
+  return { status: 'success', response: result };
+}
+
+const STYLES = `
+  body { font-family: sans-serif; margin: 0; padding: 16px; }
+  input, button, select, .select { display: block; width: 100%; box-sizing: border-box; margin: 8px 0; padding: 10px; font-size: 16px; }
+  input[type="checkbox"] { display: inline; width: auto; }
+  .option { padding: 8px; border-bottom: 1px solid #ddd; }
+  #message { color: #b00020; min-height: 20px; }
+  #popup { position: fixed; inset: 20% 8px auto 8px; background: #fff; border: 2px solid #333; padding: 16px; }
+`;
+
+function renderFormPage(drop) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(drop.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(drop.title)}</h1>
+<p>Collect this POAP with your email, ETH address or ENS name.</p>
+${drop.wantButton ? '<button type="button" id="want">I want this</button>' : ''}
+<div id="form" hidden>
+  <input name="name" placeholder="Name">
+  <input name="lastname" placeholder="Last name">
+  <input name="address" placeholder="Address">
+  <div class="select" id="select">Select from the list</div>
+  <div id="options" hidden>
+    <div class="option">Option 1</div>
+    <div class="option">Option 2</div>
+  </div>
+  <select name="size">
+    <option>Size S</option>
+    <option>Size M</option>
+  </select>
+  <label><input type="checkbox" name="terms"> I accept the terms</label>
+  <input name="email" type="text" placeholder="Email, ETH or ENS">
+  <div id="message"></div>
+  <button type="button" id="test">Test</button>
+</div>
+<div id="popup" hidden>
+  <h2>CONGRATULATIONS</h2>
+  <p>You have just collected ${escapeHtml(drop.title)}</p>
+  <button type="button">Show Details</button>
+</div>
+<script>
+  const byId = id => document.getElementById(id);
+  const want = byId('want');
+  if (want) want.addEventListener('click', () => { byId('form').hidden = false; });
+  byId('select').addEventListener('click', () => { byId('options').hidden = false; });
+  document.querySelectorAll('.option').forEach(option => option.addEventListener('click', () => {
+    byId('select').textContent = option.textContent;
+    byId('options').hidden = true;
+  }));
+  byId('test').addEventListener('click', async () => {
+    const address = document.querySelector('input[name="email"]').value.trim();
+    byId('message').textContent = '';
+    if (!document.querySelector('input[name="name"]').value.trim()) {
+      byId('message').textContent = 'Name is required';
+      return;
+    }
+    if (!document.querySelector('input[name="terms"]').checked) {
+      byId('message').textContent = 'Please accept the terms';
+      return;
+    }
+    let body;
+    try {
+      await fetch('/workflow/start', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'claim' }) });
+      const reply = await fetch('/api/1.1/wf/claim', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ address, drop: location.pathname.split('/')[2] }) });
+      body = await reply.json();
+    } catch (e) {
+      byId('message').textContent = 'Connection lost. Check your network and try again.';
+      return;
+    }
+    const result = body.response || { outcome: 'success' };
+    if (result.outcome === 'error') {
+      byId('message').textContent = result.message;
+    } else if (result.outcome === 'redirect') {
+      location.href = location.pathname + '/claimed';
+    } else if (result.outcome === 'success') {
+      byId('popup').hidden = false;
+    }
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+// Where the redirect outcome lands; deliberately without any success text
+function renderClaimedPage(drop) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(drop.title)}</title>
+</head>
+<body>
+<h1>${escapeHtml(drop.title)}</h1>
+<p>Your collectible is on its way.</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  MOCK_DROPS,
+  claimOutcome,
+  claimResponse,
+  renderClaimedPage,
+  renderFormPage
+};
@@ -0,0 +1,150 @@
+const http = require('http');
+const { MOCK_DROPS, claimOutcome, claimResponse, renderClaimedPage, renderFormPage } = require('./form');
+const { renderPassportPage } = require('./passport');
+const { MOCK_WEBHOOK_SECRET, receiveWebhook } = require('./webhook');
+const { renderClaimLinkPage, searchMail, sendClaimEmail } = require('./mail');
+
+// Local stand-in for mint.poap.studio and passport.poap.studio, so harness
+// changes can be exercised without touching production. suite.mock.json
+// points both runners at it; verify-harness.js checks every result branch.
+//   GET  /form/<drop>            mint form (see form.js)
+//   GET  /form/<drop>/claimed    where the redirect outcome lands
+//   POST /workflow/start         Bubble workflow start, always succeeds
+//   POST /api/1.1/wf/claim       decides the claim outcome from the address,
+//                                emails successful email claims (see mail.js)
+//   GET  /mail/api/v2/search     MailHog-style search of the claim emails
+//   GET  /claim/<token>          where a claim email's link lands
+//   GET  /passport/<page>        passport pages (see passport.js)
+//   POST /webhook                records result deliveries (see webhook.js)
+//   GET  /webhook                lists the recorded deliveries
+
+const DEFAULT_PORT = 4010;
+
+// Claims are tiny JSON bodies and result payloads stay well below this;
+// anything bigger is a mistake
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, contentType, body) {
+  response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  response.end(body);
+}
+
+function sendJson(response, status, value) {
+  send(response, status, 'application/json', JSON.stringify(value));
+}
+
+// Each server keeps its own state (flaky claim counts, leaderboard visits,
+// webhook deliveries, claim emails), so a fresh server always replays the
+// same sequence of outcomes. Deliveries are pushed onto `deliveries` and
+// claim emails onto `mailbox`.
+function createMockServer({ log = () => {}, deliveries = [], mailbox = [] } = {}) {
+  const state = { claims: new Map(), leaderboardVisits: 0, claimLinks: new Map() };
+
+  async function handle(request, response) {
+    const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+    log(`${request.method} ${pathname}`);
+
+    if (pathname === '/webhook') {
+      if (request.method === 'GET') {
+        return sendJson(response, 200, deliveries);
+      }
+      if (request.method === 'POST') {
+        const status = receiveWebhook(deliveries, { headers: request.headers, query: searchParams, body: await readBody(request) });
+        return sendJson(response, status, { received: status === 200 });
+      }
+    }
+
+    if (request.method === 'POST' && pathname === '/workflow/start') {
+      await readBody(request);
+      return sendJson(response, 200, { status: 'success' });
+    }
+    if (request.method === 'POST' && pathname === '/api/1.1/wf/claim') {
+      let claim;
+      try {
+        claim = JSON.parse(await readBody(request));
+      } catch (e) {
+        return sendJson(response, 400, { status: 'ERROR', message: 'Malformed claim body' });
+      }
+      const address = String(claim.address || '').trim();
+      const result = claimOutcome(address, state);
+      if ((result.outcome === 'success' || result.outcome === 'redirect') && MOCK_DROPS[claim.drop]) {
+        sendClaimEmail(mailbox, state.claimLinks, { address, drop: MOCK_DROPS[claim.drop], baseUrl: `http://${request.headers.host}` });
+      }
+      return sendJson(response, 200, claimResponse(result));
+    }
+    if (request.method !== 'GET') {
+      return send(response, 405, 'text/plain', 'Method not allowed');
+    }
+    if (pathname === '/mail/api/v2/search') {
+      return sendJson(response, 200, searchMail(mailbox, searchParams));
+    }
+    const claimLink = /^\/claim\/(\w+)$/.exec(pathname);
+    if (claimLink && state.claimLinks.has(claimLink[1])) {
+      return send(response, 200, 'text/html; charset=utf-8', renderClaimLinkPage(state.claimLinks.get(claimLink[1])));
+    }
+
+    const form = /^\/form\/([\w-]+)(\/claimed)?$/.exec(pathname);
+    if (form && MOCK_DROPS[form[1]]) {
+      const drop = MOCK_DROPS[form[1]];
+      return send(response, 200, 'text/html; charset=utf-8', form[2] ? renderClaimedPage(drop) : renderFormPage(drop));
+    }
+
+    const passport = /^\/passport\/(.+)$/.exec(pathname);
+    const html = passport ? renderPassportPage(passport[1], state) : null;
+    if (html) {
+      return send(response, 200, 'text/html; charset=utf-8', html);
+    }
+    return send(response, 404, 'text/plain', 'Not found');
+  }
+
+  return http.createServer((request, response) => {
+    handle(request, response).catch(error => {
+      if (!response.headersSent) send(response, 500, 'text/plain', error.message);
+    });
+  });
+}
+
+// Listen on `port` and resolve to { url, deliveries, mailbox, close() },
+// where `deliveries` fills up with the webhook deliveries received and
+// `mailbox` with the claim emails sent. Port 0 picks a free one.
+async function startMockServer({ port = DEFAULT_PORT, host = '127.0.0.1', log } = {}) {
+  const deliveries = [];
+  const mailbox = [];
+  const server = createMockServer({ log, deliveries, mailbox });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return {
+    url: `http://${host}:${server.address().port}`,
+    deliveries,
+    mailbox,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  MOCK_WEBHOOK_SECRET,
+  createMockServer,
+  startMockServer
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { escapeXml: escapeHtml } = require('../reporters/escape');
+
+// Stand-in for a MailHog-style mail catcher. A successful email claim on the
+// mock form "sends" a claim email a moment later, which the form runner
+// finds through the catcher's v2 search API, like it would on MailHog:
+//   GET /mail/api/v2/search?kind=to&query=<address>
+//   GET /claim/<token>   where the email's claim link lands
+// Addresses whose local part starts with "nomail" never get an email.
+const MAIL_DELAY_MS = 300;
+
+function encodeWord(text) {
+  return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function quotedPrintable(text) {
+  return [...Buffer.from(text, 'utf8')]
+    .map(byte => (byte > 126 || byte === 61 ? `=${byte.toString(16).toUpperCase().padStart(2, '0')}` : String.fromCharCode(byte)))
+    .join('');
+}
+
+// The raw message, multipart like real transactional mail, so the runner's
+// MIME parsing is exercised: encoded subject, quoted-printable text part,
+// base64 HTML part
+function renderClaimEmail({ address, drop, link }) {
+  const boundary = `mock-${crypto.randomBytes(6).toString('hex')}`;
+  const text = `Hi!\r\n\r\nYou claimed ${drop.title}. Mint it here:\r\n${link}\r\n`;
+  const html = `<p>You claimed <strong>${escapeHtml(drop.title)}</strong>.</p><p><a href="${escapeHtml(link)}">Mint your POAP</a></p>`;
+  return [
+    'From: POAP <no-reply@poap.example>',
+    `To: ${address}`,
+    `Subject: ${encodeWord(`Your ${drop.title} POAP is ready ✨`)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    quotedPrintable(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(html, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n'),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// Queue the claim email for `address` into `mailbox` (an array, in MailHog's
+// message shape) and remember its link in `claimLinks`
+function sendClaimEmail(mailbox, claimLinks, { address, drop, baseUrl }) {
+  if (!address.includes('@') || address.toLowerCase().startsWith('nomail')) return;
+  const token = crypto.randomBytes(8).toString('hex');
+  claimLinks.set(token, drop);
+  const timer = setTimeout(() => {
+    mailbox.push({
+      ID: token,
+      Created: new Date().toISOString(),
+      Raw: { From: 'no-reply@poap.example', To: [address], Data: renderClaimEmail({ address, drop, link: `${baseUrl}/claim/${token}` }) }
+    });
+  }, MAIL_DELAY_MS);
+  timer.unref();
+}
+
+// MailHog's v2 search answer; only kind=to is supported
+function searchMail(mailbox, query) {
+  const wanted = (query.get('query') || '').toLowerCase();
+  const items = query.get('kind') === 'to'
+    ? mailbox.filter(message => message.Raw.To.some(to => to.toLowerCase().includes(wanted)))
+    : [];
+  return { total: items.length, count: items.length, start: 0, items };
+}
+
+function renderClaimLinkPage(drop) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Mint ${escapeHtml(drop.title)}</title>
+</head>
+<body>
+<h1>${escapeHtml(drop.title)}</h1>
+<p>Mint this POAP to your wallet.</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderClaimLinkPage,
+  searchMail,
+  sendClaimEmail
+};
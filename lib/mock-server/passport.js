@@ -0,0 +1,199 @@
+const { escapeXml: escapeHtml } = require('../reporters/escape');
+
+// The passport app, reduced to the pages and element IDs that
+// passport-navigation-test.js walks through. Pages live under /passport/.
+// Sign-in accepts any well-formed email; anything else shows the validation
+// error. The leaderboard renders no rows on every other visit, so the
+// leaderboard step passes only on a retry.
+
+const TABS = [
+  { label: 'Collection', page: 'collection' },
+  { label: 'Benefits', page: 'benefits' },
+  { label: 'Hunt', page: 'hunt' },
+  { label: 'Leaderboard', page: 'leaderboard' }
+];
+
+const ICON = 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2224%22 height=%2224%22%3E%3Ccircle cx=%2212%22 cy=%2212%22 r=%2210%22/%3E%3C/svg%3E';
+
+const STYLES = `
+  body { font-family: sans-serif; margin: 0; padding: 56px 16px 96px; }
+  header { position: fixed; top: 0; left: 0; right: 0; height: 48px; display: flex; align-items: center; justify-content: space-between; padding: 0 12px; background: #fff; border-bottom: 1px solid #ddd; z-index: 2; }
+  nav { position: fixed; bottom: 0; left: 0; right: 0; display: flex; justify-content: space-around; background: #fff; border-top: 1px solid #ddd; z-index: 2; }
+  nav > div { text-align: center; padding: 6px; cursor: pointer; }
+  .card { border: 1px solid #ddd; border-radius: 8px; padding: 16px; margin: 12px 0; min-height: 120px; cursor: pointer; }
+  .group-item { padding: 12px; border-bottom: 1px solid #eee; }
+  .clickable-element { cursor: pointer; padding: 8px; }
+  #scanbutton { position: fixed; right: 16px; bottom: 72px; padding: 16px; border-radius: 50%; background: #333; color: #fff; z-index: 2; }
+  #overlay { position: fixed; inset: 48px 0 0 0; background: #fff; padding: 16px; z-index: 3; overflow: auto; }
+  #login-error { color: #b00020; }
+  .filler { height: 900px; }
+`;
+
+function renderShell(title, body, { chrome = true } = {}) {
+  const header = chrome
+    ? `<header>
+  <div class="clickable-element baTaUhp" onclick="history.back()">&larr;</div>
+  <strong>Mock Passport</strong>
+  <div class="clickable-element" id="settingsbutton">Settings</div>
+</header>`
+    : '';
+  const nav = chrome
+    ? `<nav>${TABS.map(tab => `<div onclick="location.href='/passport/${tab.page}'"><img alt="" src="${ICON}"><div>${tab.label}</div></div>`).join('')}</nav>
+<div class="clickable-element" id="scanbutton">Scan</div>
+<div id="overlay" hidden></div>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${header}
+<main>
+${body}
+</main>
+${nav}
+<script>
+  const overlay = document.getElementById('overlay');
+  // Only one overlay view exists at a time, so IDs like #backbutton stay unique
+  const show = html => { overlay.innerHTML = html; overlay.hidden = false; };
+  const hide = () => { overlay.hidden = true; overlay.innerHTML = ''; };
+  const settingsView = '<h2>Settings</h2>' +
+    '<div class="clickable-element" id="helpbutton">Help</div>' +
+    '<div class="clickable-element" id="tcbutton">Terms and Conditions</div>' +
+    '<div class="clickable-element" id="ppbutton">Privacy Policy</div>' +
+    '<div class="clickable-element" id="signout">Sign out</div>';
+  const subViews = {
+    helpbutton: '<div class="clickable-element" id="backbuttonhelp">&larr; Back</div><h2>Help</h2><p class="filler">Questions and answers.</p>',
+    tcbutton: '<div class="clickable-element" id="backbutton">&larr; Back</div><h2>Terms and Conditions</h2><p class="filler">Terms.</p>',
+    ppbutton: '<div class="clickable-element" id="backbutton">&larr; Back</div><h2>Privacy Policy</h2><p class="filler">Policy.</p>'
+  };
+  if (overlay) {
+    document.getElementById('settingsbutton').addEventListener('click', () => show(settingsView));
+    document.getElementById('scanbutton').addEventListener('click', () => {
+      show('<div class="clickable-element" id="backbuttonscan">&times; Close</div><h2>Scan a QR code</h2><video muted playsinline></video>');
+    });
+    overlay.addEventListener('click', event => {
+      const id = event.target.id;
+      if (subViews[id]) show(subViews[id]);
+      else if (id === 'backbuttonhelp' || id === 'backbutton') show(settingsView);
+      else if (id === 'backbuttonscan') hide();
+      else if (id === 'signout') location.href = '/passport/welcome';
+    });
+  }
+</script>
+</body>
+</html>
+`;
+}
+
+function renderWelcome() {
+  return renderShell('Welcome', `
+<section id="welcome">
+  <h1>Welcome to the Mock Passport</h1>
+  <button type="button" id="start">Start</button>
+</section>
+<section id="login" hidden>
+  <h1>Sign in</h1>
+  <input type="email" placeholder="Enter your email">
+  <p id="login-error" hidden>Please enter a valid address</p>
+  <div class="clickable-element" id="button_start">Connect</div>
+</section>
+<script>
+  const input = document.querySelector('#login input');
+  const loginError = document.getElementById('login-error');
+  document.getElementById('start').addEventListener('click', () => {
+    document.getElementById('welcome').hidden = true;
+    document.getElementById('login').hidden = false;
+  });
+  input.addEventListener('input', () => { loginError.hidden = true; });
+  document.getElementById('button_start').addEventListener('click', () => {
+    if (/^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/.test(input.value.trim())) {
+      setTimeout(() => { location.href = '/passport/collection'; }, 300);
+    } else {
+      loginError.hidden = false;
+    }
+  });
+</script>`, { chrome: false });
+}
+
+function renderCards(prefix, label, count) {
+  return Array.from({ length: count }, (_, i) => `<div class="card" id="${prefix}${i + 1}">${label} ${i + 1}</div>`).join('\n');
+}
+
+function renderCollection() {
+  return renderShell('Collection', `
+<h1>My collection</h1>
+${renderCards('collectible', 'Collectible', 6)}
+<script>
+  document.querySelectorAll('.card').forEach((card, i) => card.addEventListener('click', () => {
+    location.href = '/passport/collectible/' + (i + 1);
+  }));
+</script>`);
+}
+
+function renderCollectible(number) {
+  return renderShell(`Collectible ${number}`, `
+<h1>Collectible ${number}</h1>
+<p class="filler">Details of collectible ${number}.</p>`);
+}
+
+// Benefit and hunt cards open their detail in place
+function renderCardPage(title, prefix, label) {
+  return renderShell(title, `
+<h1>${escapeHtml(title)}</h1>
+<div id="list">${renderCards(prefix, label, 4)}</div>
+<div id="detail" hidden><h2 id="detail-title"></h2><p class="filler">Details.</p></div>
+<script>
+  document.querySelectorAll('.card').forEach(card => card.addEventListener('click', () => {
+    document.getElementById('detail-title').textContent = card.textContent;
+    document.getElementById('list').hidden = true;
+    document.getElementById('detail').hidden = false;
+  }));
+</script>`);
+}
+
+function renderLeaderboard(withRows) {
+  const rows = withRows
+    ? Array.from({ length: 10 }, (_, i) => `<div class="group-item">#${i + 1} collector${i + 1}.eth</div>`).join('\n')
+    : '';
+  return renderShell('Leaderboard', `
+<h1>Leaderboard</h1>
+<div id="leaderboard">${rows}</div>
+${withRows ? '' : '<p>No collectors yet.</p>'}
+<div class="clickable-element" id="seemore">See more</div>
+<script>
+  document.getElementById('seemore').addEventListener('click', () => {
+    const board = document.getElementById('leaderboard');
+    const start = board.children.length;
+    for (let i = start; i < start + 10 && start > 0; i++) {
+      const row = document.createElement('div');
+      row.className = 'group-item';
+      row.textContent = '#' + (i + 1) + ' collector' + (i + 1) + '.eth';
+      board.appendChild(row);
+    }
+  });
+</script>`);
+}
+
+// HTML for /passport/<pagePath>, or null for an unknown page
+function renderPassportPage(pagePath, state) {
+  if (pagePath === 'welcome') return renderWelcome();
+  if (pagePath === 'collection') return renderCollection();
+  const collectible = /^collectible\/(\d+)$/.exec(pagePath);
+  if (collectible) return renderCollectible(collectible[1]);
+  if (pagePath === 'benefits') return renderCardPage('Benefits', 'benefit', 'Benefit');
+  if (pagePath === 'hunt') return renderCardPage('Hunt', 'hunt', 'Hunt');
+  if (pagePath === 'leaderboard') {
+    state.leaderboardVisits++;
+    return renderLeaderboard(state.leaderboardVisits % 2 === 0);
+  }
+  return null;
+}
+
+module.exports = {
+  renderPassportPage
+};
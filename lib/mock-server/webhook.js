@@ -0,0 +1,40 @@
+const { verifySignature } = require('../webhook');
+
+// Stand-in for the n8n webhook. It records every delivery it gets, checks
+// the signature against MOCK_WEBHOOK_SECRET (the secret suite.mock.json
+// signs with) and can refuse the first attempts to exercise retries:
+//   POST /webhook?fail=<n>   answers 503 to the first n attempts it receives
+//   GET  /webhook            every recorded delivery, as JSON
+const MOCK_WEBHOOK_SECRET = 'mock-webhook-secret';
+
+function signatureState(headers, body) {
+  if (!headers['x-webhook-signature']) return 'unsigned';
+  return verifySignature(MOCK_WEBHOOK_SECRET, headers, body) ? 'valid' : 'invalid';
+}
+
+// Record one delivery in `deliveries` and return the status to answer with.
+// A refused attempt is recorded too, so retries can be checked afterwards.
+function receiveWebhook(deliveries, { headers, query, body }) {
+  const refuse = Number(query.get('fail')) || 0;
+  const status = deliveries.length < refuse ? 503 : 200;
+  let payload = null;
+  try {
+    payload = JSON.parse(body);
+  } catch (e) {
+    // Recorded with a null payload; verify-harness reports it
+  }
+  deliveries.push({
+    event: headers['x-webhook-event'] || null,
+    delivery: headers['x-webhook-delivery'] || null,
+    attempt: Number(headers['x-webhook-attempt']) || null,
+    status,
+    signature: signatureState(headers, body),
+    payload
+  });
+  return status;
+}
+
+module.exports = {
+  MOCK_WEBHOOK_SECRET,
+  receiveWebhook
+};
@@ -0,0 +1,138 @@
+// Records the Bubble backend calls a form submit triggers, so a result can
+// be judged by what the server answered and not only by what the DOM shows.
+
+// Bubble runs workflows through /workflow/start and data/API calls under
+// /api/1.1/ (wf/, obj/, init/data)
+const WORKFLOW_PATTERNS = [/\/workflow\/start\b/, /\/api\/1\.1\//];
+
+// Request and response bodies are kept for the results file, truncated
+const MAX_BODY_LENGTH = 2000;
+
+function truncate(text) {
+  if (text === null || text === undefined) return null;
+  return text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH)}… (${text.length} chars)` : text;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Bubble answers failed workflows with 200 and an error object in the body
+function bodyError(json) {
+  if (!json || typeof json !== 'object') return null;
+  if (json.error_class) return `${json.error_class}${json.message ? `: ${json.message}` : ''}`;
+  if (json.status === 'ERROR') return `status ${json.status}${json.message ? `: ${json.message}` : ''}`;
+  return null;
+}
+
+// Start recording matching requests on `page`. Call settle() to wait for the
+// calls still in flight, then stop() to detach and get the recorded calls:
+// [{ method, url, status, ok, error, requestBody, responseBody, durationMs }]
+function startNetworkCapture(page, { patterns = WORKFLOW_PATTERNS } = {}) {
+  const calls = [];
+  const pending = new Map();
+
+  const matches = request => patterns.some(pattern => pattern.test(request.url()));
+
+  function onRequest(request) {
+    if (!matches(request)) return;
+    const call = {
+      method: request.method(),
+      url: request.url(),
+      status: null,
+      ok: false,
+      error: null,
+      requestBody: truncate(request.postData()),
+      responseBody: null,
+      durationMs: null
+    };
+    const startedAt = Date.now();
+    calls.push(call);
+
+    let done;
+    pending.set(request, {
+      call,
+      promise: new Promise(resolve => { done = resolve; }),
+      finish: () => {
+        call.durationMs = Date.now() - startedAt;
+        pending.delete(request);
+        done();
+      }
+    });
+  }
+
+  async function onRequestFinished(request) {
+    const entry = pending.get(request);
+    if (!entry) return;
+    const { call } = entry;
+    try {
+      const response = await request.response();
+      call.status = response ? response.status() : null;
+      const text = response ? await response.text().catch(() => null) : null;
+      call.responseBody = truncate(text);
+      call.error = call.status >= 400 ? `HTTP ${call.status}` : bodyError(parseJson(text));
+      call.ok = call.status !== null && !call.error;
+    } finally {
+      entry.finish();
+    }
+  }
+
+  function onRequestFailed(request) {
+    const entry = pending.get(request);
+    if (!entry) return;
+    const failure = request.failure();
+    entry.call.error = failure ? failure.errorText : 'Request failed';
+    entry.finish();
+  }
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onRequestFinished);
+  page.on('requestfailed', onRequestFailed);
+
+  // Wait until every recorded call has an answer, or `timeout` ms pass
+  async function settle(timeout) {
+    let timer;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(resolve, timeout);
+    });
+    try {
+      await Promise.race([Promise.all([...pending.values()].map(entry => entry.promise)), expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function stop() {
+    page.off('request', onRequest);
+    page.off('requestfinished', onRequestFinished);
+    page.off('requestfailed', onRequestFailed);
+    for (const { call } of pending.values()) {
+      call.error = call.error || 'No response before the capture stopped';
+    }
+    pending.clear();
+    return calls;
+  }
+
+  return { calls, settle, stop };
+}
+
+function failedCalls(calls) {
+  return calls.filter(call => !call.ok);
+}
+
+// One line per call for logs and failure messages
+function describeCall(call) {
+  const path = new URL(call.url).pathname;
+  return `${call.method} ${path} → ${call.error || `HTTP ${call.status}`}`;
+}
+
+module.exports = {
+  WORKFLOW_PATTERNS,
+  describeCall,
+  failedCalls,
+  startNetworkCapture
+};
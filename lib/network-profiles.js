@@ -0,0 +1,95 @@
+// Network conditions a session runs under, next to its device. Throttling is
+// applied through the Chrome DevTools Protocol: throughput in kilobits per
+// second (null = unthrottled) and latency in ms added to every request.
+// `timeoutFactor` stretches the suite's timeouts, since a page on slow 3G
+// legitimately takes longer than the full-speed defaults allow.
+const NETWORK_PROFILES = {
+  full: { downloadKbps: null, uploadKbps: null, latencyMs: 0, timeoutFactor: 1 },
+  'fast-3g': { downloadKbps: 1440, uploadKbps: 675, latencyMs: 563, timeoutFactor: 2 },
+  'slow-3g': { downloadKbps: 400, uploadKbps: 400, latencyMs: 2000, timeoutFactor: 4 },
+  'high-latency': { downloadKbps: 10000, uploadKbps: 5000, latencyMs: 1000, timeoutFactor: 2 }
+};
+
+// The profile every run used before profiles existed; artifact names and
+// result labels leave it out
+const DEFAULT_NETWORK = 'full';
+
+const PROFILE_KEYS = Object.keys(NETWORK_PROFILES.full);
+
+// Built-in profiles plus the suite file's `networkProfiles`, by name
+function networkProfileNames(custom = {}) {
+  return [...new Set([...Object.keys(NETWORK_PROFILES), ...Object.keys(custom)])];
+}
+
+function resolveNetworkProfile(name, custom = {}) {
+  const profile = custom[name] || NETWORK_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown network profile "${name}" (known: ${networkProfileNames(custom).join(', ')})`);
+  }
+  return { name, ...NETWORK_PROFILES.full, ...profile };
+}
+
+function isThrottled(profile) {
+  return profile.latencyMs > 0 || profile.downloadKbps !== null || profile.uploadKbps !== null;
+}
+
+function conditions(profile, offline) {
+  const bytesPerSecond = kbps => (kbps === null ? -1 : (kbps * 1000) / 8);
+  return {
+    offline,
+    latency: profile.latencyMs,
+    downloadThroughput: bytesPerSecond(profile.downloadKbps),
+    uploadThroughput: bytesPerSecond(profile.uploadKbps)
+  };
+}
+
+// Apply `profile` to `page` and resolve to { profile, setOffline(offline) }.
+// Going offline keeps the throttling for when the connection comes back.
+// Playwright's own context.setOffline() would reset the throttling, so the
+// offline toggle goes through the same DevTools session. Unthrottled pages
+// only open that session once they first go offline. Engines without the
+// DevTools Protocol (`cdp` false) can only go offline, not be throttled.
+async function emulateNetwork(context, page, profile, { cdp = true } = {}) {
+  if (!cdp) {
+    if (isThrottled(profile)) {
+      throw new Error(`Network profile "${profile.name}" needs Chromium to throttle`);
+    }
+    return { profile, setOffline: offline => context.setOffline(offline) };
+  }
+  let session = null;
+  const send = async offline => {
+    if (!session) {
+      session = await context.newCDPSession(page);
+      await session.send('Network.enable');
+    }
+    await session.send('Network.emulateNetworkConditions', conditions(profile, offline));
+  };
+  if (isThrottled(profile)) {
+    await send(false);
+  }
+  return { profile, setOffline: send };
+}
+
+// Suite timeouts stretched by the profile's timeoutFactor
+function scaleTimeouts(timeouts, profile) {
+  return Object.fromEntries(Object.entries(timeouts).map(([key, value]) => [key, Math.round(value * profile.timeoutFactor)]));
+}
+
+// Short description for logs, e.g. "slow-3g (400/400 kbps, +2000ms)"
+function describeNetworkProfile(profile) {
+  if (!isThrottled(profile)) return `${profile.name} (unthrottled)`;
+  const kbps = value => (value === null ? '∞' : value);
+  return `${profile.name} (${kbps(profile.downloadKbps)}/${kbps(profile.uploadKbps)} kbps, +${profile.latencyMs}ms)`;
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  NETWORK_PROFILES,
+  PROFILE_KEYS,
+  describeNetworkProfile,
+  emulateNetwork,
+  isThrottled,
+  networkProfileNames,
+  resolveNetworkProfile,
+  scaleTimeouts
+};
@@ -0,0 +1,116 @@
+// Collects what the browser reports while a scenario or step runs: console
+// errors, uncaught page exceptions and failed or 4xx/5xx requests. Nothing
+// fails on them unless the suite file's `diagnostics` block asks for it.
+
+// Playwright's request.resourceType() values
+const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+  'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other'
+];
+
+const DEFAULT_DIAGNOSTICS = {
+  failOnPageError: false, // fail a passing item on an uncaught exception
+  failOnHttpErrors: false, // fail a passing item on a failed or 4xx/5xx request...
+  // ...of these types. API calls (xhr, fetch) are left out, as an API may
+  // answer bad input with a 4xx, and bad input is what scenarios send.
+  httpErrorTypes: ['document', 'script', 'stylesheet', 'image', 'font'],
+  allowlist: [] // known noise: substrings, or "/regex/flags"
+};
+
+// Keep results files readable when a page logs in a loop
+const MAX_ENTRIES = 50;
+
+function emptyDiagnostics() {
+  return { consoleErrors: [], pageErrors: [], failedRequests: [], dropped: 0 };
+}
+
+function compilePattern(entry) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(entry);
+  if (match) {
+    return new RegExp(match[1], match[2]);
+  }
+  return new RegExp(entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+}
+
+// Start listening on `page`. take() returns everything seen since the last
+// call; check() says why a set of diagnostics should fail an item, or null.
+function createPageDiagnostics(page, options = {}) {
+  const resolved = { ...DEFAULT_DIAGNOSTICS, ...options };
+  const allowlist = resolved.allowlist.map(compilePattern);
+  let current = emptyDiagnostics();
+
+  const allowed = text => allowlist.some(pattern => pattern.test(text));
+
+  function record(kind, entry, text) {
+    if (allowed(text)) return;
+    if (current[kind].length >= MAX_ENTRIES) {
+      current.dropped++;
+      return;
+    }
+    current[kind].push(entry);
+  }
+
+  page.on('console', message => {
+    if (message.type() !== 'error') return;
+    const { url } = message.location();
+    record('consoleErrors', { text: message.text(), url: url || null }, `${message.text()} ${url || ''}`);
+  });
+
+  page.on('pageerror', error => {
+    record('pageErrors', { message: error.message }, error.message);
+  });
+
+  page.on('requestfailed', request => {
+    const failure = request.failure();
+    const error = failure ? failure.errorText : 'Request failed';
+    const entry = { method: request.method(), url: request.url(), resourceType: request.resourceType(), status: null, error };
+    record('failedRequests', entry, `${request.url()} ${error}`);
+  });
+
+  page.on('response', response => {
+    if (response.status() < 400) return;
+    const request = response.request();
+    const entry = { method: request.method(), url: response.url(), resourceType: request.resourceType(), status: response.status(), error: null };
+    record('failedRequests', entry, `${response.url()} HTTP ${response.status()}`);
+  });
+
+  function take() {
+    const taken = current;
+    current = emptyDiagnostics();
+    return taken;
+  }
+
+  function check(diagnostics) {
+    const problems = [];
+    if (resolved.failOnPageError && diagnostics.pageErrors.length > 0) {
+      problems.push(`${diagnostics.pageErrors.length} uncaught page error(s), first: ${diagnostics.pageErrors[0].message}`);
+    }
+    const failing = diagnostics.failedRequests.filter(entry => resolved.httpErrorTypes.includes(entry.resourceType));
+    if (resolved.failOnHttpErrors && failing.length > 0) {
+      const first = failing[0];
+      problems.push(`${failing.length} failed request(s), first: ${first.method} ${first.url} → ${first.error || `HTTP ${first.status}`}`);
+    }
+    return problems.length > 0 ? problems.join('; ') : null;
+  }
+
+  return { take, check };
+}
+
+// One-line count for summaries and reports, or null when the page was clean
+function summarizeDiagnostics(diagnostics) {
+  if (!diagnostics) return null;
+  const parts = [];
+  if (diagnostics.pageErrors.length > 0) parts.push(`${diagnostics.pageErrors.length} page error(s)`);
+  if (diagnostics.consoleErrors.length > 0) parts.push(`${diagnostics.consoleErrors.length} console error(s)`);
+  if (diagnostics.failedRequests.length > 0) parts.push(`${diagnostics.failedRequests.length} failed request(s)`);
+  if (diagnostics.dropped > 0) parts.push(`${diagnostics.dropped} more not kept`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+module.exports = {
+  DEFAULT_DIAGNOSTICS,
+  RESOURCE_TYPES,
+  compilePattern,
+  createPageDiagnostics,
+  summarizeDiagnostics
+};
@@ -0,0 +1,167 @@
+// Page performance metrics, measured in the page itself and compared with
+// the budgets from the suite file's `performance` block.
+//
+// Metrics per measured page (times in ms since the document's navigation):
+//   ttfb, domContentLoaded, load   Navigation Timing of the current document
+//   lcp                            Largest Contentful Paint
+//   cls                            Cumulative Layout Shift (sum of shifts
+//                                  without recent input)
+//   tti                            Time to interactive, approximated as the end
+//                                  of the last long task, or DOMContentLoaded
+//   transferredBytes               Document plus every resource so far
+// Bubble pages are single-page apps, so later pages in one document keep the
+// first load's navigation numbers; `bytesSincePrevious` shows what each
+// in-app page cost on top, and is the only number checked against the
+// transferredBytes budget for such pages.
+
+const METRICS = ['ttfb', 'domContentLoaded', 'load', 'lcp', 'cls', 'tti', 'transferredBytes'];
+
+const DEFAULT_PERFORMANCE = {
+  budgets: {}, // metric -> maximum, applied to every device
+  devices: {}, // device name -> metric -> maximum, overriding `budgets`
+  failOnBudget: false // fail a passing item when a budget is exceeded
+};
+
+// Long tasks are not buffered by the browser, so they have to be observed
+// from the first script on. Browsers without the API just report no tasks.
+function installPerformanceObservers(context) {
+  return context.addInitScript(() => {
+    window.__poapLongTasks = [];
+    try {
+      new PerformanceObserver(list => {
+        for (const entry of list.getEntries()) {
+          window.__poapLongTasks.push(entry.startTime + entry.duration);
+        }
+      }).observe({ type: 'longtask' });
+    } catch (e) {
+      // longtask is Chromium-only
+    }
+  });
+}
+
+async function readMetrics(page) {
+  return page.evaluate(async () => {
+    const buffered = type => new Promise(resolve => {
+      try {
+        const observer = new PerformanceObserver(list => {
+          observer.disconnect();
+          resolve(list.getEntries());
+        });
+        observer.observe({ type, buffered: true });
+        setTimeout(() => {
+          observer.disconnect();
+          resolve([]);
+        }, 250);
+      } catch (e) {
+        resolve([]);
+      }
+    });
+
+    const [lcpEntries, shiftEntries] = await Promise.all([
+      buffered('largest-contentful-paint'),
+      buffered('layout-shift')
+    ]);
+
+    const round = value => (value === null || value === undefined ? null : Math.round(value));
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const resources = performance.getEntriesByType('resource');
+    const longTasks = window.__poapLongTasks || [];
+
+    const domContentLoaded = navigation ? navigation.domContentLoadedEventEnd : null;
+    const lastLongTask = longTasks.length > 0 ? Math.max(...longTasks) : 0;
+    return {
+      ttfb: navigation ? round(navigation.responseStart) : null,
+      domContentLoaded: round(domContentLoaded),
+      load: navigation && navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd) : null,
+      lcp: lcpEntries.length > 0 ? round(lcpEntries[lcpEntries.length - 1].startTime) : null,
+      cls: Number(shiftEntries.filter(entry => !entry.hadRecentInput).reduce((sum, entry) => sum + entry.value, 0).toFixed(4)),
+      tti: domContentLoaded === null ? null : round(Math.max(domContentLoaded, lastLongTask)),
+      transferredBytes: (navigation ? navigation.transferSize : 0) + resources.reduce((sum, entry) => sum + (entry.transferSize || 0), 0),
+      resourceCount: resources.length,
+      longTaskCount: longTasks.length,
+      timeOrigin: performance.timeOrigin
+    };
+  });
+}
+
+// measure(page, name) resolves to
+// { page: name, url, newDocument, metrics, bytesSincePrevious,
+//   violations: [{ metric, value, budget }], error }
+function createPerformanceMonitor(deviceName, options = {}) {
+  const resolved = { ...DEFAULT_PERFORMANCE, ...options };
+  const budgets = { ...resolved.budgets, ...(resolved.devices[deviceName] || {}) };
+  let previousBytes = 0;
+  let previousOrigin = null;
+
+  async function measure(page, name) {
+    const result = { page: name, url: page.url(), metrics: null, bytesSincePrevious: null, violations: [], error: null };
+    try {
+      result.metrics = await readMetrics(page);
+    } catch (error) {
+      result.error = error.message;
+      return result;
+    }
+
+    // A new document (new timeOrigin) restarts the resource timeline
+    const sameDocument = result.metrics.timeOrigin === previousOrigin;
+    result.bytesSincePrevious = result.metrics.transferredBytes - (sameDocument ? previousBytes : 0);
+    previousBytes = result.metrics.transferredBytes;
+    previousOrigin = result.metrics.timeOrigin;
+
+    result.newDocument = !sameDocument;
+    for (const [metric, budget] of Object.entries(budgets)) {
+      if (sameDocument && metric !== 'transferredBytes') continue;
+      const value = sameDocument ? result.bytesSincePrevious : result.metrics[metric];
+      if (value !== null && value !== undefined && value > budget) {
+        result.violations.push({ metric, value, budget });
+      }
+    }
+    return result;
+  }
+
+  // Why these measurements should fail an item, or null
+  function check(measurements) {
+    if (!resolved.failOnBudget) return null;
+    const violations = measurements.flatMap(entry => entry.violations.map(violation => describeViolation(entry.page, violation)));
+    return violations.length > 0 ? `${violations.length} performance budget(s) exceeded: ${violations.join(', ')}` : null;
+  }
+
+  return { budgets, measure, check };
+}
+
+function formatMetric(metric, value) {
+  if (metric === 'cls') return String(value);
+  if (metric === 'transferredBytes') return `${(value / 1024).toFixed(0)} KB`;
+  return `${value}ms`;
+}
+
+function describeViolation(pageName, { metric, value, budget }) {
+  return `${metric} ${formatMetric(metric, value)} > ${formatMetric(metric, budget)} on ${pageName}`;
+}
+
+// Console line for one measurement
+function formatMeasurement(entry) {
+  if (entry.error) return `${entry.page}: not measured (${entry.error})`;
+  const { metrics } = entry;
+  const shown = entry.newDocument
+    ? ['ttfb', 'lcp', 'cls', 'tti'].filter(metric => metrics[metric] !== null).map(metric => `${metric.toUpperCase()} ${formatMetric(metric, metrics[metric])}`)
+    : [];
+  shown.push(`${formatMetric('transferredBytes', entry.bytesSincePrevious)} transferred`);
+  return `${entry.page}: ${shown.join(', ')}`;
+}
+
+// One line per item for summaries and reports, or null when within budget
+function summarizePerformance(measurements) {
+  if (!measurements || measurements.length === 0) return null;
+  const violations = measurements.flatMap(entry => entry.violations.map(violation => describeViolation(entry.page, violation)));
+  return violations.length > 0 ? `over budget: ${violations.join(', ')}` : null;
+}
+
+module.exports = {
+  DEFAULT_PERFORMANCE,
+  METRICS,
+  createPerformanceMonitor,
+  formatMeasurement,
+  installPerformanceObservers,
+  summarizePerformance
+};
@@ -0,0 +1,132 @@
+const { devices } = require('playwright-extra');
+const { filterByName } = require('./cli');
+const { finishSession } = require('./results');
+const { createPageDiagnostics } = require('./page-diagnostics');
+const { installPerformanceObservers } = require('./performance');
+const {
+  describeNetworkProfile,
+  emulateNetwork,
+  isThrottled,
+  networkProfileNames,
+  resolveNetworkProfile
+} = require('./network-profiles');
+const { acceptLanguage, navigatorLanguages } = require('./locales');
+const { ENGINE_NAMES, deviceClass, deviceOptions, supportsCdp } = require('./browsers');
+
+// Recorded device sessions, shared by both runners: the engine × network ×
+// locale variants each device runs in, the names their videos and
+// screenshots are filed under, and the browser context that records them.
+
+// The engines, network profiles and locales of a runner's block of the suite
+// (`defaults`: { engines, networks, locales }), narrowed or replaced by the
+// --engine, --network and --locale filters in `args`. `variants` is every
+// combination of them, in matrix order. Unknown names throw a CliError.
+function selectVariants(defaults, networkProfiles, args) {
+  const engines = args.engine.length > 0 ? filterByName(ENGINE_NAMES, args.engine, 'browser engine') : defaults.engines;
+  const profiles = (args.network.length > 0
+    ? filterByName(networkProfileNames(networkProfiles), args.network, 'network profile')
+    : defaults.networks
+  ).map(name => resolveNetworkProfile(name, networkProfiles));
+  const locales = filterByName(defaults.locales, args.locale, 'locale', entry => entry.locale);
+  const variants = engines.flatMap(engine => profiles.flatMap(profile => locales.map(locale => ({ engine, profile, locale }))));
+  return { engines, profiles, locales, variants };
+}
+
+// Throttling needs the DevTools Protocol, so a session throttled in another
+// engine can only stay unrun
+function canRun({ engine, profile }) {
+  return supportsCdp(engine) || !isThrottled(profile);
+}
+
+// A device session's line in --list
+function describeVariant(deviceName, { engine, profile, locale }) {
+  const unrunnable = canRun({ engine, profile }) ? '' : ' ⏭️ (throttling needs Chromium)';
+  return `📱 ${deviceName} (${deviceClass(devices[deviceName])}) 🧭 ${engine} 📶 ${describeNetworkProfile(profile)} 🌍 ${locale.locale} (${locale.timezoneId})${unrunnable}`;
+}
+
+// The planned `jobs` ({ engine, profile, session, items }) that can run; the
+// others' sessions are finished unrun, their items saying why
+function runnableJobs(run, jobs) {
+  return jobs.filter(({ engine, profile, session, items }) => {
+    if (canRun({ engine, profile })) return true;
+    for (const item of Object.values(items)) {
+      item.message = `Not run: network profile "${profile.name}" needs Chromium to throttle`;
+    }
+    finishSession(run, session);
+    return false;
+  });
+}
+
+// Generate formatted date for filenames (DD-MM-YYYY)
+function getFormattedDate(now = new Date()) {
+  const day = String(now.getDate()).padStart(2, '0');
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const year = now.getFullYear();
+  return `${day}-${month}-${year}`;
+}
+
+// Convert device name to filename-friendly format
+function deviceToFilename(deviceName) {
+  return deviceName.toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/\+/g, '-plus');
+}
+
+// Open a browser context emulating `deviceConfig` on the `engine` of
+// `browser` that records a video into `videoDir`, and the page to test in
+// it, throttled to the network `profile` and set to `locale`
+// ({ locale, timezoneId }). `permissions` are granted where the engine
+// allows them. The caller closes the context to save the video.
+async function openRecording(browser, deviceConfig, { engine, waits, diagnosticsOptions, profile, locale, videoDir, permissions }) {
+  // Create context with device emulation and video recording
+  const context = await browser.newContext({
+    ...deviceOptions(engine, deviceConfig, permissions),
+    recordVideo: {
+      dir: videoDir,
+      size: deviceConfig.viewport
+    },
+    // Additional stealth settings
+    locale: locale.locale,
+    timezoneId: locale.timezoneId,
+    extraHTTPHeaders: {
+      'Accept-Language': acceptLanguage(locale.locale),
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+    }
+  });
+
+  // Add stealth measures
+  await context.addInitScript(languages => {
+    Object.defineProperty(navigator, 'webdriver', {
+      get: () => false,
+    });
+    Object.defineProperty(navigator, 'plugins', {
+      get: () => [1, 2, 3, 4, 5],
+    });
+    Object.defineProperty(navigator, 'languages', {
+      get: () => languages,
+    });
+  }, navigatorLanguages(locale.locale));
+  await installPerformanceObservers(context);
+
+  const page = await context.newPage();
+  page.setDefaultTimeout(waits.timeouts.element);
+  page.setDefaultNavigationTimeout(waits.timeouts.navigation);
+  return {
+    context,
+    page,
+    video: page.video(),
+    startedAt: Date.now(),
+    pageDiagnostics: createPageDiagnostics(page, diagnosticsOptions),
+    connection: await emulateNetwork(context, page, profile, { cdp: supportsCdp(engine) })
+  };
+}
+
+module.exports = {
+  describeVariant,
+  deviceToFilename,
+  getFormattedDate,
+  openRecording,
+  runnableJobs,
+  selectVariants
+};
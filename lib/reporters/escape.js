@@ -0,0 +1,13 @@
+// Escape text for use inside XML/HTML content and attribute values. Control
+// characters that XML 1.0 forbids (they show up in scraped page text) are dropped.
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = { escapeXml };
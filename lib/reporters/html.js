@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeXml: escapeHtml } = require('./escape');
+const { groupBySuite } = require('./junit');
+
+const STATUS_LABELS = {
+  pass: '✅ PASS',
+  fail: '❌ FAIL',
+  error: '⚠️ ERROR',
+  skipped: '⏭️ SKIPPED'
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #1f2328; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #656d76; margin-bottom: 16px; }
+  .totals span { display: inline-block; margin-right: 16px; font-weight: 600; }
+  .filters label { margin-right: 12px; }
+  section { margin-top: 28px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #d0d7de; padding: 8px; text-align: left; vertical-align: top; }
+  tr.fail td:first-child, tr.error td:first-child { color: #cf222e; }
+  tr.pass td:first-child { color: #1a7f37; }
+  tr.skipped td:first-child { color: #656d76; }
+  .note { color: #9a6700; font-size: 0.9em; margin-top: 4px; }
+  .flaky { color: #9a6700; font-weight: 600; }
+  img.shot { max-width: 180px; max-height: 320px; border: 1px solid #d0d7de; cursor: zoom-in; }
+  img.shot.zoomed { max-width: 100%; max-height: none; cursor: zoom-out; }
+`;
+
+// Keep the report a single file: screenshots go in as data URIs
+async function embedImage(filePath) {
+  try {
+    const data = await fs.readFile(filePath);
+    return `data:image/png;base64,${data.toString('base64')}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatOffset(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function renderNote(icon, text) {
+  return text ? `<div class="note">${icon} ${escapeHtml(text)}</div>` : '';
+}
+
+function videoHrefFor(video, videoStartMs, reportDir) {
+  const href = path.relative(reportDir, path.resolve(video)).split(path.sep).join('/');
+  return videoStartMs ? `${href}#t=${(videoStartMs / 1000).toFixed(1)}` : href;
+}
+
+// Links to the screenshot and video of each earlier attempt
+function renderAttempts(attempts, reportDir) {
+  const links = (attempts || []).map(attempt => {
+    const parts = [`#${attempt.attempt} ${escapeHtml(attempt.status)}`];
+    if (attempt.screenshot) {
+      parts.push(`<a href="${escapeHtml(path.relative(reportDir, path.resolve(attempt.screenshot)).split(path.sep).join('/'))}">screenshot</a>`);
+    }
+    if (attempt.video) {
+      parts.push(`<a href="${escapeHtml(videoHrefFor(attempt.video, attempt.videoStartMs, reportDir))}">video</a>`);
+    }
+    return parts.join(' ');
+  });
+  return links.length > 0 ? `<div class="note">Earlier attempts: ${links.join(', ')}</div>` : '';
+}
+
+async function renderRow(testCase, reportDir) {
+  const status = STATUS_LABELS[testCase.status] || escapeHtml(testCase.status);
+  const cells = [
+    `<td>${status}${testCase.flaky ? ' <span class="flaky">🔁 FLAKY</span>' : ''}</td>`,
+    `<td>${escapeHtml(testCase.name)}</td>`,
+    `<td>${escapeHtml(testCase.message)}${renderNote('🐞', testCase.diagnostics)}${renderNote('♿', testCase.accessibility)}${renderNote('⏱️', testCase.performance)}${renderNote('🔁', testCase.retries)}${renderAttempts(testCase.attempts, reportDir)}</td>`
+  ];
+
+  const dataUri = testCase.screenshot ? await embedImage(testCase.screenshot) : null;
+  cells.push(dataUri
+    ? `<td><img class="shot" alt="${escapeHtml(testCase.screenshot)}" src="${dataUri}" onclick="this.classList.toggle('zoomed')"></td>`
+    : `<td>${testCase.screenshot ? `<em>missing ${escapeHtml(testCase.screenshot)}</em>` : ''}</td>`);
+
+  // Videos are too large to embed; link them relative to the report, with a
+  // media fragment so the player jumps to where this case starts
+  const videoHref = testCase.video ? path.relative(reportDir, testCase.video).split(path.sep).join('/') : null;
+  const startSeconds = testCase.videoStartMs ? testCase.videoStartMs / 1000 : 0;
+  const videoLink = startSeconds > 0
+    ? `<a href="${escapeHtml(`${videoHref}#t=${startSeconds.toFixed(1)}`)}">${escapeHtml(path.basename(testCase.video))} @ ${formatOffset(startSeconds)}</a>`
+    : `<a href="${escapeHtml(videoHref)}">${escapeHtml(path.basename(testCase.video || ''))}</a>`;
+  cells.push(`<td>${videoHref ? videoLink : ''}</td>`);
+
+  return `<tr class="${escapeHtml(testCase.status)}">${cells.join('')}</tr>`;
+}
+
+async function renderHtml({ name, cases, timestamp = new Date().toISOString(), flakeRates = [] }, reportPath) {
+  const reportDir = path.dirname(path.resolve(reportPath));
+  const count = status => cases.filter(c => c.status === status).length;
+  const flaky = (flakeRates || []).filter(entry => entry.flaky > 0)
+    .map(entry => `${escapeHtml(entry.step)} ${entry.flaky}/${entry.runs} (${(entry.rate * 100).toFixed(0)}%)`);
+
+  const sections = [];
+  for (const [suite, suiteCases] of groupBySuite(cases)) {
+    const rows = [];
+    for (const testCase of suiteCases) {
+      rows.push(await renderRow({ ...testCase, video: testCase.video && path.resolve(testCase.video) }, reportDir));
+    }
+    sections.push(`<section>
+  <h2>${escapeHtml(suite)}</h2>
+  <table>
+    <thead><tr><th>Status</th><th>Test</th><th>Message</th><th>Screenshot</th><th>Video</th></tr></thead>
+    <tbody>
+      ${rows.join('\n      ')}
+    </tbody>
+  </table>
+</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(name)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(name)}</h1>
+<div class="meta">Generated ${escapeHtml(timestamp)}</div>
+<div class="totals">
+  <span>Total: ${cases.length}</span>
+  <span>✅ ${count('pass')}</span>
+  <span>❌ ${count('fail')}</span>
+  <span>⚠️ ${count('error')}</span>
+  <span>⏭️ ${count('skipped')}</span>
+  <span>🔁 ${cases.filter(c => c.flaky).length} flaky</span>
+</div>
+${flaky.length > 0 ? `<div class="meta">Flake rates: ${flaky.join(', ')}</div>` : ''}
+<div class="filters">
+  <label><input type="checkbox" id="only-problems"> Only show failures and errors</label>
+</div>
+${sections.join('\n')}
+<script>
+  document.getElementById('only-problems').addEventListener('change', function (event) {
+    document.querySelectorAll('tr.pass, tr.skipped').forEach(function (row) {
+      row.style.display = event.target.checked ? 'none' : '';
+    });
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+async function writeHtmlReport(filePath, report) {
+  await fs.writeFile(filePath, await renderHtml(report, filePath));
+  return filePath;
+}
+
+module.exports = {
+  renderHtml,
+  writeHtmlReport
+};
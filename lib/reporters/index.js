@@ -0,0 +1,88 @@
+const { writeJUnitReport } = require('./junit');
+const { writeHtmlReport } = require('./html');
+const { writeMarkdownDigest } = require('./markdown');
+const { deviceLabel, sessionItems } = require('../results');
+const { summarizeDiagnostics } = require('../page-diagnostics');
+const { summarizeAccessibility } = require('../accessibility');
+const { summarizePerformance } = require('../performance');
+const { summarizeAttempts } = require('../retries');
+
+function lastScreenshot(artifacts) {
+  return artifacts.screenshots[artifacts.screenshots.length - 1];
+}
+
+// Turn a run (see lib/results.js) into the flat case list the reporters
+// take: one case per item, plus one error case per crashed session whose
+// error was not already charged to an item. Earlier attempts of a retried
+// item ride along with their own screenshot and video.
+function runToReport(run, name) {
+  const cases = run.items.map(item => ({
+    suite: `${item.target} / ${deviceLabel(item)}`,
+    target: item.target,
+    device: deviceLabel(item),
+    name: item.step,
+    status: item.status,
+    flaky: item.flaky,
+    message: item.message,
+    screenshot: lastScreenshot(item.artifacts),
+    video: item.artifacts.video,
+    videoStartMs: item.artifacts.videoChapter ? item.artifacts.videoChapter.startMs : null,
+    durationMs: item.durationMs,
+    diagnostics: summarizeDiagnostics(item.details.diagnostics),
+    accessibility: summarizeAccessibility(item.details.accessibility),
+    performance: summarizePerformance(item.details.performance),
+    retries: summarizeAttempts(item),
+    attempts: item.attempts.map(attempt => ({
+      attempt: attempt.attempt,
+      status: attempt.status,
+      screenshot: lastScreenshot(attempt.artifacts),
+      video: attempt.artifacts.video,
+      videoStartMs: attempt.artifacts.videoChapter ? attempt.artifacts.videoChapter.startMs : null
+    }))
+  }));
+
+  for (const session of run.sessions) {
+    const charged = sessionItems(run, session).some(item => item.details.sessionError);
+    if (session.error && !charged) {
+      cases.push({
+        suite: `${session.target} / ${deviceLabel(session)}`,
+        target: session.target,
+        device: deviceLabel(session),
+        session: true,
+        name: 'device',
+        status: 'error',
+        message: session.error,
+        video: session.artifacts.video,
+        durationMs: session.durationMs
+      });
+    }
+  }
+
+  return { name: `${name} (${run.runId})`, cases, timestamp: run.startedAt, flakeRates: run.flakeRates };
+}
+
+// Write every report format for one run. `outputs` maps a format to the
+// file it should be written to; formats without a path are skipped.
+// `artifacts` ([{ name, dir }]) says which CI artifact holds the files under
+// each directory, for the digest to link screenshots to.
+async function writeReports(report, outputs, { artifacts = [] } = {}) {
+  const written = [];
+  if (outputs.junit) {
+    written.push(await writeJUnitReport(outputs.junit, report));
+  }
+  if (outputs.html) {
+    written.push(await writeHtmlReport(outputs.html, report));
+  }
+  if (outputs.markdown) {
+    written.push(await writeMarkdownDigest(outputs.markdown, report, { artifacts }));
+  }
+  return written;
+}
+
+module.exports = {
+  runToReport,
+  writeHtmlReport,
+  writeJUnitReport,
+  writeMarkdownDigest,
+  writeReports
+};
@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const { escapeXml } = require('./escape');
+
+// Reporters take a flat list of cases:
+//   { suite, target, device, session, name, status: 'pass'|'fail'|'error'|'skipped', flaky, message, screenshot, video,
+//     videoStartMs, durationMs, diagnostics, accessibility, performance, retries,
+//     attempts: [{ attempt, status, screenshot, video, videoStartMs }] }
+// `videoStartMs` is where the case starts in `video`, when the video is shared.
+// `diagnostics`, `accessibility`, `performance` and `retries` are optional
+// one-line summaries of browser errors, axe violations, exceeded budgets and
+// earlier attempts; `attempts` holds the artifacts of those attempts.
+// `suite` groups cases into one <testsuite> (e.g. "Original / iPhone SE");
+// `target` and `device` are its two halves, for reporters that lay cases
+// out as a grid. `session` marks a device error no item took over.
+
+function groupBySuite(cases) {
+  const suites = new Map();
+  for (const testCase of cases) {
+    if (!suites.has(testCase.suite)) {
+      suites.set(testCase.suite, []);
+    }
+    suites.get(testCase.suite).push(testCase);
+  }
+  return suites;
+}
+
+function countStatus(cases, status) {
+  return cases.filter(c => c.status === status).length;
+}
+
+function seconds(durationMs) {
+  return ((durationMs || 0) / 1000).toFixed(3);
+}
+
+function renderTestCase(testCase, indent) {
+  const attributes = `classname="${escapeXml(testCase.suite)}" name="${escapeXml(testCase.name)}" time="${seconds(testCase.durationMs)}"`;
+  const children = [];
+
+  if (testCase.status === 'fail') {
+    children.push(`<failure message="${escapeXml(testCase.message)}">${escapeXml(testCase.message)}</failure>`);
+  } else if (testCase.status === 'error') {
+    children.push(`<error message="${escapeXml(testCase.message)}">${escapeXml(testCase.message)}</error>`);
+  } else if (testCase.status === 'skipped') {
+    children.push(`<skipped message="${escapeXml(testCase.message)}"/>`);
+  }
+
+  // [[ATTACHMENT|path]] is picked up by Jenkins and most JUnit viewers
+  const output = [];
+  if (testCase.status === 'pass' && testCase.message) output.push(testCase.message);
+  if (testCase.diagnostics) output.push(`Browser: ${testCase.diagnostics}`);
+  if (testCase.accessibility) output.push(`Accessibility: ${testCase.accessibility}`);
+  if (testCase.performance) output.push(`Performance: ${testCase.performance}`);
+  if (testCase.retries) output.push(`Retried: ${testCase.retries}`);
+  if (testCase.screenshot) output.push(`[[ATTACHMENT|${testCase.screenshot}]]`);
+  if (testCase.video) output.push(`[[ATTACHMENT|${testCase.video}]]`);
+  for (const attempt of testCase.attempts || []) {
+    if (attempt.screenshot) output.push(`[[ATTACHMENT|${attempt.screenshot}]]`);
+    if (attempt.video && attempt.video !== testCase.video) output.push(`[[ATTACHMENT|${attempt.video}]]`);
+  }
+  if (output.length > 0) {
+    children.push(`<system-out>${escapeXml(output.join('\n'))}</system-out>`);
+  }
+
+  if (children.length === 0) {
+    return `${indent}<testcase ${attributes}/>`;
+  }
+  return [
+    `${indent}<testcase ${attributes}>`,
+    ...children.map(child => `${indent}  ${child}`),
+    `${indent}</testcase>`
+  ].join('\n');
+}
+
+function renderJUnit({ name, cases, timestamp = new Date().toISOString() }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${cases.length}" failures="${countStatus(cases, 'fail')}" errors="${countStatus(cases, 'error')}" skipped="${countStatus(cases, 'skipped')}" time="${seconds(cases.reduce((sum, c) => sum + (c.durationMs || 0), 0))}">`
+  ];
+
+  for (const [suite, suiteCases] of groupBySuite(cases)) {
+    lines.push(`  <testsuite name="${escapeXml(suite)}" tests="${suiteCases.length}" failures="${countStatus(suiteCases, 'fail')}" errors="${countStatus(suiteCases, 'error')}" skipped="${countStatus(suiteCases, 'skipped')}" timestamp="${escapeXml(timestamp)}" time="${seconds(suiteCases.reduce((sum, c) => sum + (c.durationMs || 0), 0))}">`);
+    for (const testCase of suiteCases) {
+      lines.push(renderTestCase(testCase, '    '));
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+async function writeJUnitReport(filePath, report) {
+  await fs.writeFile(filePath, renderJUnit(report));
+  return filePath;
+}
+
+module.exports = {
+  groupBySuite,
+  renderJUnit,
+  writeJUnitReport
+};
@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { STATUS_ICONS } = require('../summary');
+
+// Table cells are one line and | ends them; inline HTML is not wanted
+function escapeCell(value) {
+  return String(value == null ? '' : value)
+    .replace(/\s+/g, ' ')
+    .replace(/[|\\`*_[\]<>]/g, character => `\\${character}`)
+    .trim();
+}
+
+// The run page's artifact list, when the digest is written in Actions
+function artifactsUrl(env = process.env) {
+  if (!env.GITHUB_SERVER_URL || !env.GITHUB_REPOSITORY || !env.GITHUB_RUN_ID) return null;
+  return `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}#artifacts`;
+}
+
+// A failure's screenshot is embedded, with a path relative to the digest's
+// directory `dir`. GitHub strips images embedded in a job summary, so there
+// it is linked instead: to the run's artifacts, naming the artifact
+// (`artifacts` is [{ name, dir }], what the workflow uploads from where), or
+// only named when no artifact holds it
+function screenshotLink(screenshot, { artifacts, jobSummary, dir }) {
+  const file = path.relative('.', screenshot).split(path.sep).join('/');
+  if (!jobSummary) {
+    const relative = path.relative(dir, screenshot).split(path.sep).join('/');
+    return `![${escapeCell(file)}](${encodeURI(relative)})`;
+  }
+  const url = artifactsUrl();
+  const artifact = artifacts.find(({ dir: artifactDir }) => !path.relative(artifactDir, screenshot).startsWith('..'));
+  return url && artifact
+    ? `[${escapeCell(file)}](${url}) in the \`${artifact.name}\` artifact`
+    : `\`${file}\``;
+}
+
+// One table per target: a row per device, a column per scenario or step
+function renderGrid(target, cases) {
+  const steps = [...new Set(cases.map(testCase => testCase.name))];
+  const devices = new Map();
+  for (const testCase of cases) {
+    if (!devices.has(testCase.device)) devices.set(testCase.device, new Map());
+    devices.get(testCase.device).set(testCase.name, testCase);
+  }
+
+  const lines = [
+    `### ${escapeCell(target)}`,
+    '',
+    `| Device | ${steps.map(escapeCell).join(' | ')} |`,
+    `| --- | ${steps.map(() => ':---:').join(' | ')} |`
+  ];
+  for (const [device, byStep] of devices) {
+    const cells = steps.map(step => {
+      const testCase = byStep.get(step);
+      if (!testCase) return '';
+      return `${STATUS_ICONS[testCase.status] || escapeCell(testCase.status)}${testCase.flaky ? ' 🔁' : ''}`;
+    });
+    lines.push(`| ${escapeCell(device)} | ${cells.join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+function renderFailures(cases, options) {
+  const failures = cases.filter(testCase => testCase.status === 'fail' || testCase.status === 'error');
+  if (failures.length === 0) return '';
+
+  const lines = ['### Failures', ''];
+  for (const testCase of failures) {
+    lines.push(`- ${STATUS_ICONS[testCase.status]} **${escapeCell(testCase.suite)} / ${escapeCell(testCase.name)}**: ${escapeCell(testCase.message)}`);
+    if (testCase.screenshot) {
+      lines.push(`  <br>Screenshot: ${screenshotLink(testCase.screenshot, options)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderMarkdown({ name, cases, timestamp = new Date().toISOString(), flakeRates = [] }, { artifacts = [], jobSummary = false, dir = '.' } = {}) {
+  const count = status => cases.filter(c => c.status === status).length;
+  const flaky = (flakeRates || []).filter(entry => entry.flaky > 0)
+    .map(entry => `${escapeCell(entry.step)} ${entry.flaky}/${entry.runs} (${(entry.rate * 100).toFixed(0)}%)`);
+
+  // Session errors that no item took over only show up under Failures
+  const targets = new Map();
+  for (const testCase of cases.filter(c => !c.session)) {
+    if (!targets.has(testCase.target)) targets.set(testCase.target, []);
+    targets.get(testCase.target).push(testCase);
+  }
+
+  const sections = [
+    `## ${escapeCell(name)}`,
+    '',
+    `${cases.length} results: ✅ ${count('pass')} passed, ❌ ${count('fail')} failed, ⚠️ ${count('error')} errored, ⏭️ ${count('skipped')} skipped, 🔁 ${cases.filter(c => c.flaky).length} flaky · ${escapeCell(timestamp)}`,
+    ...(flaky.length > 0 ? ['', `Flake rates: ${flaky.join(', ')}`] : []),
+    ...[...targets].map(([target, targetCases]) => `\n${renderGrid(target, targetCases)}`),
+    ''
+  ];
+  const failures = renderFailures(cases, { artifacts, jobSummary, dir });
+  if (failures) sections.push(failures, '');
+  return `${sections.join('\n')}\n`;
+}
+
+// Write the digest to `filePath`. GitHub's job summary file collects every
+// step's digest, so it is appended to instead of overwritten.
+async function writeMarkdownDigest(filePath, report, options = {}) {
+  const jobSummary = filePath === process.env.GITHUB_STEP_SUMMARY;
+  const markdown = renderMarkdown(report, { ...options, jobSummary, dir: path.dirname(filePath) });
+  if (jobSummary) {
+    await fs.appendFile(filePath, markdown);
+  } else {
+    await fs.writeFile(filePath, markdown);
+  }
+  return filePath;
+}
+
+module.exports = {
+  renderMarkdown,
+  writeMarkdownDigest
+};
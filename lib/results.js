@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const os = require('os');
+const { DEFAULT_NETWORK } = require('./network-profiles');
+const { DEFAULT_LOCALE } = require('./locales');
+const { DEFAULT_ENGINE } = require('./browsers');
+
+// Result schema shared by the form and passport runners, written to
+// test-results.json / passport-test-results.json. Bump SCHEMA_VERSION on any
+// breaking change so consumers (n8n) can branch on it.
+//
+// {
+//   schemaVersion: 1,
+//   runId: '20261019T142139Z-3f9a1c',
+//   runner: 'form' | 'passport',
+//   startedAt, finishedAt,            ISO 8601 strings
+//   durationMs,
+//   environment: {
+//     node, platform,
+//     browser: { name, version },      the first engine launched, as before engines existed
+//     browsers: [{ name, version }],   every engine launched, in matrix order
+//     targets: [{ name, url, version }]   version = app version in the URL, e.g. 'version-72bms'
+//     generatedInputs: { categories, perCategory, seed }   form runs with generated inputs, else null
+//   },
+//   selection: {                         what the run was asked to cover; runs compare
+//     suite,                             only with runs of the same selection
+//     filters: { device: ['pixel 5'] }   the CLI filters given, lowercased and sorted
+//   },
+//   totals: { total, pass, fail, error, skipped, blocked, flaky },
+//   flakeRates: [{ step, runs, flaky, rate }]   per scenario / step across targets and devices
+//   sessions: [{                         one browser context per target × device × engine × network × locale
+//     target, device,
+//     engine,                            'chromium' | 'firefox' | 'webkit'
+//     network,                           network profile name, 'full' when unthrottled
+//     locale,                            BCP 47 locale, e.g. 'es-ES'
+//     status: 'ok' | 'error',
+//     error, blocked,
+//     startedAt, finishedAt, durationMs,
+//     artifacts: {
+//       video,
+//       chapters: [{ step, attempt, video, startMs, endMs }]   where each attempt sits in its video
+//     }
+//   }],
+//   items: [{                            one per form scenario / passport step
+//     id: '<target>/<device>/<step>',   '<target>/<device>(<engine>)[<locale>]@<network>/<step>'
+//                                       off Chromium, the en-US locale and the full network
+//     target, device, engine, network, locale, step,
+//     status: 'pass' | 'fail' | 'error' | 'skipped',
+//     flaky,                              true when it passed only on a retry
+//     message,
+//     startedAt, finishedAt, durationMs,  null while skipped
+//     artifacts: {
+//       screenshots: [],
+//       video,                           the session video or the item's own clip
+//       videoChapter: { startMs, endMs } offsets into `video`, null if not run
+//     },
+//     details: {},                        runner-specific extras (errorMessage, redirectUrl, ...)
+//     attempts: [{                        earlier failed attempts, oldest first, with
+//       attempt, status, message,         their own artifacts and details
+//       startedAt, finishedAt, durationMs, artifacts, details
+//     }]
+//   }]
+// }
+//
+// Items are planned up front in matrix order and start out as 'skipped', so
+// anything a crash prevents from running still shows up in the totals.
+const SCHEMA_VERSION = 1;
+
+const STATUSES = ['pass', 'fail', 'error', 'skipped'];
+
+function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Bubble apps serve each deploy under /version-xxxxx/; live URLs have none
+function targetVersion(url) {
+  const match = /\/(version-[a-z0-9]+)\//i.exec(url);
+  return match ? match[1] : 'live';
+}
+
+function createRun(runner, targets, { suite = null, filters = {} } = {}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    runId: createRunId(),
+    runner,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    environment: {
+      node: process.version,
+      platform: `${os.platform()} ${os.release()}`,
+      browser: null,
+      browsers: [],
+      targets: targets.map(({ name, url }) => ({ name, url, version: targetVersion(url) })),
+      generatedInputs: null
+    },
+    selection: { suite, filters },
+    totals: null,
+    flakeRates: null,
+    sessions: [],
+    items: []
+  };
+}
+
+// "Pixel 5", or "Pixel 5 (webkit) [es-ES] @ slow-3g" for a session or item
+// in another engine or locale or on a throttled profile; used wherever
+// results are grouped by device
+function deviceLabel({ device, engine = DEFAULT_ENGINE, network = DEFAULT_NETWORK, locale = DEFAULT_LOCALE.locale }) {
+  return [
+    device,
+    ...(engine === DEFAULT_ENGINE ? [] : [`(${engine})`]),
+    ...(locale === DEFAULT_LOCALE.locale ? [] : [`[${locale}]`]),
+    ...(network === DEFAULT_NETWORK ? [] : [`@ ${network}`])
+  ].join(' ');
+}
+
+function planSession(run, { target, device, engine = DEFAULT_ENGINE, network = DEFAULT_NETWORK, locale = DEFAULT_LOCALE.locale }) {
+  const session = {
+    target,
+    device,
+    engine,
+    network,
+    locale,
+    status: 'ok',
+    error: null,
+    blocked: false,
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    artifacts: { video: null, chapters: [] }
+  };
+  run.sessions.push(session);
+  return session;
+}
+
+function planItem(run, { target, device, engine = DEFAULT_ENGINE, network = DEFAULT_NETWORK, locale = DEFAULT_LOCALE.locale, step }) {
+  const item = {
+    id: `${target}/${deviceLabel({ device, engine, network, locale }).replace(/ ([([@]) ?/g, '$1')}/${step}`,
+    target,
+    device,
+    engine,
+    network,
+    locale,
+    step,
+    status: 'skipped',
+    flaky: false,
+    message: 'Not run',
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    artifacts: { screenshots: [], video: null, videoChapter: null },
+    details: {},
+    attempts: []
+  };
+  run.items.push(item);
+  return item;
+}
+
+function stamp(entry) {
+  entry.startedAt = new Date().toISOString();
+}
+
+function finish(entry) {
+  entry.finishedAt = new Date().toISOString();
+  entry.durationMs = entry.startedAt ? Date.parse(entry.finishedAt) - Date.parse(entry.startedAt) : null;
+}
+
+const startSession = stamp;
+const startItem = stamp;
+
+// Record the outcome of an item. `screenshot` is appended to the item's
+// screenshots; everything in `details` is merged into item.details.
+function finishItem(item, { status, message = null, screenshot = null, details = {} }) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown result status "${status}" for ${item.id}`);
+  }
+  item.status = status;
+  item.message = message;
+  if (screenshot) {
+    item.artifacts.screenshots.push(screenshot);
+  }
+  Object.assign(item.details, details);
+  item.flaky = status === 'pass' && item.attempts.length > 0;
+  finish(item);
+  return item;
+}
+
+// Set a finished attempt aside before retrying the item. The attempt keeps
+// its artifacts and details; the item starts over as if just planned.
+function retryItem(item) {
+  const { status, message, startedAt, finishedAt, durationMs, artifacts, details } = item;
+  item.attempts.push({ attempt: item.attempts.length + 1, status, message, startedAt, finishedAt, durationMs, artifacts, details });
+  Object.assign(item, {
+    status: 'skipped',
+    flaky: false,
+    message: 'Not run',
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    artifacts: { screenshots: [], video: null, videoChapter: null },
+    details: {}
+  });
+  return item.attempts.length + 1;
+}
+
+// Attach a video to an item, with where the item sits in it. `videoStartedAt`
+// is the epoch ms at which recording began (the page was created).
+function setItemVideo(item, video, videoStartedAt) {
+  item.artifacts.video = video;
+  item.artifacts.videoChapter = video && item.startedAt && item.finishedAt
+    ? {
+      startMs: Math.max(0, Date.parse(item.startedAt) - videoStartedAt),
+      endMs: Math.max(0, Date.parse(item.finishedAt) - videoStartedAt)
+    }
+    : null;
+}
+
+// Attach a finished recording to every item and earlier attempt of the
+// session that ran without a video of its own yet, with a chapter each.
+// Runners that switch contexts mid-session (retries) call this per context.
+function attachSessionVideo(run, session, video, videoStartedAt) {
+  if (!video) return;
+  for (const item of sessionItems(run, session)) {
+    const entries = [...item.attempts, { ...item, attempt: item.attempts.length + 1, self: true }];
+    for (const entry of entries) {
+      if (entry.artifacts.video || !entry.startedAt) continue;
+      const target = entry.self ? item : entry;
+      setItemVideo(target, video, videoStartedAt);
+      if (target.artifacts.videoChapter) {
+        session.artifacts.chapters.push({ step: item.step, attempt: entry.attempt, video, ...target.artifacts.videoChapter });
+      }
+    }
+  }
+}
+
+// Close a session. The last recording covers every item that has no video
+// of its own, so it is attached to them with a chapter each. A session error
+// is charged to the item that was running when it happened; items that never
+// started stay 'skipped' with the error as the reason.
+function finishSession(run, session, { error = null, blocked = false, video = null, videoStartedAt = null } = {}) {
+  session.status = error ? 'error' : 'ok';
+  session.error = error;
+  session.blocked = blocked;
+  session.artifacts.video = video;
+  finish(session);
+
+  for (const item of sessionItems(run, session)) {
+    if (error && !item.finishedAt) {
+      if (item.startedAt) {
+        finishItem(item, { status: 'error', message: error, details: { sessionError: true, blocked } });
+      } else {
+        item.message = `Not run: ${error}`;
+      }
+    }
+  }
+  attachSessionVideo(run, session, video, videoStartedAt);
+  for (const item of sessionItems(run, session)) {
+    item.artifacts.video = item.artifacts.video || video;
+  }
+  return session;
+}
+
+function sessionItems(run, session) {
+  return run.items.filter(item => item.target === session.target && item.device === session.device
+    && item.engine === session.engine && item.network === session.network && item.locale === session.locale);
+}
+
+// Counts for resolveExitCode(). A session error that was not charged to an
+// item still counts once, since it stopped a whole device. Blocked items and
+// sessions are counted on their own rather than as errors.
+function countOutcomes(run) {
+  const counts = { failed: 0, errored: 0, blocked: 0 };
+  for (const item of run.items) {
+    if (item.status === 'fail') counts.failed++;
+    if (item.status === 'error') counts[item.details.blocked ? 'blocked' : 'errored']++;
+  }
+  for (const session of run.sessions) {
+    const charged = sessionItems(run, session).some(item => item.details.sessionError);
+    if (session.error && !charged) counts[session.blocked ? 'blocked' : 'errored']++;
+  }
+  return counts;
+}
+
+function computeTotals(run) {
+  const totals = { total: run.items.length, pass: 0, fail: 0, error: 0, skipped: 0 };
+  for (const item of run.items) {
+    totals[item.status]++;
+  }
+  totals.blocked = countOutcomes(run).blocked;
+  totals.flaky = run.items.filter(item => item.flaky).length;
+  return totals;
+}
+
+// Per scenario / step name across every target and device: how many runs
+// only passed on a retry
+function computeFlakeRates(run) {
+  const byStep = new Map();
+  for (const item of run.items) {
+    if (!item.startedAt) continue;
+    const entry = byStep.get(item.step) || { step: item.step, runs: 0, flaky: 0 };
+    entry.runs++;
+    if (item.flaky) entry.flaky++;
+    byStep.set(item.step, entry);
+  }
+  return [...byStep.values()].map(entry => ({ ...entry, rate: Number((entry.flaky / entry.runs).toFixed(3)) }));
+}
+
+// `browsers` lists { name, version } per engine launched
+function finishRun(run, { browsers = [] } = {}) {
+  run.finishedAt = new Date().toISOString();
+  run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+  run.environment.browsers = browsers;
+  run.environment.browser = browsers[0] || { name: null, version: null };
+  run.totals = computeTotals(run);
+  run.flakeRates = computeFlakeRates(run);
+  return run;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  STATUSES,
+  attachSessionVideo,
+  countOutcomes,
+  createRun,
+  deviceLabel,
+  finishItem,
+  finishRun,
+  finishSession,
+  planItem,
+  planSession,
+  retryItem,
+  sessionItems,
+  setItemVideo,
+  startItem,
+  startSession,
+  targetVersion
+};
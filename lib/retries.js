@@ -0,0 +1,54 @@
+// Retries of failed or errored form scenarios and passport steps. Every
+// retry starts over in a fresh browser context; an item that only passes on
+// a retry is classified flaky. Sessions blocked by bot protection are never
+// retried, since a second attempt would only deepen the block.
+
+const DEFAULT_RETRIES = {
+  form: 0, // retries for every form scenario
+  passport: 0, // retries for every passport step
+  scenarios: {}, // form scenario name -> retries, overriding `form`
+  steps: {} // passport step name -> retries, overriding `passport`
+};
+
+// Keeps a broken drop from turning one run into an afternoon
+const MAX_RETRIES = 5;
+
+// Resolve the retry count for one runner. `override` (from --retries)
+// replaces every count in the suite file.
+function createRetryPolicy(runner, options = {}, override) {
+  const resolved = { ...DEFAULT_RETRIES, ...options };
+  const perName = runner === 'form' ? resolved.scenarios : resolved.steps;
+  return name => (override !== undefined ? override : (perName[name] ?? resolved[runner]));
+}
+
+// Whether a finished item gets another attempt. Bot protection and missing
+// translations fail the same way every time, so they never do.
+function shouldRetry(item, retries) {
+  return ['fail', 'error'].includes(item.status) && !item.details.blocked && !item.details.missingTranslation
+    && item.attempts.length < retries;
+}
+
+// One line per item for summaries and reports, or null when it ran once,
+// e.g. "flaky, passed on attempt 2 of 2 (#1 error: Timeout 10000ms exceeded)"
+function summarizeAttempts(item) {
+  if (!item.attempts || item.attempts.length === 0) return null;
+  const total = item.attempts.length + 1;
+  const earlier = item.attempts.map(attempt => `#${attempt.attempt} ${attempt.status}: ${attempt.message}`).join('; ');
+  return `${item.flaky ? 'flaky, passed' : `${item.status} again`} on attempt ${total} of ${total} (${earlier})`;
+}
+
+// Console line for the flake rates of a finished run, or null without flakes
+function formatFlakeRates(flakeRates) {
+  const flaky = (flakeRates || []).filter(entry => entry.flaky > 0);
+  if (flaky.length === 0) return null;
+  return flaky.map(entry => `${entry.step} ${entry.flaky}/${entry.runs} (${(entry.rate * 100).toFixed(0)}%)`).join(', ');
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  MAX_RETRIES,
+  createRetryPolicy,
+  formatFlakeRates,
+  shouldRetry,
+  summarizeAttempts
+};
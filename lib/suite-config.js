@@ -0,0 +1,952 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { devices } = require('playwright-extra');
+const { DEFAULT_TIMEOUTS } = require('./waits');
+const { DEFAULT_DIAGNOSTICS, RESOURCE_TYPES, compilePattern } = require('./page-diagnostics');
+const { DEFAULT_VISUAL } = require('./visual');
+const { DEFAULT_ACCESSIBILITY, IMPACTS } = require('./accessibility');
+const { DEFAULT_PERFORMANCE, METRICS } = require('./performance');
+const { DEFAULT_RETRIES, MAX_RETRIES } = require('./retries');
+const { DEFAULT_NETWORK, PROFILE_KEYS, networkProfileNames } = require('./network-profiles');
+const { DEFAULT_LOCALE } = require('./locales');
+const { DEFAULT_ENGINE, ENGINE_NAMES } = require('./browsers');
+const { DEFAULT_WEBHOOK } = require('./webhook');
+const { CATEGORY_NAMES, DEFAULT_GENERATED_INPUTS } = require('./identity-inputs');
+const { DEFAULT_MAIL } = require('./mailbox');
+const { DEFAULT_FIELDS, FIELD_TYPES } = require('./form-fields');
+
+const DEFAULT_CONFIG_PATH = './suite.config.json';
+
+// Raised when the suite file cannot be read or does not match the schema.
+// `problems` holds one human-readable line per schema violation.
+class SuiteConfigError extends Error {
+  constructor(configPath, problems) {
+    super(`Invalid suite config "${configPath}":\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'SuiteConfigError';
+    this.configPath = configPath;
+    this.problems = problems;
+  }
+}
+
+// Small edit distance, only used to suggest device names for typos
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestDevice(deviceName) {
+  const wanted = deviceName.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of Object.keys(devices)) {
+    const distance = editDistance(wanted, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(3, Math.floor(wanted.length / 3)) ? best : null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkKeys(problems, where, value, allowed) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      problems.push(`${where}: unknown key "${key}" (allowed: ${allowed.join(', ')})`);
+    }
+  }
+}
+
+function checkString(problems, where, value, { nullable = false } = {}) {
+  if (nullable && value === null) return;
+  if (typeof value !== 'string' || value.trim() === '') {
+    problems.push(`${where}: expected a non-empty string${nullable ? ' or null' : ''}`);
+  }
+}
+
+function checkUrl(problems, where, value) {
+  checkString(problems, where, value);
+  if (typeof value !== 'string') return;
+  try {
+    new URL(value);
+  } catch (e) {
+    problems.push(`${where}: "${value}" is not a valid URL`);
+  }
+}
+
+function checkUniqueNames(problems, where, list) {
+  const seen = new Set();
+  list.forEach((item, i) => {
+    if (!isPlainObject(item) || typeof item.name !== 'string') return;
+    if (seen.has(item.name)) {
+      problems.push(`${where}[${i}]: duplicate name "${item.name}"`);
+    }
+    seen.add(item.name);
+  });
+}
+
+function checkDevices(problems, where, list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    problems.push(`${where}: expected a non-empty array of device names`);
+    return;
+  }
+  list.forEach((deviceName, i) => {
+    if (typeof deviceName !== 'string') {
+      problems.push(`${where}[${i}]: expected a device name string`);
+    } else if (!devices[deviceName]) {
+      const suggestion = suggestDevice(deviceName);
+      problems.push(`${where}[${i}]: unknown device "${deviceName}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+  });
+}
+
+function checkEngines(problems, where, list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    problems.push(`${where}: expected a non-empty array of browser engines (${ENGINE_NAMES.join(', ')})`);
+    return;
+  }
+  list.forEach((name, i) => {
+    if (!ENGINE_NAMES.includes(name)) {
+      problems.push(`${where}[${i}]: unknown browser engine ${JSON.stringify(name)} (known: ${ENGINE_NAMES.join(', ')})`);
+    }
+  });
+}
+
+function checkNetworks(problems, where, list, custom) {
+  if (!Array.isArray(list) || list.length === 0) {
+    problems.push(`${where}: expected a non-empty array of network profile names`);
+    return;
+  }
+  const known = networkProfileNames(isPlainObject(custom) ? custom : {});
+  list.forEach((name, i) => {
+    if (typeof name !== 'string') {
+      problems.push(`${where}[${i}]: expected a network profile name string`);
+    } else if (!known.includes(name)) {
+      problems.push(`${where}[${i}]: unknown network profile "${name}" (known: ${known.join(', ')})`);
+    }
+  });
+}
+
+function checkNetworkProfiles(problems, where, profiles) {
+  if (!isPlainObject(profiles)) {
+    problems.push(`${where}: expected an object of profile name -> { downloadKbps, uploadKbps, latencyMs, timeoutFactor }`);
+    return;
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    const at = `${where}.${name}`;
+    if (!isPlainObject(profile)) {
+      problems.push(`${at}: expected an object`);
+      continue;
+    }
+    checkKeys(problems, at, profile, PROFILE_KEYS);
+    for (const key of ['downloadKbps', 'uploadKbps']) {
+      const value = profile[key];
+      if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+        problems.push(`${at}.${key}: expected a positive number of kilobits per second, or null for unthrottled`);
+      }
+    }
+    if (profile.latencyMs !== undefined && (typeof profile.latencyMs !== 'number' || profile.latencyMs < 0)) {
+      problems.push(`${at}.latencyMs: expected a non-negative number of milliseconds`);
+    }
+    if (profile.timeoutFactor !== undefined && (typeof profile.timeoutFactor !== 'number' || profile.timeoutFactor < 1)) {
+      problems.push(`${at}.timeoutFactor: expected a number of at least 1`);
+    }
+  }
+}
+
+function isLocaleTag(value) {
+  try {
+    return typeof value === 'string' && Intl.getCanonicalLocales(value).length === 1;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return typeof value === 'string';
+  } catch (e) {
+    return false;
+  }
+}
+
+function checkLocales(problems, where, locales) {
+  if (!Array.isArray(locales) || locales.length === 0) {
+    problems.push(`${where}: expected a non-empty array of { locale, timezoneId }`);
+    return;
+  }
+  const seen = new Set();
+  locales.forEach((entry, i) => {
+    const at = `${where}[${i}]`;
+    if (!isPlainObject(entry)) {
+      problems.push(`${at}: expected an object with "locale" and "timezoneId"`);
+      return;
+    }
+    checkKeys(problems, at, entry, ['locale', 'timezoneId']);
+    if (!isLocaleTag(entry.locale)) {
+      problems.push(`${at}.locale: expected a BCP 47 locale such as "es-ES", got ${JSON.stringify(entry.locale)}`);
+    } else if (seen.has(entry.locale)) {
+      problems.push(`${at}.locale: duplicate locale "${entry.locale}"`);
+    }
+    seen.add(entry.locale);
+    if (!isTimeZone(entry.timezoneId)) {
+      problems.push(`${at}.timezoneId: expected an IANA time zone such as "Europe/Madrid", got ${JSON.stringify(entry.timezoneId)}`);
+    }
+  });
+}
+
+// locale -> { English text -> translated text }
+function checkTranslations(problems, where, translations) {
+  if (!isPlainObject(translations)) {
+    problems.push(`${where}: expected an object of locale -> { English text -> translation }`);
+    return;
+  }
+  for (const [locale, texts] of Object.entries(translations)) {
+    const at = `${where}.${locale}`;
+    if (!isLocaleTag(locale)) {
+      problems.push(`${at}: "${locale}" is not a BCP 47 locale`);
+    }
+    if (!isPlainObject(texts)) {
+      problems.push(`${at}: expected an object of English text -> translation`);
+      continue;
+    }
+    for (const [text, translation] of Object.entries(texts)) {
+      checkString(problems, `${at}["${text}"]`, translation);
+    }
+  }
+}
+
+function checkDrops(problems, where, drops) {
+  if (!Array.isArray(drops) || drops.length === 0) {
+    problems.push(`${where}: expected a non-empty array of drops`);
+    return;
+  }
+  drops.forEach((drop, i) => {
+    const at = `${where}[${i}]`;
+    if (!isPlainObject(drop)) {
+      problems.push(`${at}: expected an object with "name" and "url"`);
+      return;
+    }
+    checkKeys(problems, at, drop, ['name', 'url', 'title', 'fields']);
+    checkString(problems, `${at}.name`, drop.name);
+    checkUrl(problems, `${at}.url`, drop.url);
+    // The drop's name as its page and claim email show it
+    if (drop.title !== undefined) {
+      checkString(problems, `${at}.title`, drop.title);
+    }
+    if (drop.fields !== undefined) {
+      checkFields(problems, `${at}.fields`, drop.fields);
+    }
+  });
+  checkUniqueNames(problems, where, drops);
+}
+
+// An English text, or one text per locale: { "en-US": "...", "es": "..." }
+function checkLocalizedText(problems, where, text) {
+  if (!isPlainObject(text)) {
+    checkString(problems, where, text);
+    return;
+  }
+  for (const [locale, value] of Object.entries(text)) {
+    if (!isLocaleTag(locale)) {
+      problems.push(`${where}: "${locale}" is not a BCP 47 locale`);
+    }
+    checkString(problems, `${where}["${locale}"]`, value);
+  }
+}
+
+function checkFields(problems, where, fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    problems.push(`${where}: expected a non-empty array of fields`);
+    return;
+  }
+  fields.forEach((field, i) => {
+    const at = `${where}[${i}]`;
+    if (!isPlainObject(field)) {
+      problems.push(`${at}: expected an object with name, selector and type`);
+      return;
+    }
+    checkKeys(problems, at, field, ['name', 'selector', 'type', 'value', 'required', 'requiredText']);
+    // Names end up in scenario names (required-<name>)
+    checkString(problems, `${at}.name`, field.name);
+    if (typeof field.name === 'string' && !/^[\w-]+$/.test(field.name)) {
+      problems.push(`${at}.name: use only letters, digits, "_" and "-"`);
+    }
+    checkString(problems, `${at}.selector`, field.selector);
+    if (!FIELD_TYPES.includes(field.type)) {
+      problems.push(`${at}.type: expected one of ${FIELD_TYPES.join(', ')}`);
+    } else if (field.type === 'identity') {
+      if (field.value !== undefined) {
+        problems.push(`${at}.value: the identity field is filled from each scenario's email`);
+      }
+    } else if (field.type === 'checkbox') {
+      if (field.value !== undefined && typeof field.value !== 'boolean') {
+        problems.push(`${at}.value: expected true or false`);
+      }
+    } else {
+      checkString(problems, `${at}.value`, field.value);
+    }
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      problems.push(`${at}.required: expected true or false`);
+    } else if (field.required === true) {
+      checkLocalizedText(problems, `${at}.requiredText`, field.requiredText);
+    } else if (field.requiredText !== undefined) {
+      problems.push(`${at}.requiredText: only used when required is true`);
+    }
+  });
+  checkUniqueNames(problems, where, fields);
+  const identities = fields.filter(field => isPlainObject(field) && field.type === 'identity').length;
+  if (identities !== 1) {
+    problems.push(`${where}: expected exactly one field of type "identity", found ${identities}`);
+  }
+}
+
+function checkScenarios(problems, where, scenarios) {
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    problems.push(`${where}: expected a non-empty array of scenarios`);
+    return;
+  }
+  scenarios.forEach((scenario, i) => {
+    const at = `${where}[${i}]`;
+    if (!isPlainObject(scenario)) {
+      problems.push(`${at}: expected a scenario object`);
+      return;
+    }
+    checkKeys(problems, at, scenario, ['name', 'description', 'email', 'expectError', 'expectedErrorText', 'offlineAfterSubmit', 'verifyEmail']);
+    checkString(problems, `${at}.name`, scenario.name);
+    if (typeof scenario.name === 'string' && scenario.name.startsWith('required-')) {
+      problems.push(`${at}.name: "required-" is reserved for required-field scenarios`);
+    }
+    checkString(problems, `${at}.description`, scenario.description);
+    // null means "a unique address at run time" (form.mail.address); {id}
+    // in an address is replaced by a per-claim id
+    checkString(problems, `${at}.email`, scenario.email, { nullable: true });
+    if (typeof scenario.expectError !== 'boolean') {
+      problems.push(`${at}.expectError: expected true or false`);
+    }
+    if (scenario.expectError === true) {
+      checkLocalizedText(problems, `${at}.expectedErrorText`, scenario.expectedErrorText);
+    } else if (scenario.expectedErrorText !== undefined && scenario.expectedErrorText !== null) {
+      problems.push(`${at}.expectedErrorText: must be null when expectError is false`);
+    }
+    // Dropping the connection can only ever end in an error message. Only
+    // suite.mock.json has such a scenario: what the live form shows offline
+    // has not been confirmed, so its expectedErrorText would be a guess.
+    if (scenario.offlineAfterSubmit !== undefined && typeof scenario.offlineAfterSubmit !== 'boolean') {
+      problems.push(`${at}.offlineAfterSubmit: expected true or false`);
+    } else if (scenario.offlineAfterSubmit === true && scenario.expectError !== true) {
+      problems.push(`${at}.offlineAfterSubmit: needs expectError to be true`);
+    }
+    // Only a claim to an address of its own can be told apart in the mailbox
+    if (scenario.verifyEmail !== undefined && typeof scenario.verifyEmail !== 'boolean') {
+      problems.push(`${at}.verifyEmail: expected true or false`);
+    } else if (scenario.verifyEmail === true && scenario.expectError !== false) {
+      problems.push(`${at}.verifyEmail: needs expectError to be false`);
+    } else if (scenario.verifyEmail === true && !(scenario.email === null || (typeof scenario.email === 'string' && scenario.email.includes('{id}')))) {
+      problems.push(`${at}.verifyEmail: needs email to be null or to contain {id}`);
+    }
+  });
+  checkUniqueNames(problems, where, scenarios);
+}
+
+// Only suite.mock.json generates inputs: the valid ETH and ENS ones would
+// mint real POAPs on a live drop
+function checkGeneratedInputs(problems, where, generated, scenarios) {
+  if (!isPlainObject(generated)) {
+    problems.push(`${where}: expected an object with categories, perCategory and/or seed`);
+    return;
+  }
+  checkKeys(problems, where, generated, Object.keys(DEFAULT_GENERATED_INPUTS));
+  if (generated.categories !== undefined) {
+    if (!Array.isArray(generated.categories) || generated.categories.length === 0) {
+      problems.push(`${where}.categories: expected a non-empty array of categories (${CATEGORY_NAMES.join(', ')})`);
+    } else {
+      generated.categories.forEach((category, i) => {
+        if (!CATEGORY_NAMES.includes(category)) {
+          problems.push(`${where}.categories[${i}]: unknown category "${category}" (known: ${CATEGORY_NAMES.join(', ')})`);
+        }
+      });
+    }
+  }
+  if (generated.perCategory !== undefined && (!Number.isInteger(generated.perCategory) || generated.perCategory < 1)) {
+    problems.push(`${where}.perCategory: expected a positive integer`);
+  }
+  if (generated.seed !== undefined && generated.seed !== null && !Number.isInteger(generated.seed)) {
+    problems.push(`${where}.seed: expected an integer or null`);
+  }
+  // Generated scenarios are named gen-<category>-<n>
+  if (Array.isArray(scenarios)) {
+    scenarios.forEach((scenario, i) => {
+      if (isPlainObject(scenario) && typeof scenario.name === 'string' && scenario.name.startsWith('gen-')) {
+        problems.push(`form.scenarios[${i}].name: "gen-" is reserved for generated inputs`);
+      }
+    });
+  }
+}
+
+function checkCredentials(problems, where, credentials) {
+  if (!isPlainObject(credentials)) {
+    problems.push(`${where}: expected an object of named credentials`);
+    return;
+  }
+  for (const [name, credential] of Object.entries(credentials)) {
+    const at = `${where}.${name}`;
+    if (typeof credential === 'string') continue;
+    if (!isPlainObject(credential)) {
+      problems.push(`${at}: expected a string or { "env": "VAR", "default": "..." }`);
+      continue;
+    }
+    checkKeys(problems, at, credential, ['env', 'default']);
+    checkString(problems, `${at}.env`, credential.env);
+    if (credential.default !== undefined) {
+      checkString(problems, `${at}.default`, credential.default);
+    }
+  }
+}
+
+// Identity values are either literal strings or { "credential": "<name>" }
+function checkIdentities(problems, where, identities, credentials) {
+  if (!isPlainObject(identities)) {
+    problems.push(`${where}: expected an object with wrongEth, wrongEns and login`);
+    return;
+  }
+  checkKeys(problems, where, identities, ['wrongEth', 'wrongEns', 'login']);
+  for (const key of ['wrongEth', 'wrongEns', 'login']) {
+    const at = `${where}.${key}`;
+    const value = identities[key];
+    if (isPlainObject(value)) {
+      checkKeys(problems, at, value, ['credential']);
+      checkString(problems, `${at}.credential`, value.credential);
+      if (typeof value.credential === 'string' && !(isPlainObject(credentials) && value.credential in credentials)) {
+        problems.push(`${at}: unknown credential "${value.credential}"`);
+      }
+    } else {
+      checkString(problems, at, value);
+    }
+  }
+}
+
+function checkThresholds(problems, where, thresholds) {
+  if (!isPlainObject(thresholds)) {
+    problems.push(`${where}: expected an object with maxFailures and/or maxErrors`);
+    return;
+  }
+  checkKeys(problems, where, thresholds, ['maxFailures', 'maxErrors']);
+  for (const key of ['maxFailures', 'maxErrors']) {
+    const value = thresholds[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      problems.push(`${where}.${key}: expected a non-negative integer`);
+    }
+  }
+}
+
+function checkTimeouts(problems, where, timeouts) {
+  if (!isPlainObject(timeouts)) {
+    problems.push(`${where}: expected an object of named timeouts in milliseconds`);
+    return;
+  }
+  checkKeys(problems, where, timeouts, Object.keys(DEFAULT_TIMEOUTS));
+  for (const [key, value] of Object.entries(timeouts)) {
+    if (!Number.isInteger(value) || value <= 0) {
+      problems.push(`${where}.${key}: expected a positive integer (milliseconds)`);
+    }
+  }
+}
+
+function checkDiagnostics(problems, where, diagnostics) {
+  if (!isPlainObject(diagnostics)) {
+    problems.push(`${where}: expected an object with failOnPageError, failOnHttpErrors, httpErrorTypes and/or allowlist`);
+    return;
+  }
+  checkKeys(problems, where, diagnostics, Object.keys(DEFAULT_DIAGNOSTICS));
+  for (const key of ['failOnPageError', 'failOnHttpErrors']) {
+    if (diagnostics[key] !== undefined && typeof diagnostics[key] !== 'boolean') {
+      problems.push(`${where}.${key}: expected true or false`);
+    }
+  }
+  if (diagnostics.httpErrorTypes !== undefined) {
+    if (!Array.isArray(diagnostics.httpErrorTypes)) {
+      problems.push(`${where}.httpErrorTypes: expected an array of resource types (${RESOURCE_TYPES.join(', ')})`);
+    } else {
+      for (const type of diagnostics.httpErrorTypes) {
+        if (!RESOURCE_TYPES.includes(type)) {
+          problems.push(`${where}.httpErrorTypes: unknown resource type "${type}" (known: ${RESOURCE_TYPES.join(', ')})`);
+        }
+      }
+    }
+  }
+  if (diagnostics.allowlist === undefined) return;
+  if (!Array.isArray(diagnostics.allowlist)) {
+    problems.push(`${where}.allowlist: expected an array of strings or "/regex/" patterns`);
+    return;
+  }
+  diagnostics.allowlist.forEach((entry, i) => {
+    checkString(problems, `${where}.allowlist[${i}]`, entry);
+    if (typeof entry !== 'string') return;
+    try {
+      compilePattern(entry);
+    } catch (error) {
+      problems.push(`${where}.allowlist[${i}]: ${error.message}`);
+    }
+  });
+}
+
+function checkVisual(problems, where, visual) {
+  if (!isPlainObject(visual)) {
+    problems.push(`${where}: expected an object with threshold, maxDiffRatio and/or masks`);
+    return;
+  }
+  checkKeys(problems, where, visual, Object.keys(DEFAULT_VISUAL));
+  for (const key of ['threshold', 'maxDiffRatio']) {
+    const value = visual[key];
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+      problems.push(`${where}.${key}: expected a number from 0 to 1`);
+    }
+  }
+  if (visual.masks === undefined) return;
+  if (!Array.isArray(visual.masks)) {
+    problems.push(`${where}.masks: expected an array of { "selector": "...", "states": [...] }`);
+    return;
+  }
+  visual.masks.forEach((mask, i) => {
+    const at = `${where}.masks[${i}]`;
+    if (!isPlainObject(mask)) {
+      problems.push(`${at}: expected an object with "selector"`);
+      return;
+    }
+    checkKeys(problems, at, mask, ['selector', 'states']);
+    checkString(problems, `${at}.selector`, mask.selector);
+    if (mask.states !== undefined && (!Array.isArray(mask.states) || mask.states.some(state => typeof state !== 'string'))) {
+      problems.push(`${at}.states: expected an array of scenario or step names`);
+    }
+  });
+}
+
+function checkAccessibility(problems, where, accessibility) {
+  if (!isPlainObject(accessibility)) {
+    problems.push(`${where}: expected an object with tags, failOn and/or exclude`);
+    return;
+  }
+  checkKeys(problems, where, accessibility, Object.keys(DEFAULT_ACCESSIBILITY));
+  for (const key of ['tags', 'exclude']) {
+    const list = accessibility[key];
+    if (list !== undefined && (!Array.isArray(list) || list.some(value => typeof value !== 'string' || value.trim() === ''))) {
+      problems.push(`${where}.${key}: expected an array of non-empty strings`);
+    }
+  }
+  if (accessibility.failOn !== undefined && accessibility.failOn !== null && !IMPACTS.includes(accessibility.failOn)) {
+    problems.push(`${where}.failOn: expected one of ${IMPACTS.join(', ')} or null`);
+  }
+}
+
+function checkBudgets(problems, where, budgets) {
+  if (!isPlainObject(budgets)) {
+    problems.push(`${where}: expected an object of metric budgets`);
+    return;
+  }
+  checkKeys(problems, where, budgets, METRICS);
+  for (const [metric, value] of Object.entries(budgets)) {
+    if (typeof value !== 'number' || value < 0) {
+      problems.push(`${where}.${metric}: expected a non-negative number`);
+    }
+  }
+}
+
+function checkPerformance(problems, where, performance) {
+  if (!isPlainObject(performance)) {
+    problems.push(`${where}: expected an object with budgets, devices and/or failOnBudget`);
+    return;
+  }
+  checkKeys(problems, where, performance, Object.keys(DEFAULT_PERFORMANCE));
+  if (performance.budgets !== undefined) {
+    checkBudgets(problems, `${where}.budgets`, performance.budgets);
+  }
+  if (performance.devices !== undefined) {
+    if (!isPlainObject(performance.devices)) {
+      problems.push(`${where}.devices: expected an object of device name -> budgets`);
+    } else {
+      for (const [deviceName, budgets] of Object.entries(performance.devices)) {
+        if (!devices[deviceName]) {
+          problems.push(`${where}.devices: unknown device "${deviceName}"`);
+        }
+        checkBudgets(problems, `${where}.devices.${deviceName}`, budgets);
+      }
+    }
+  }
+  if (performance.failOnBudget !== undefined && typeof performance.failOnBudget !== 'boolean') {
+    problems.push(`${where}.failOnBudget: expected true or false`);
+  }
+}
+
+function checkRetryCount(problems, where, value) {
+  if (!Number.isInteger(value) || value < 0 || value > MAX_RETRIES) {
+    problems.push(`${where}: expected an integer from 0 to ${MAX_RETRIES}`);
+  }
+}
+
+function checkRetries(problems, where, retries, scenarioNames) {
+  if (!isPlainObject(retries)) {
+    problems.push(`${where}: expected an object with form, passport, scenarios and/or steps`);
+    return;
+  }
+  checkKeys(problems, where, retries, Object.keys(DEFAULT_RETRIES));
+  for (const key of ['form', 'passport']) {
+    if (retries[key] !== undefined) checkRetryCount(problems, `${where}.${key}`, retries[key]);
+  }
+  for (const key of ['scenarios', 'steps']) {
+    if (retries[key] === undefined) continue;
+    if (!isPlainObject(retries[key])) {
+      problems.push(`${where}.${key}: expected an object of name -> retries`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(retries[key])) {
+      checkRetryCount(problems, `${where}.${key}.${name}`, value);
+    }
+  }
+  // Generated and required-field scenarios are only named at run time
+  if (isPlainObject(retries.scenarios)) {
+    for (const name of Object.keys(retries.scenarios)) {
+      if (!scenarioNames.includes(name) && !/^(gen|required)-/.test(name)) {
+        problems.push(`${where}.scenarios: unknown scenario "${name}"`);
+      }
+    }
+  }
+}
+
+// A literal value, checked by `check`, or { "env": "VAR" }
+function checkEnvValue(problems, where, value, check = checkString) {
+  if (value === undefined || value === null) return;
+  if (isPlainObject(value)) {
+    checkKeys(problems, where, value, ['env']);
+    checkString(problems, `${where}.env`, value.env);
+  } else {
+    check(problems, where, value);
+  }
+}
+
+// url and secret are literal strings or { "env": "VAR" }, so a webhook can
+// stay configured in the suite file while its address and key live in CI secrets
+function checkWebhook(problems, where, webhook) {
+  if (!isPlainObject(webhook)) {
+    problems.push(`${where}: expected an object with url, secret, onDevice, retries, backoffMs and/or timeoutMs`);
+    return;
+  }
+  checkKeys(problems, where, webhook, Object.keys(DEFAULT_WEBHOOK));
+  checkEnvValue(problems, `${where}.url`, webhook.url, checkUrl);
+  checkEnvValue(problems, `${where}.secret`, webhook.secret);
+  if (webhook.onDevice !== undefined && typeof webhook.onDevice !== 'boolean') {
+    problems.push(`${where}.onDevice: expected true or false`);
+  }
+  if (webhook.retries !== undefined && (!Number.isInteger(webhook.retries) || webhook.retries < 0 || webhook.retries > MAX_RETRIES)) {
+    problems.push(`${where}.retries: expected an integer from 0 to ${MAX_RETRIES}`);
+  }
+  for (const key of ['backoffMs', 'timeoutMs']) {
+    if (webhook[key] !== undefined && (!Number.isInteger(webhook[key]) || webhook[key] <= 0)) {
+      problems.push(`${where}.${key}: expected a positive integer (milliseconds)`);
+    }
+  }
+}
+
+// Like the webhook, the mailbox and its login can come from CI secrets
+function checkMail(problems, where, mail) {
+  if (!isPlainObject(mail)) {
+    problems.push(`${where}: expected an object with url, user, password, address, subject, linkPattern, followLink, timeoutMs and/or pollMs`);
+    return;
+  }
+  checkKeys(problems, where, mail, Object.keys(DEFAULT_MAIL));
+  checkEnvValue(problems, `${where}.url`, mail.url, (problems, at, value) => {
+    checkUrl(problems, at, value);
+    if (typeof value === 'string' && !/^(https?|imaps?):\/\//i.test(value)) {
+      problems.push(`${at}: expected an http(s):// mail catcher API or an imap(s):// mailbox`);
+    }
+  });
+  checkEnvValue(problems, `${where}.user`, mail.user);
+  checkEnvValue(problems, `${where}.password`, mail.password);
+  // An IMAP mailbox is logged into with user/password or the URL's own login
+  if (typeof mail.url === 'string' && /^imaps?:\/\/[^/]/i.test(mail.url)) {
+    let login = null;
+    try {
+      login = new URL(mail.url);
+    } catch (e) {
+      // checkUrl reports it
+    }
+    if (login && ((mail.user == null && !login.username) || (mail.password == null && !login.password))) {
+      problems.push(`${where}: an imap(s):// url needs user and password, or user:password@ in the url`);
+    }
+  }
+  // Every claim needs an address of its own to find its email by
+  checkEnvValue(problems, `${where}.address`, mail.address, (problems, at, value) => {
+    checkString(problems, at, value);
+    if (typeof value === 'string' && !/^[^\s@]*\{id\}[^\s@]*@[^\s@]+$/.test(value)) {
+      problems.push(`${at}: expected an address with {id} in its local part, e.g. "qa+{id}@example.com"`);
+    }
+  });
+  if (mail.subject !== undefined) {
+    checkString(problems, `${where}.subject`, mail.subject);
+  }
+  if (mail.linkPattern !== undefined) {
+    checkString(problems, `${where}.linkPattern`, mail.linkPattern);
+    if (typeof mail.linkPattern === 'string') {
+      try {
+        compilePattern(mail.linkPattern);
+      } catch (error) {
+        problems.push(`${where}.linkPattern: ${error.message}`);
+      }
+    }
+  }
+  if (mail.followLink !== undefined && typeof mail.followLink !== 'boolean') {
+    problems.push(`${where}.followLink: expected true or false`);
+  }
+  for (const key of ['timeoutMs', 'pollMs']) {
+    if (mail[key] !== undefined && (!Number.isInteger(mail[key]) || mail[key] <= 0)) {
+      problems.push(`${where}.${key}: expected a positive integer (milliseconds)`);
+    }
+  }
+}
+
+function validateSuiteConfig(config) {
+  const problems = [];
+
+  if (!isPlainObject(config)) {
+    return ['root: expected an object'];
+  }
+
+  checkKeys(problems, 'root', config, ['version', 'devices', 'credentials', 'thresholds', 'timeouts', 'diagnostics', 'visual', 'accessibility', 'performance', 'retries', 'webhook', 'engines', 'networks', 'networkProfiles', 'locales', 'translations', 'form', 'passport']);
+  if (config.version !== 1) {
+    problems.push('version: expected 1');
+  }
+  checkDevices(problems, 'devices', config.devices);
+  if (config.engines !== undefined) {
+    checkEngines(problems, 'engines', config.engines);
+  }
+  if (config.networkProfiles !== undefined) {
+    checkNetworkProfiles(problems, 'networkProfiles', config.networkProfiles);
+  }
+  if (config.networks !== undefined) {
+    checkNetworks(problems, 'networks', config.networks, config.networkProfiles);
+  }
+  if (config.locales !== undefined) {
+    checkLocales(problems, 'locales', config.locales);
+  }
+  if (config.translations !== undefined) {
+    checkTranslations(problems, 'translations', config.translations);
+  }
+  if (config.credentials !== undefined) {
+    checkCredentials(problems, 'credentials', config.credentials);
+  }
+  if (config.thresholds !== undefined) {
+    checkThresholds(problems, 'thresholds', config.thresholds);
+  }
+  if (config.timeouts !== undefined) {
+    checkTimeouts(problems, 'timeouts', config.timeouts);
+  }
+  if (config.diagnostics !== undefined) {
+    checkDiagnostics(problems, 'diagnostics', config.diagnostics);
+  }
+  if (config.visual !== undefined) {
+    checkVisual(problems, 'visual', config.visual);
+  }
+  if (config.accessibility !== undefined) {
+    checkAccessibility(problems, 'accessibility', config.accessibility);
+  }
+  if (config.performance !== undefined) {
+    checkPerformance(problems, 'performance', config.performance);
+  }
+  if (config.webhook !== undefined) {
+    checkWebhook(problems, 'webhook', config.webhook);
+  }
+  if (config.retries !== undefined) {
+    const scenarios = isPlainObject(config.form) && Array.isArray(config.form.scenarios) ? config.form.scenarios : [];
+    checkRetries(problems, 'retries', config.retries, scenarios.map(scenario => scenario && scenario.name));
+  }
+
+  if (!isPlainObject(config.form)) {
+    problems.push('form: expected an object');
+  } else {
+    checkKeys(problems, 'form', config.form, ['drops', 'fields', 'devices', 'engines', 'networks', 'locales', 'scenarios', 'generatedInputs', 'mail']);
+    checkDrops(problems, 'form.drops', config.form.drops);
+    if (config.form.fields !== undefined) {
+      checkFields(problems, 'form.fields', config.form.fields);
+    }
+    if (config.form.devices !== undefined) {
+      checkDevices(problems, 'form.devices', config.form.devices);
+    }
+    if (config.form.engines !== undefined) {
+      checkEngines(problems, 'form.engines', config.form.engines);
+    }
+    if (config.form.networks !== undefined) {
+      checkNetworks(problems, 'form.networks', config.form.networks, config.networkProfiles);
+    }
+    if (config.form.locales !== undefined) {
+      checkLocales(problems, 'form.locales', config.form.locales);
+    }
+    checkScenarios(problems, 'form.scenarios', config.form.scenarios);
+    if (config.form.generatedInputs !== undefined) {
+      checkGeneratedInputs(problems, 'form.generatedInputs', config.form.generatedInputs, config.form.scenarios);
+    }
+    if (config.form.mail !== undefined) {
+      checkMail(problems, 'form.mail', config.form.mail);
+    }
+  }
+
+  if (!isPlainObject(config.passport)) {
+    problems.push('passport: expected an object');
+  } else {
+    checkKeys(problems, 'passport', config.passport, ['baseUrl', 'collectionUrl', 'devices', 'engines', 'networks', 'locales', 'identities']);
+    checkUrl(problems, 'passport.baseUrl', config.passport.baseUrl);
+    checkUrl(problems, 'passport.collectionUrl', config.passport.collectionUrl);
+    if (config.passport.devices !== undefined) {
+      checkDevices(problems, 'passport.devices', config.passport.devices);
+    }
+    if (config.passport.engines !== undefined) {
+      checkEngines(problems, 'passport.engines', config.passport.engines);
+    }
+    if (config.passport.networks !== undefined) {
+      checkNetworks(problems, 'passport.networks', config.passport.networks, config.networkProfiles);
+    }
+    if (config.passport.locales !== undefined) {
+      checkLocales(problems, 'passport.locales', config.passport.locales);
+    }
+    checkIdentities(problems, 'passport.identities', config.passport.identities, config.credentials);
+  }
+
+  return problems;
+}
+
+function resolveCredential(problems, credentials, name) {
+  const credential = credentials[name];
+  if (typeof credential === 'string') {
+    return credential;
+  }
+  const value = process.env[credential.env] || credential.default;
+  if (!value) {
+    problems.push(`credentials.${name}: environment variable ${credential.env} is not set and no default is given`);
+  }
+  return value;
+}
+
+// Values read from an unset variable resolve to null: no webhook or
+// unsigned deliveries, no mailbox to check. Values read from a set one are
+// checked by `check` like literal ones; their problems name the variable
+// instead of quoting a value that may be a secret.
+function resolveEnvValues(problems, where, block = {}, keys, check) {
+  const resolved = { ...block };
+  const variables = new Map();
+  for (const key of keys) {
+    if (isPlainObject(block[key])) {
+      resolved[key] = process.env[block[key].env] || null;
+      if (resolved[key] !== null) variables.set(key, block[key].env);
+    }
+  }
+  const found = [];
+  check(found, where, resolved);
+  for (const problem of found) {
+    const [key, variable] = [...variables].find(([key]) => problem.startsWith(`${where}.${key}:`)) || [];
+    problems.push(key
+      ? problem.replace(`${where}.${key}:`, `${where}.${key} (from ${variable}):`).split(resolved[key]).join(`$${variable}`)
+      : problem);
+  }
+  return resolved;
+}
+
+function parseSuiteFile(configPath, source) {
+  const extension = path.extname(configPath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') {
+    return YAML.parse(source);
+  }
+  return JSON.parse(source);
+}
+
+// Read, validate and resolve the suite file. Per-runner device, engine,
+// network and locale lists fall back to the top-level ones (engines to
+// chromium, networks to "full" and locales to en-US when there are none),
+// drops without fields get form.fields (or the built-in ones),
+// and credential, webhook and mail environment references are replaced by
+// their values.
+async function loadSuiteConfig(configPath = DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    const source = await fs.readFile(configPath, 'utf8');
+    config = parseSuiteFile(configPath, source);
+  } catch (error) {
+    throw new SuiteConfigError(configPath, [error.message]);
+  }
+
+  const problems = validateSuiteConfig(config);
+  if (problems.length > 0) {
+    throw new SuiteConfigError(configPath, problems);
+  }
+
+  const engines = config.engines || [DEFAULT_ENGINE];
+  const networks = config.networks || [DEFAULT_NETWORK];
+  const locales = config.locales || [DEFAULT_LOCALE];
+  const credentials = config.credentials || {};
+  const identities = {};
+  for (const [key, value] of Object.entries(config.passport.identities)) {
+    identities[key] = isPlainObject(value)
+      ? resolveCredential(problems, credentials, value.credential)
+      : value;
+  }
+  const webhook = resolveEnvValues(problems, 'webhook', config.webhook, ['url', 'secret'], checkWebhook);
+  const mail = resolveEnvValues(problems, 'form.mail', config.form.mail, ['url', 'user', 'password', 'address'], checkMail);
+  if (problems.length > 0) {
+    throw new SuiteConfigError(configPath, problems);
+  }
+
+  return {
+    thresholds: config.thresholds || {},
+    timeouts: config.timeouts || {},
+    diagnostics: config.diagnostics || {},
+    visual: config.visual || {},
+    accessibility: config.accessibility || {},
+    performance: config.performance || {},
+    retries: config.retries || {},
+    webhook,
+    networkProfiles: config.networkProfiles || {},
+    translations: config.translations || {},
+    form: {
+      drops: config.form.drops.map(drop => ({ ...drop, fields: drop.fields || config.form.fields || DEFAULT_FIELDS })),
+      devices: config.form.devices || config.devices,
+      engines: config.form.engines || engines,
+      networks: config.form.networks || networks,
+      locales: config.form.locales || locales,
+      scenarios: config.form.scenarios,
+      generatedInputs: config.form.generatedInputs || null,
+      mail
+    },
+    passport: {
+      baseUrl: config.passport.baseUrl,
+      collectionUrl: config.passport.collectionUrl,
+      devices: config.passport.devices || config.devices,
+      engines: config.passport.engines || engines,
+      networks: config.passport.networks || networks,
+      locales: config.passport.locales || locales,
+      identities
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  SuiteConfigError,
+  loadSuiteConfig,
+  validateSuiteConfig
+};
@@ -0,0 +1,91 @@
+const { summarizeDiagnostics } = require('./page-diagnostics');
+const { summarizeAccessibility } = require('./accessibility');
+const { summarizePerformance } = require('./performance');
+const { formatFlakeRates, summarizeAttempts } = require('./retries');
+const { deviceLabel } = require('./results');
+
+const STATUS_ICONS = {
+  pass: '✅',
+  fail: '❌',
+  error: '⚠️',
+  skipped: '⏭️'
+};
+
+function groupItems(items) {
+  const targets = new Map();
+  for (const item of items) {
+    if (!targets.has(item.target)) targets.set(item.target, new Map());
+    const devices = targets.get(item.target);
+    const device = deviceLabel(item);
+    if (!devices.has(device)) devices.set(device, []);
+    devices.get(device).push(item);
+  }
+  return targets;
+}
+
+// Print the end-of-run console summary for either runner, grouped by
+// target and device (with its network profile when throttled)
+function printSummary(run, log = console.log) {
+  log(`\n${'═'.repeat(80)}`);
+  log('📈 TEST SUMMARY');
+  log(`${'═'.repeat(80)}\n`);
+
+  for (const [target, devices] of groupItems(run.items)) {
+    log(`\n🌐 ${target}:`);
+    let targetPassed = 0;
+    let targetTotal = 0;
+
+    for (const [device, items] of devices) {
+      log(`  📱 ${device}:`);
+      for (const item of items) {
+        targetTotal++;
+        if (item.status === 'pass') targetPassed++;
+        log(`     ${STATUS_ICONS[item.status]} ${item.step}: ${item.status.toUpperCase()}${item.flaky ? ' (FLAKY)' : ''}${item.status === 'skipped' ? ` (${item.message})` : ''}`);
+        if (item.details.errorMessage) {
+          log(`        Error: "${item.details.errorMessage}"`);
+        }
+        if (item.details.successMessage) {
+          log(`        Success: "${item.details.successMessage}"`);
+        }
+        const attempts = summarizeAttempts(item);
+        if (attempts) {
+          log(`        🔁 Retried: ${attempts}`);
+        }
+        const diagnostics = summarizeDiagnostics(item.details.diagnostics);
+        if (diagnostics) {
+          log(`        🐞 Browser: ${diagnostics}`);
+        }
+        const accessibility = summarizeAccessibility(item.details.accessibility);
+        if (accessibility) {
+          log(`        ♿ Accessibility: ${accessibility}`);
+        }
+        const performance = summarizePerformance(item.details.performance);
+        if (performance) {
+          log(`        ⏱️ Performance: ${performance}`);
+        }
+      }
+
+      const session = run.sessions.find(s => s.target === target && deviceLabel(s) === device);
+      if (session && session.error) {
+        log(`     ${session.blocked ? '🛡️ Blocked by bot protection' : '❌ Device error'}: ${session.error}`);
+      }
+    }
+
+    log(`  📊 ${target} summary: ${targetPassed}/${targetTotal} tests passed`);
+  }
+
+  const { total, pass, fail, error, skipped, flaky } = run.totals;
+  log(`\n${'═'.repeat(80)}`);
+  log(`🎯 OVERALL SUMMARY: ${pass}/${total} tests passed (${fail} failed, ${error} errors, ${skipped} skipped, ${flaky} flaky)`);
+  const flakeRates = formatFlakeRates(run.flakeRates);
+  if (flakeRates) {
+    log(`🔁 Flake rates: ${flakeRates}`);
+  }
+  log(`${'═'.repeat(80)}`);
+}
+
+module.exports = {
+  STATUS_ICONS,
+  groupItems,
+  printSummary
+};
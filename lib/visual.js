@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// Visual regression: every checked state is screenshotted into ACTUAL_DIR
+// and diffed against BASELINE_DIR. Both trees are laid out as
+// <runner>/<target>/<device>/<state>.png; approve-baselines.js copies
+// actuals over baselines once a change is intended. A --visual run starts by
+// clearing its runner's actuals and diffs, so only its own get approved.
+const BASELINE_DIR = './baselines';
+const ACTUAL_DIR = './visual-actual';
+const DIFF_DIR = './visual-diffs';
+
+const DEFAULT_VISUAL = {
+  threshold: 0.1, // per-pixel colour tolerance passed to pixelmatch (0..1)
+  maxDiffRatio: 0.001, // share of differing pixels allowed before a mismatch
+  masks: [] // [{ selector, states? }] painted over before comparing
+};
+
+function snapshotPath(dir, { runner, target, device, state }) {
+  return path.join(dir, runner, target, device, `${state}.png`);
+}
+
+async function readPng(filePath) {
+  return PNG.sync.read(await fs.readFile(filePath));
+}
+
+// Compare two PNG files. Writes a diff image to `diffPath` when they differ.
+async function compareSnapshots(baselinePath, actualPath, diffPath, { threshold, maxDiffRatio }) {
+  const [baseline, actual] = await Promise.all([readPng(baselinePath), readPng(actualPath)]);
+
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    return {
+      status: 'mismatch',
+      diffPixels: null,
+      diffRatio: null,
+      reason: `size ${actual.width}x${actual.height} differs from baseline ${baseline.width}x${baseline.height}`,
+      diff: null
+    };
+  }
+
+  const { width, height } = actual;
+  const diffImage = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, actual.data, diffImage.data, width, height, { threshold });
+  const diffRatio = diffPixels / (width * height);
+  if (diffRatio <= maxDiffRatio) {
+    return { status: 'match', diffPixels, diffRatio, reason: null, diff: null };
+  }
+
+  await fs.mkdir(path.dirname(diffPath), { recursive: true });
+  await fs.writeFile(diffPath, PNG.sync.write(diffImage));
+  return {
+    status: 'mismatch',
+    diffPixels,
+    diffRatio,
+    reason: `${(diffRatio * 100).toFixed(2)}% of pixels differ (allowed ${(maxDiffRatio * 100).toFixed(2)}%)`,
+    diff: diffPath
+  };
+}
+
+// check(page, { runner, target, device, state }) screenshots the page with
+// the configured masks and compares it with the stored baseline. Resolves to
+// { state, status: 'match' | 'mismatch' | 'missing', reason, diffPixels,
+// diffRatio, baseline, actual, diff }.
+function createVisualCheck(options = {}) {
+  const resolved = { ...DEFAULT_VISUAL, ...options };
+
+  async function check(page, key) {
+    const actual = snapshotPath(ACTUAL_DIR, key);
+    const baseline = snapshotPath(BASELINE_DIR, key);
+    const diffPath = snapshotPath(DIFF_DIR, key);
+
+    const mask = resolved.masks
+      .filter(entry => !entry.states || entry.states.includes(key.state))
+      .map(entry => page.locator(entry.selector));
+    await fs.mkdir(path.dirname(actual), { recursive: true });
+    await page.screenshot({ path: actual, fullPage: true, animations: 'disabled', caret: 'hide', mask });
+
+    const hasBaseline = await fs.access(baseline).then(() => true, () => false);
+    if (!hasBaseline) {
+      return { state: key.state, status: 'missing', reason: 'no baseline yet', diffPixels: null, diffRatio: null, baseline, actual, diff: null };
+    }
+
+    const result = await compareSnapshots(baseline, actual, diffPath, resolved);
+    return { state: key.state, ...result, baseline, actual };
+  }
+
+  return { options: resolved, check };
+}
+
+// Remove `runner`'s snapshots and diffs of earlier runs
+async function clearSnapshots(runner, { actualDir = ACTUAL_DIR, diffDir = DIFF_DIR } = {}) {
+  await Promise.all([actualDir, diffDir].map(dir => fs.rm(path.join(dir, runner), { recursive: true, force: true })));
+}
+
+// Every actual snapshot under ACTUAL_DIR, as paths relative to it
+async function listSnapshots(dir = ACTUAL_DIR) {
+  const found = [];
+  async function walk(relative) {
+    const entries = await fs.readdir(path.join(dir, relative), { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const child = path.join(relative, entry.name);
+      if (entry.isDirectory()) {
+        await walk(child);
+      } else if (entry.name.endsWith('.png')) {
+        found.push(child);
+      }
+    }
+  }
+  await walk('');
+  return found.sort();
+}
+
+module.exports = {
+  ACTUAL_DIR,
+  BASELINE_DIR,
+  DEFAULT_VISUAL,
+  DIFF_DIR,
+  clearSnapshots,
+  compareSnapshots,
+  createVisualCheck,
+  listSnapshots
+};
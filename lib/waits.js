@@ -0,0 +1,79 @@
+// Condition-based waiting for both runners. Fixed sleeps are only kept as
+// "pacing" for recorded videos and are skipped unless demo pacing is on.
+
+// Named timeouts (ms); the suite file's `timeouts` block overrides them
+const DEFAULT_TIMEOUTS = {
+  navigation: 60000, // page.goto
+  element: 10000, // a button, input or nav item to appear
+  submit: 20000, // form response after clicking "Test"
+  validation: 10000, // passport validation error after Connect
+  login: 20000, // passport login reaching the collection page
+  leaderboard: 10000, // leaderboard rows to render
+  scan: 15000 // scan interface to open
+};
+
+function createWaits({ demoPacing = false, timeouts = {} } = {}) {
+  const resolved = { ...DEFAULT_TIMEOUTS, ...timeouts };
+
+  // Human-watchable delay, only when recording a demo
+  async function pace(page, ms) {
+    if (demoPacing) {
+      await page.waitForTimeout(ms);
+    }
+  }
+
+  // Resolve to true once the locator is visible, false on timeout.
+  // (locator.isVisible() ignores its timeout and never waits.)
+  async function visible(locator, timeout = resolved.element) {
+    return locator.waitFor({ state: 'visible', timeout })
+      .then(() => true)
+      .catch(() => false);
+  }
+
+  // Resolve to true once the locator is in the DOM, visible or not
+  async function attached(locator, timeout = resolved.element) {
+    return locator.first().waitFor({ state: 'attached', timeout })
+      .then(() => true)
+      .catch(() => false);
+  }
+
+  // Resolve to true once the page URL satisfies `predicate`
+  async function url(page, predicate, timeout = resolved.element) {
+    return page.waitForURL(target => predicate(target.href), { timeout })
+      .then(() => true)
+      .catch(() => false);
+  }
+
+  // Wait for whichever condition happens first. `conditions` maps a name to
+  // a function returning a promise that settles when the condition holds.
+  // Resolves to the winning name, or null when none held within `timeout`.
+  async function any(conditions, timeout) {
+    let timer;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeout);
+    });
+    const racers = Object.entries(conditions).map(([name, condition]) =>
+      condition(timeout).then(() => name, () => new Promise(() => {}))
+    );
+    try {
+      return await Promise.race([...racers, expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    demoPacing,
+    timeouts: resolved,
+    any,
+    attached,
+    pace,
+    url,
+    visible
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEOUTS,
+  createWaits
+};
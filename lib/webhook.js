@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { SCHEMA_VERSION, deviceLabel, sessionItems } = require('./results');
+
+// Push results to a webhook (n8n) instead of making it poll GitHub for the
+// results artifact. Every run POSTs a 'run.finished' payload once its
+// results and reports are written; with `onDevice` each device session also
+// POSTs a 'session.finished' payload as soon as it ends. Deliveries are
+// signed when a secret is set and retried with exponential backoff; a
+// delivery that still fails is logged and never changes the exit code.
+//
+// Headers on every delivery:
+//   X-Webhook-Event       'run.finished' | 'session.finished'
+//   X-Webhook-Delivery    id shared by every attempt of one delivery
+//   X-Webhook-Attempt     1 for the first try
+//   X-Webhook-Timestamp   unix seconds, part of the signed text
+//   X-Webhook-Signature   'sha256=' + hex HMAC-SHA256 of '<timestamp>.<body>'
+const DEFAULT_WEBHOOK = {
+  url: null, // where to POST; null = no webhook
+  secret: null, // HMAC key; null = unsigned deliveries
+  onDevice: false, // also POST when each device session finishes
+  retries: 3, // extra attempts after a network error, 408, 429 or 5xx
+  backoffMs: 1000, // wait before the first retry, doubled for each next one
+  timeoutMs: 10000 // per attempt
+};
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Check a received delivery against `secret`; `headers` as Node lowercases them
+function verifySignature(secret, headers, body) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = headers[TIMESTAMP_HEADER];
+  if (!signature || !timestamp) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// POST `payload` to `url` and resolve to { ok, status, attempts, error }.
+// Never rejects: a webhook outage must not crash a finished run.
+async function postWebhook(url, event, payload, {
+  secret = null,
+  retries = DEFAULT_WEBHOOK.retries,
+  backoffMs = DEFAULT_WEBHOOK.backoffMs,
+  timeoutMs = DEFAULT_WEBHOOK.timeoutMs
+} = {}) {
+  const body = JSON.stringify(payload);
+  const delivery = crypto.randomUUID();
+  let last = { ok: false, status: null, attempts: 0, error: null };
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    if (attempt > 1) {
+      await new Promise(resolve => setTimeout(resolve, backoffMs * 2 ** (attempt - 2)));
+    }
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': event,
+      'X-Webhook-Delivery': delivery,
+      'X-Webhook-Attempt': String(attempt),
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (secret) {
+      headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+    }
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      last = { ok: response.ok, status: response.status, attempts: attempt, error: response.ok ? null : `HTTP ${response.status}` };
+      if (response.ok || !isRetryable(response.status)) return last;
+    } catch (error) {
+      last = { ok: false, status: null, attempts: attempt, error: error.cause ? error.cause.message : error.message };
+    }
+  }
+  return last;
+}
+
+function countStatuses(items) {
+  const totals = { total: items.length, pass: 0, fail: 0, error: 0, skipped: 0 };
+  for (const item of items) {
+    totals[item.status]++;
+  }
+  totals.flaky = items.filter(item => item.flaky).length;
+  return totals;
+}
+
+// Failed and errored items, plus one entry per session error that was not
+// charged to an item (as the reports list them)
+function failuresOf(run, items, sessions) {
+  const failures = items
+    .filter(item => item.status === 'fail' || item.status === 'error')
+    .map(item => ({
+      id: item.id,
+      target: item.target,
+      device: deviceLabel(item),
+      step: item.step,
+      status: item.status,
+      message: item.message,
+      screenshot: item.artifacts.screenshots[item.artifacts.screenshots.length - 1] || null,
+      video: item.artifacts.video
+    }));
+  for (const session of sessions) {
+    const charged = sessionItems(run, session).some(item => item.details.sessionError);
+    if (session.error && !charged) {
+      failures.push({
+        id: null,
+        target: session.target,
+        device: deviceLabel(session),
+        step: 'device',
+        status: 'error',
+        message: session.error,
+        screenshot: null,
+        video: session.artifacts.video
+      });
+    }
+  }
+  return failures;
+}
+
+function basePayload(run, event) {
+  return { event, schemaVersion: SCHEMA_VERSION, runId: run.runId, runner: run.runner };
+}
+
+// Payload for one finished device session
+function sessionPayload(run, session) {
+  const items = sessionItems(run, session);
+  return {
+    ...basePayload(run, 'session.finished'),
+    session: {
+      target: session.target,
+      device: session.device,
+      label: deviceLabel(session),
+      engine: session.engine,
+      network: session.network,
+      locale: session.locale,
+      status: session.status,
+      error: session.error,
+      blocked: session.blocked,
+      durationMs: session.durationMs
+    },
+    totals: countStatuses(items),
+    failures: failuresOf(run, items, [session]),
+    artifacts: { video: session.artifacts.video }
+  };
+}
+
+// Payload for a finished run. `outcome` is resolveExitCode()'s { code, reason };
+// `artifacts` lists where the results, reports, videos and screenshots went.
+function runPayload(run, { outcome, artifacts }) {
+  return {
+    ...basePayload(run, 'run.finished'),
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    outcome,
+    environment: run.environment,
+    totals: run.totals,
+    flakeRates: run.flakeRates,
+    failures: failuresOf(run, run.items, run.sessions),
+    artifacts
+  };
+}
+
+// Notifier for one run, or null when no webhook URL is set. Session
+// deliveries go out in the background while the run continues;
+// runFinished() waits for them before posting the run itself.
+function createWebhook(options = {}, { log = console.log } = {}) {
+  const resolved = { ...DEFAULT_WEBHOOK, ...options };
+  if (!resolved.url) return null;
+  const pending = [];
+
+  async function deliver(event, payload) {
+    const result = await postWebhook(resolved.url, event, payload, resolved);
+    if (result.ok) {
+      log(`🔔 Webhook ${event} delivered (HTTP ${result.status}${result.attempts > 1 ? `, attempt ${result.attempts}` : ''})`);
+    } else {
+      log(`⚠️ Webhook ${event} not delivered after ${result.attempts} attempt(s): ${result.error}`);
+    }
+    return result;
+  }
+
+  return {
+    url: resolved.url,
+    signed: Boolean(resolved.secret),
+    sessionFinished(run, session) {
+      if (resolved.onDevice) {
+        pending.push(deliver('session.finished', sessionPayload(run, session)));
+      }
+    },
+    async runFinished(run, details) {
+      await Promise.all(pending);
+      return deliver('run.finished', runPayload(run, details));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_WEBHOOK,
+  createWebhook,
+  postWebhook,
+  runPayload,
+  sessionPayload,
+  signPayload,
+  verifySignature
+};
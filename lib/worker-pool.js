@@ -0,0 +1,26 @@
+// Run `worker` over `items` with at most `limit` calls in flight. Items are
+// picked up in order; a worker that throws does not stop the other lanes,
+// and the first error is rethrown once every item has been handled.
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const errors = [];
+  const laneCount = Math.max(1, Math.min(limit, items.length));
+
+  const lanes = Array.from({ length: laneCount }, async (_, lane) => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        await worker(items[index], index, lane);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+  });
+
+  await Promise.all(lanes);
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+}
+
+module.exports = { runPool };
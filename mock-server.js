@@ -0,0 +1,38 @@
+const { MOCK_USAGE, parseMockArgs } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/exit-codes');
+const { DEFAULT_PORT, MOCK_WEBHOOK_SECRET, startMockServer } = require('./lib/mock-server');
+
+// Serve the mock mint form and passport app until interrupted
+(async () => {
+  let args;
+  try {
+    args = parseMockArgs();
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+  if (args.help) {
+    console.log(MOCK_USAGE);
+    return;
+  }
+
+  const mock = await startMockServer({
+    port: args.port === undefined ? DEFAULT_PORT : args.port,
+    log: line => console.log(`  ${line}`)
+  });
+  console.log(`\n🧪 Mock POAP Studio and Passport listening on ${mock.url}`);
+  console.log(`   Form:     ${mock.url}/form/demo`);
+  console.log(`   Passport: ${mock.url}/passport/welcome`);
+  console.log(`   Webhook:  ${mock.url}/webhook (signed with "${MOCK_WEBHOOK_SECRET}")`);
+  console.log(`   Mail:     ${mock.url}/mail (MailHog-style API for claim emails)`);
+  console.log('   Press Ctrl+C to stop\n');
+
+  process.once('SIGINT', async () => {
+    await mock.close();
+    console.log('\n👋 Mock server stopped\n');
+  });
+})().catch(error => {
+  console.error(`\n💥 Mock server failed: ${error.stack || error.message}\n`);
+  process.exitCode = EXIT_CODES.CRASHED;
+});
@@ -1,42 +1,97 @@
-const { chromium, devices } = require('playwright-extra');
-const stealth = require('puppeteer-extra-plugin-stealth')();
+const { devices } = require('playwright-extra');
 const path = require('path');
 const fs = require('fs').promises;
-
-// Add stealth plugin to playwright
-chromium.use(stealth);
-
-// Define all devices to test
-const devicesToTest = [
-  'iPhone SE',
-  'iPhone 13 Pro',
-  'iPhone 14 Pro Max',
-  'Pixel 5',
-  'Galaxy S9+',
-  'Galaxy S24'
+const { DEFAULT_CONFIG_PATH, loadSuiteConfig } = require('./lib/suite-config');
+const { PASSPORT_USAGE, activeFilters, filterByName, filterDevices, parsePassportArgs } = require('./lib/cli');
+const { createLogger } = require('./lib/logger');
+const { runPool } = require('./lib/worker-pool');
+const { BotProtectionError, assertNotBlocked } = require('./lib/bot-protection');
+const { EXIT_CODES, resolveExitCode } = require('./lib/exit-codes');
+const { runToReport, writeReports } = require('./lib/reporters');
+const {
+  countOutcomes,
+  createRun,
+  deviceLabel,
+  finishItem,
+  finishRun,
+  finishSession,
+  planItem,
+  planSession,
+  attachSessionVideo,
+  retryItem,
+  startItem,
+  startSession
+} = require('./lib/results');
+const { printSummary } = require('./lib/summary');
+const { createWaits } = require('./lib/waits');
+const { clearSnapshots, createVisualCheck } = require('./lib/visual');
+const { createAccessibilityAudit } = require('./lib/accessibility');
+const { createPerformanceMonitor, formatMeasurement } = require('./lib/performance');
+const { createRetryPolicy, shouldRetry } = require('./lib/retries');
+const { createWebhook } = require('./lib/webhook');
+const { appendHistory } = require('./lib/history');
+const {
+  DEFAULT_NETWORK,
+  describeNetworkProfile,
+  scaleTimeouts
+} = require('./lib/network-profiles');
+const { DEFAULT_LOCALE, createTranslator } = require('./lib/locales');
+const { DEFAULT_ENGINE, deviceClass, launchBrowsers } = require('./lib/browsers');
+const { describeVariant, deviceToFilename, getFormattedDate, openRecording, runnableJobs, selectVariants } = require('./lib/recording');
+
+// Passport runs have a single target; it names the app in results
+const PASSPORT_TARGET = 'Passport';
+
+// Passport steps in the order they run; each becomes one result item
+const PASSPORT_STEPS = [
+  'start',
+  'validation_eth',
+  'validation_ens',
+  'login',
+  'collection',
+  'benefits',
+  'hunt',
+  'leaderboard',
+  'scan',
+  'settings'
 ];
 
-// Generate formatted date for filenames (DD-MM-YYYY)
-function getFormattedDate() {
-  const now = new Date();
-  const day = String(now.getDate()).padStart(2, '0');
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const year = now.getFullYear();
-  return `${day}-${month}-${year}`;
+// The steps each step needs to have passed; it is skipped otherwise. --step
+// runs the named steps together with everything they need.
+const STEP_REQUIRES = {
+  start: [],
+  validation_eth: ['start'],
+  validation_ens: ['start'],
+  login: ['start'],
+  collection: ['login'],
+  benefits: ['login'],
+  hunt: ['login'],
+  leaderboard: ['login'],
+  scan: ['login'],
+  settings: ['login']
+};
+
+// The --step selection plus what it requires, in run order
+function selectSteps(wanted) {
+  const selected = new Set();
+  const add = step => {
+    if (selected.has(step)) return;
+    selected.add(step);
+    STEP_REQUIRES[step].forEach(add);
+  };
+  filterByName(PASSPORT_STEPS, wanted, 'step').forEach(add);
+  return PASSPORT_STEPS.filter(step => selected.has(step));
 }
 
-// Convert device name to filename-friendly format
-function deviceToFilename(deviceName) {
-  return deviceName.toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/\+/g, '-plus');
-}
+// Recording contexts; they get the camera too, for the Scan page
+const RECORDING = { videoDir: './passport-videos', permissions: ['geolocation', 'notifications', 'camera'] };
 
-// Helper function for smooth scrolling
-async function smoothScroll(page, direction = 'down', pauseTime = 1500) {
+// Helper function for smooth scrolling. The pause afterwards only happens
+// with demo pacing on.
+async function smoothScroll(page, direction = 'down', pauseTime = 1500, { waits, log = console.log }) {
   try {
     if (direction === 'down') {
-      console.log('  Smoothly scrolling down...');
+      log('  Smoothly scrolling down...');
       await page.evaluate(async () => {
         const scrollHeight = document.body.scrollHeight;
         const viewportHeight = window.innerHeight;
@@ -49,9 +104,9 @@ async function smoothScroll(page, direction = 'down', pauseTime = 1500) {
           await new Promise(resolve => setTimeout(resolve, 50));
         }
       });
-      await page.waitForTimeout(pauseTime);
+      await waits.pace(page, pauseTime);
     } else {
-      console.log('  Smoothly scrolling back up...');
+      log('  Smoothly scrolling back up...');
       await page.evaluate(async () => {
         const currentScroll = window.scrollY;
         const steps = 20;
@@ -62,17 +117,17 @@ async function smoothScroll(page, direction = 'down', pauseTime = 1500) {
           await new Promise(resolve => setTimeout(resolve, 50));
         }
       });
-      await page.waitForTimeout(pauseTime);
+      await waits.pace(page, pauseTime);
     }
   } catch (error) {
-    console.log(`  ⚠ Scroll failed: ${error.message}`);
+    log(`  ⚠ Scroll failed: ${error.message}`);
   }
 }
 
 // Helper function to scroll inner content areas (for detail pages)
-async function scrollInnerContent(page, pauseTime = 1500) {
+async function scrollInnerContent(page, pauseTime = 1500, { waits, log = console.log }) {
   try {
-    console.log('  Scrolling inner content area...');
+    log('  Scrolling inner content area...');
     await page.evaluate(async () => {
       const scrollableElements = Array.from(document.querySelectorAll('*')).filter(el => {
         const style = window.getComputedStyle(el);
@@ -105,467 +160,833 @@ async function scrollInnerContent(page, pauseTime = 1500) {
         }
       }
     });
-    await page.waitForTimeout(pauseTime);
-    console.log('  ✓ Inner content scrolled');
+    await waits.pace(page, pauseTime);
+    log('  ✓ Inner content scrolled');
   } catch (error) {
-    console.log(`  ⚠ Inner scroll failed: ${error.message}`);
+    log(`  ⚠ Inner scroll failed: ${error.message}`);
   }
 }
 
-(async () => {
-  const browser = await chromium.launch({
-    headless: true,
-    args: [
-      '--disable-blink-features=AutomationControlled',
-      '--disable-dev-shm-usage',
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-web-security',
-      '--disable-features=IsolateOrigins,site-per-process',
-      '--use-fake-ui-for-media-stream',
-      '--use-fake-device-for-media-stream'
-    ]
-  });
+// Start button on the welcome page; matched on its exact text below
+const START_BUTTON = 'button:has-text("Start"), div:has-text("Start")';
 
-  const formattedDate = getFormattedDate();
-  console.log(`\n🚀 Starting Passport Navigation Test - ${formattedDate}\n`);
-  console.log(`Testing ${devicesToTest.length} devices\n`);
+// Back arrow in the passport header, shared by the detail pages
+const BACK_BUTTON = '.clickable-element.baTaUhp, header .clickable-element:first-child';
 
-  // Create directories for outputs
-  await fs.mkdir('./passport-videos', { recursive: true });
-  await fs.mkdir('./passport-screenshots', { recursive: true });
+// Rows of the rendered leaderboard (Bubble repeating group items)
+const LEADERBOARD_ROWS = '[id*="leaderboard"] .group-item, .bubble-element.RepeatingGroup .group-item';
 
-  const BASE_URL = 'https://passport.poap.studio/version-32bmw/collection/custom-demo-flow-1/welcome';
-  const testResults = {};
+// Validation errors on the login page
+const VALIDATION_ERROR = 'text=/invalid|error|incorrect|must provide|valid address|valid ens/i';
 
-  // Loop through each device
-  for (const deviceName of devicesToTest) {
-    const deviceFilename = deviceToFilename(deviceName);
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`📱 Testing on: ${deviceName}`);
-    console.log(`${'='.repeat(60)}\n`);
+// Texts of the validation errors currently on screen
+function visibleErrorTexts(errors) {
+  return errors.evaluateAll(elements => elements
+    .filter(element => element.getClientRects().length > 0)
+    .map(element => element.textContent.trim()));
+}
 
-    testResults[deviceName] = {};
+// The first error on screen that is not one of the `stale` texts seen before
+// the submit (matched one for one, so a second copy of a stale message
+// counts), or null when none shows within `timeout`
+async function newErrorText(page, errors, stale, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const remaining = [...stale];
+    const fresh = (await visibleErrorTexts(errors)).find(text => {
+      const index = remaining.indexOf(text);
+      if (index === -1) return true;
+      remaining.splice(index, 1);
+      return false;
+    });
+    if (fresh !== undefined) return fresh;
+    if (Date.now() >= deadline) return null;
+    await page.waitForTimeout(250);
+  }
+}
 
-    try {
-      // Get device configuration
-      const deviceConfig = devices[deviceName];
-      
-      if (!deviceConfig) {
-        throw new Error(`Device "${deviceName}" not found in Playwright devices`);
+// Build the step runner for one device. A step callback resolves to
+// { status, message, details, screenshot }; a thrown error is recorded as
+// 'error'. Steps whose STEP_REQUIRES did not pass are recorded as 'skipped'
+// without running, steps left out by --step have no item and do not run at
+// all, and every fail/error gets a screenshot of the page.
+// Browser errors since the previous step are attached to each step and can
+// turn a pass into a fail (see lib/page-diagnostics.js), as can a passing
+// step's screen differing from its baseline when `visualCheck` is set.
+// visitPage(name) marks a page the step reached: it measures the page's
+// performance and, when `accessibilityAudit` is set, runs an axe audit, both
+// charged to the running step.
+// A failed or errored step is retried up to retriesFor(step) times: reopen()
+// swaps `current` to a fresh page, and prepare(step) brings that page to
+// where the step starts as part of the new attempt.
+function createStepRunner({ current, items, deviceFilename, visualCheck, accessibilityAudit, performanceMonitor, retriesFor, reopen, prepare, log }) {
+  let audits = [];
+  let measurements = [];
+
+  async function visitPage(name) {
+    const { page } = current;
+    const measurement = await performanceMonitor.measure(page, name);
+    log(`⏱️ ${formatMeasurement(measurement)}`);
+    measurements.push(measurement);
+
+    if (!accessibilityAudit) return;
+    const result = await accessibilityAudit.audit(page, name);
+    log(`♿ Audited ${name}: ${result.error ? `failed (${result.error})` : `${result.violations.length} violation(s)`}`);
+    audits.push(result);
+  }
+
+  async function runStep(step, fn) {
+    const item = items[step];
+    // Not selected with --step
+    if (!item) return null;
+    const unmet = STEP_REQUIRES[step].filter(required => items[required].status !== 'pass');
+    if (unmet.length > 0) {
+      const reason = `Skipped because ${unmet.join(', ')} did not pass`;
+      log(`\n⏭️ ${step}: ${reason}`);
+      return finishItem(item, { status: 'skipped', message: reason });
+    }
+
+    const retries = retriesFor(step);
+    for (let attempt = 1; ; attempt = retryItem(item)) {
+      startItem(item);
+      audits = [];
+      measurements = [];
+      let outcome;
+      try {
+        if (attempt > 1) await prepare(step);
+        outcome = await fn();
+      } catch (error) {
+        if (error instanceof BotProtectionError) throw error;
+        outcome = { status: 'error', message: error.message };
       }
-      
-      // Create context with device emulation and video recording
-      const context = await browser.newContext({
-        ...deviceConfig,
-        recordVideo: {
-          dir: './passport-videos',
-          size: deviceConfig.viewport
-        },
-        locale: 'en-US',
-        timezoneId: 'America/New_York',
-        permissions: ['geolocation', 'notifications', 'camera'],
-        extraHTTPHeaders: {
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+
+      const { page, pageDiagnostics } = current;
+      const diagnostics = pageDiagnostics.take();
+      const diagnosticsProblem = pageDiagnostics.check(diagnostics);
+      if (diagnosticsProblem && outcome.status === 'pass') {
+        outcome = { ...outcome, status: 'fail', message: `${outcome.message}, but ${diagnosticsProblem}` };
+      }
+      outcome = { ...outcome, details: { ...outcome.details, diagnostics } };
+
+      if (measurements.length > 0) {
+        outcome.details.performance = measurements;
+        const performanceProblem = performanceMonitor.check(measurements);
+        if (performanceProblem && outcome.status === 'pass') {
+          outcome = { ...outcome, status: 'fail', message: `${outcome.message}, but ${performanceProblem}` };
         }
-      });
+      }
 
-      // Add stealth measures
-      await context.addInitScript(() => {
-        Object.defineProperty(navigator, 'webdriver', {
-          get: () => false,
-        });
-        Object.defineProperty(navigator, 'plugins', {
-          get: () => [1, 2, 3, 4, 5],
-        });
-        Object.defineProperty(navigator, 'languages', {
-          get: () => ['en-US', 'en'],
-        });
-      });
+      if (accessibilityAudit && audits.length > 0) {
+        outcome.details.accessibility = audits;
+        const accessibilityProblem = accessibilityAudit.check(audits);
+        if (accessibilityProblem && outcome.status === 'pass') {
+          outcome = { ...outcome, status: 'fail', message: `${outcome.message}, but ${accessibilityProblem}` };
+        }
+      }
 
-      const page = await context.newPage();
+      if (visualCheck && outcome.status === 'pass') {
+        try {
+          const visual = await visualCheck.check(page, { runner: 'passport', target: 'passport', device: deviceFilename, state: step });
+          outcome.details.visual = visual;
+          if (visual.status === 'missing') {
+            log(`🆕 No visual baseline yet: ${visual.baseline}`);
+          } else if (visual.status === 'mismatch') {
+            outcome = {
+              ...outcome,
+              status: 'fail',
+              message: `${outcome.message}, but the screen differs from its baseline: ${visual.reason}`,
+              screenshot: visual.diff || visual.actual
+            };
+          }
+        } catch (error) {
+          log(`⚠️ Visual check failed for ${step}: ${error.message}`);
+        }
+      }
 
-      // Navigate to welcome page
-      await page.goto(BASE_URL, { waitUntil: 'domcontentloaded' });
-      await page.waitForTimeout(2000);
+      let screenshot = outcome.screenshot || null;
+      if (outcome.status === 'fail' || outcome.status === 'error') {
+        log(`${outcome.status === 'fail' ? '❌' : '⚠️'} ${step}: ${outcome.message}`);
+        const failureShot = `./passport-screenshots/${deviceFilename}-${step}${attempt > 1 ? `-attempt${attempt}` : ''}-failure.png`;
+        screenshot = await page.screenshot({ path: failureShot, fullPage: true })
+          .then(() => failureShot)
+          .catch(() => screenshot);
+      }
 
-      // Step 1: Click Start button
-      console.log('Step 1: Looking for Start button on welcome page...');
-      const startButton = page.locator('button:has-text("Start"), div:has-text("Start")').filter({ hasText: /^Start$/ }).first();
-      
-      if (await startButton.isVisible({ timeout: 10000 }).catch(() => false)) {
-        console.log('Start button found, clicking...');
-        await startButton.click();
-        await page.waitForTimeout(2000);
-        console.log('✓ Navigated to login page');
+      finishItem(item, { ...outcome, screenshot });
+
+      if (!shouldRetry(item, retries)) {
+        if (item.flaky) log(`🔁 ${step}: FLAKY - passed on attempt ${attempt} of ${retries + 1}`);
+        return item;
       }
+      log(`🔁 Retrying ${step} (attempt ${attempt + 1} of ${retries + 1}) in a fresh context`);
+      await reopen();
+    }
+  }
 
-      // Step 2: Test wrong ETH address scenario
-      console.log('\nStep 2: Testing wrong ETH address scenario...');
-      const emailInput = page.locator('input[type="email"], input[placeholder*="email" i], input').first();
-      await emailInput.fill('cuchipandoeeee.eth');
-      console.log('Entered wrong ETH: cuchipandoeeee.eth');
-      
-      await page.waitForTimeout(1000);
-      
-      const connectButton = page.locator('#button_start');
-      await connectButton.click();
-      console.log('Clicked Connect button');
-      
-      console.log('Waiting for error message to appear...');
-      await page.waitForTimeout(6000);
-      
-      let errorMessage = page.locator('text=/invalid|error|incorrect|must provide|valid address|valid ens/i');
-      if (await errorMessage.isVisible({ timeout: 3000 }).catch(() => false)) {
-        const errorText = await errorMessage.textContent();
-        console.log('✓ Validation error shown for wrong ETH');
-        console.log(`   Error message: "${errorText}"`);
-        await page.waitForTimeout(3000);
-        testResults[deviceName].validation_eth = 'pass';
-      } else {
-        console.log('⚠ No validation error detected');
-        testResults[deviceName].validation_eth = 'fail';
+  return { runStep, visitPage };
+}
+
+// Walk the whole passport flow on one device, engine, network profile and locale in its own browser context;
+// each retry of a step continues in a fresh one (see createStepRunner).
+// `session` and `items` (keyed by step) are planned by the caller in device
+// order, so parallel workers only ever fill in their own entries.
+async function testDevice(browser, deviceName, { engine, profile, locale, translations, passport, formattedDate, videoDir, retriesFor, run, session, items, waits, diagnosticsOptions, visualCheck, accessibilityAudit, performanceOptions, log }) {
+  const { baseUrl: BASE_URL, collectionUrl: COLLECTION_URL, identities } = passport;
+  // Sessions off the default engine, locale or network keep their own
+  // screenshots, videos and baselines
+  const deviceFilename = [
+    deviceToFilename(deviceName),
+    ...(engine === DEFAULT_ENGINE ? [] : [engine]),
+    ...(locale.locale === DEFAULT_LOCALE.locale ? [] : [locale.locale.toLowerCase()]),
+    ...(profile.name === DEFAULT_NETWORK ? [] : [profile.name])
+  ].join('-');
+  const translator = createTranslator(locale.locale, translations);
+
+  log(`\n${'='.repeat(60)}`);
+  log(`📱 Testing on: ${deviceName}`);
+  log(`🧭 Engine: ${engine}`);
+  log(`📶 Network: ${describeNetworkProfile(profile)}`);
+  log(`🌍 Locale: ${locale.locale} (${locale.timezoneId})`);
+  log(`${'='.repeat(60)}\n`);
+
+  startSession(session);
+  let videoPath = null;
+  let videoStartedAt = null;
+  let recording = null;
+  let sessionError = null;
+  let blocked = false;
+  try {
+    // Get device configuration
+    const deviceConfig = devices[deviceName];
+    
+    if (!deviceConfig) {
+      throw new Error(`Device "${deviceName}" not found in Playwright devices`);
+    }
+    
+    log(`${deviceClass(deviceConfig)} viewport ${deviceConfig.viewport.width}×${deviceConfig.viewport.height}`);
+    const videoName = `passport-${deviceFilename}-${formattedDate}`;
+
+    // Close the current recording and move its video into the run's
+    // directory; other workers record into the same directory
+    const closeRecording = async name => {
+      const { context, page: recordedPage, video } = recording;
+      recording = null;
+      await recordedPage.close();
+      await context.close();
+      if (!video) return null;
+      const target = path.join(videoDir, `${name}.webm`);
+      await fs.rename(await video.path(), target);
+      log(`\n✅ Video saved: ${target}`);
+      return target;
+    };
+
+    // Steps reach the page through these bindings and `current`, so a retry
+    // can swap in a fresh recording underneath them
+    let page;
+    let emailInput;
+    let connectButton;
+    const current = {};
+    const usePage = opened => {
+      recording = opened;
+      videoStartedAt = opened.startedAt;
+      page = opened.page;
+      current.page = page;
+      current.pageDiagnostics = opened.pageDiagnostics;
+      emailInput = page.locator('input[type="email"], input[placeholder*="email" i], input').first();
+      connectButton = page.locator('#button_start');
+    };
+    usePage(await openRecording(browser, deviceConfig, { engine, waits, diagnosticsOptions, profile, locale, ...RECORDING }));
+    const scrollOptions = { waits, log };
+
+    // Bottom nav tab by its English label, translated to the session's
+    // locale; null when the suite has no translation for it
+    const navTab = label => {
+      const text = translator.t(label);
+      return text ? page.locator(`div:has(> img) > div:has-text("${text}")`).or(page.locator(`text=${text}`)).first() : null;
+    };
+    const missingLabel = label => ({ status: 'fail', message: translator.missing(label), details: { missingTranslation: label } });
+
+    // Retries start over in a fresh context. The video so far covers every
+    // attempt that already ran, so it is saved and attached before switching.
+    let segment = 1;
+    const reopen = async () => {
+      const startedAt = recording.startedAt;
+      attachSessionVideo(run, session, await closeRecording(`${videoName}-part${segment}`), startedAt);
+      segment++;
+      usePage(await openRecording(browser, deviceConfig, { engine, waits, diagnosticsOptions, profile, locale, ...RECORDING }));
+    };
+
+    // Bring a fresh page to where `step` starts: the welcome page for start,
+    // the login page for the validation and login steps, signed in for the rest
+    const prepare = async step => {
+      const response = await page.goto(BASE_URL, { waitUntil: 'domcontentloaded' });
+      await assertNotBlocked(page, response);
+      if (step === 'start') return;
+
+      await page.locator(START_BUTTON).filter({ hasText: /^Start$/ }).first().click();
+      if (!(await waits.visible(connectButton))) {
+        throw new Error('Login page (#button_start) did not appear while preparing the retry');
       }
+      if (PASSPORT_STEPS.indexOf(step) <= PASSPORT_STEPS.indexOf('login')) return;
 
-      // Step 3: Test wrong ENS scenario
-      console.log('\nStep 3: Testing wrong ENS scenario...');
-      await emailInput.clear();
-      await page.waitForTimeout(500);
-      await emailInput.fill('0x4444');
-      console.log('Entered wrong ENS: 0x4444');
-      
-      await page.waitForTimeout(1000);
+      await emailInput.fill(identities.login);
       await connectButton.click();
-      console.log('Clicked Connect button');
-      
-      console.log('Waiting for error message to update...');
-      await page.waitForTimeout(6000);
-      
-      errorMessage = page.locator('text=/invalid|error|incorrect|must provide|valid address|valid ens/i');
-      if (await errorMessage.isVisible({ timeout: 3000 }).catch(() => false)) {
-        const errorText = await errorMessage.textContent();
-        console.log('✓ Validation error shown for wrong ENS');
-        console.log(`   Error message: "${errorText}"`);
-        await page.waitForTimeout(3000);
-        testResults[deviceName].validation_ens = 'pass';
-      } else {
-        console.log('⚠ No validation error detected');
-        testResults[deviceName].validation_ens = 'fail';
+      if (!(await waits.url(page, href => href.startsWith(COLLECTION_URL), waits.timeouts.login))) {
+        throw new Error(`Could not sign in again while preparing the retry (still on ${page.url()})`);
+      }
+    };
+
+    // Navigate to welcome page
+    const response = await page.goto(BASE_URL, { waitUntil: 'domcontentloaded' });
+    await assertNotBlocked(page, response);
+    await waits.pace(page, 2000);
+
+    const performanceMonitor = createPerformanceMonitor(deviceName, performanceOptions);
+    const { runStep, visitPage } = createStepRunner({
+      current,
+      items,
+      deviceFilename,
+      visualCheck,
+      accessibilityAudit,
+      performanceMonitor,
+      retriesFor,
+      reopen,
+      prepare,
+      log
+    });
+
+    // Step 1: Click Start button
+    await runStep('start', async () => {
+      log('Step 1: Looking for Start button on welcome page...');
+      const startButton = page.locator(START_BUTTON).filter({ hasText: /^Start$/ }).first();
+      if (!(await waits.visible(startButton))) {
+        return { status: 'fail', message: 'Start button not visible on the welcome page' };
+      }
+
+      await visitPage('welcome');
+      log('Start button found, clicking...');
+      await startButton.click();
+      if (!(await waits.visible(connectButton))) {
+        return { status: 'fail', message: 'Login page (#button_start) did not appear after clicking Start' };
       }
+      log('✓ Navigated to login page');
+      await visitPage('login');
+      return { status: 'pass', message: 'Start opened the login page' };
+    });
+
+    // Steps 2 and 3: wrong ETH / ENS must show a validation error
+    const errorMessages = page.locator(VALIDATION_ERROR);
+    const validationSteps = [
+      { step: 'validation_eth', number: 2, label: 'wrong ETH', value: identities.wrongEth },
+      { step: 'validation_ens', number: 3, label: 'wrong ENS', value: identities.wrongEns }
+    ];
+    for (const { step, number, label, value } of validationSteps) {
+      await runStep(step, async () => {
+        log(`\nStep ${number}: Testing ${label} scenario...`);
+        await emailInput.clear();
+        await waits.pace(page, 500);
+        await emailInput.fill(value);
+        log(`Entered ${label}: ${value}`);
+
+        await waits.pace(page, 1000);
+        // An error still on screen from the previous step must not pass this one
+        const stale = await visibleErrorTexts(errorMessages);
+        await connectButton.click();
+        log('Clicked Connect button');
+
+        log('Waiting for error message to appear...');
+        const errorText = await newErrorText(page, errorMessages, stale, waits.timeouts.validation);
+        if (errorText === null) {
+          log('⚠ No validation error detected');
+          const still = stale.length > 0 ? ` (only the earlier "${stale[0]}" stayed on screen)` : '';
+          return { status: 'fail', message: `No validation error shown for ${label} "${value}"${still}` };
+        }
 
-      // Step 4: Login with correct email
-      console.log('\nStep 4: Login with correct email...');
+        log(`✓ Validation error shown for ${label}`);
+        log(`   Error message: "${errorText}"`);
+        await waits.pace(page, 3000);
+        return {
+          status: 'pass',
+          message: `Validation error shown for ${label}`,
+          details: { errorMessage: errorText }
+        };
+      });
+    }
+
+    // Step 4: Login with correct email. Passes only once the collection page loads.
+    await runStep('login', async () => {
+      log('\nStep 4: Login with correct email...');
       await emailInput.clear();
-      await page.waitForTimeout(500);
-      await emailInput.fill('choyos@yellowglasses.es');
-      console.log('Entered correct email: choyos@yellowglasses.es');
-      
-      await page.waitForTimeout(4000);
+      await waits.pace(page, 500);
+      await emailInput.fill(identities.login);
+      log(`Entered correct email: ${identities.login}`);
+
+      await waits.pace(page, 4000);
       await connectButton.click();
-      console.log('Clicked Connect button with correct email');
-      
-      console.log('Waiting for successful login and navigation...');
-      await page.waitForTimeout(10000);
-      console.log('✓ Successfully logged in');
-      testResults[deviceName].login = 'pass';
-
-      // Step 5: Navigate Collection page
-      console.log('\nStep 5: Navigating Collection page...');
-      await page.waitForTimeout(2000);
-      
-      await smoothScroll(page, 'down', 2000);
-      await smoothScroll(page, 'up', 2000);
-      
+      log('Clicked Connect button with correct email');
+
+      log('Waiting for successful login and navigation...');
+      const reachedCollection = await waits.url(page, href => href.startsWith(COLLECTION_URL), waits.timeouts.login);
+      if (!reachedCollection) {
+        return { status: 'fail', message: `Login did not reach the collection page (still on ${page.url()})` };
+      }
+
+      log('✓ Successfully logged in');
+      return { status: 'pass', message: 'Logged in and reached the collection page', details: { landingUrl: page.url() } };
+    });
+
+    // Step 5: Navigate Collection page
+    await runStep('collection', async () => {
+      log('\nStep 5: Navigating Collection page...');
+      await waits.pace(page, 2000);
+      await visitPage('collection');
+
+      await smoothScroll(page, 'down', 2000, scrollOptions);
+      await smoothScroll(page, 'up', 2000, scrollOptions);
+
       // Click first collectible
-      console.log('Clicking first collectible...');
+      log('Clicking first collectible...');
       const collectibleSelectors = [
         '#collectible1',
         '[id*="collectible"]',
         '.bubble-element.RepeatingGroup .group-item:first-child .clickable-element'
       ];
-      
-      let clicked = false;
+
       for (const selector of collectibleSelectors) {
         const element = page.locator(selector).first();
-        if (await element.isVisible({ timeout: 1000 }).catch(() => false)) {
-          try {
-            console.log(`  Attempting to click with selector: ${selector}`);
-            await element.click({ timeout: 3000 });
-            console.log(`✓ Clicked collectible using selector: ${selector}`);
-            await page.waitForTimeout(2000);
-            
-            const currentUrl = page.url();
-            if (currentUrl !== 'https://passport.poap.studio/version-32bmw/collection/custom-demo-flow-1/collection') {
-              console.log('✓ Successfully opened collectible detail page');
-              clicked = true;
-              
-              await page.waitForTimeout(1500);
-              
-              console.log('Scrolling on collectible detail page...');
-              await smoothScroll(page, 'down', 1500);
-              await smoothScroll(page, 'up', 1500);
-              await scrollInnerContent(page, 1000);
-              
-              // Go back
-              const backButton = page.locator('.clickable-element.baTaUhp, header .clickable-element:first-child').first();
-              if (await backButton.isVisible({ timeout: 2000 }).catch(() => false)) {
-                await backButton.click();
-                console.log('✓ Clicked back arrow');
-              } else {
-                await page.locator('text=Collection').first().click({ force: true });
-              }
-              
-              await page.waitForTimeout(2000);
-              console.log('✓ Returned to Collection page');
-              break;
-            }
-          } catch (error) {
-            console.log(`  Failed with selector: ${selector}`);
+        if (!(await waits.visible(element, 1000))) continue;
+        try {
+          log(`  Attempting to click with selector: ${selector}`);
+          await element.click({ timeout: 3000 });
+          log(`✓ Clicked collectible using selector: ${selector}`);
+          if (!(await waits.url(page, href => href !== COLLECTION_URL))) continue;
+          log('✓ Successfully opened collectible detail page');
+          const detailUrl = page.url();
+          await waits.pace(page, 1500);
+          await visitPage('collectible-detail');
+
+          log('Scrolling on collectible detail page...');
+          await smoothScroll(page, 'down', 1500, scrollOptions);
+          await smoothScroll(page, 'up', 1500, scrollOptions);
+          await scrollInnerContent(page, 1000, scrollOptions);
+
+          // Go back
+          const backButton = page.locator(BACK_BUTTON).first();
+          if (await waits.visible(backButton, 2000)) {
+            await backButton.click();
+            log('✓ Clicked back arrow');
+          } else {
+            await page.locator('text=Collection').first().click({ force: true });
           }
+
+          await waits.url(page, href => href.startsWith(COLLECTION_URL));
+          log('✓ Returned to Collection page');
+          return { status: 'pass', message: 'Opened a collectible and returned to Collection', details: { detailUrl } };
+        } catch (error) {
+          log(`  Failed with selector: ${selector}`);
         }
       }
-      
-      testResults[deviceName].collection = clicked ? 'pass' : 'fail';
-
-      // Step 6: Navigate to Benefits
-      console.log('\nStep 6: Navigating to Benefits page...');
-      const benefitsNav = page.locator('div:has(> img) > div:has-text("Benefits")').or(page.locator('text=Benefits')).first();
-      if (await benefitsNav.isVisible({ timeout: 10000 }).catch(() => false)) {
-        await benefitsNav.click({ force: true });
-        console.log('Clicked Benefits tab');
-        await page.waitForTimeout(3000);
-        
-        await smoothScroll(page, 'down', 2000);
-        await smoothScroll(page, 'up', 2000);
-        
-        console.log('Clicking first benefit...');
-        const benefitSelectors = ['#benefit1', '[id*="benefit"]'];
-        
-        clicked = false;
-        for (const selector of benefitSelectors) {
-          const element = page.locator(selector).first();
-          if (await element.isVisible({ timeout: 1000 }).catch(() => false)) {
-            await element.click({ timeout: 3000 });
-            console.log(`✓ Clicked benefit`);
-            await page.waitForTimeout(2000);
-            
-            await smoothScroll(page, 'down', 1500);
-            await smoothScroll(page, 'up', 1500);
-            await scrollInnerContent(page, 1000);
-            
-            const backButton = page.locator('.clickable-element.baTaUhp, header .clickable-element:first-child').first();
-            if (await backButton.isVisible({ timeout: 2000 }).catch(() => false)) {
-              await backButton.click();
-              console.log('✓ Returned to Benefits');
-            }
-            clicked = true;
-            break;
-          }
-        }
-        
-        testResults[deviceName].benefits = clicked ? 'pass' : 'fail';
+
+      return { status: 'fail', message: `Could not open a collectible detail page (tried ${collectibleSelectors.join(', ')})` };
+    });
+
+    // Step 6: Navigate to Benefits
+    await runStep('benefits', async () => {
+      log('\nStep 6: Navigating to Benefits page...');
+      const benefitsNav = navTab('Benefits');
+      if (!benefitsNav) return missingLabel('Benefits');
+      if (!(await waits.visible(benefitsNav))) {
+        return { status: 'fail', message: 'Benefits nav is not visible' };
       }
 
-      // Step 7: Navigate to Hunt
-      console.log('\nStep 7: Navigating to Hunt page...');
-      const huntNav = page.locator('div:has(> img) > div:has-text("Hunt")').or(page.locator('text=Hunt')).first();
-      if (await huntNav.isVisible({ timeout: 10000 }).catch(() => false)) {
-        await huntNav.click({ force: true });
-        console.log('Clicked Hunt tab');
-        await page.waitForTimeout(3000);
-        
-        await page.evaluate(() => window.scrollBy(0, 150));
-        await page.waitForTimeout(1000);
-        await smoothScroll(page, 'down', 2000);
-        await smoothScroll(page, 'up', 2000);
-        
-        console.log('Clicking first hunt...');
-        const hunt = page.locator('#hunt1').first();
-        if (await hunt.isVisible({ timeout: 3000 }).catch(() => false)) {
-          await hunt.click({ timeout: 3000 });
-          console.log('✓ Clicked hunt');
-          await page.waitForTimeout(2000);
-          
-          await smoothScroll(page, 'down', 1500);
-          await smoothScroll(page, 'up', 1500);
-          
-          // Navigate to Leaderboard
-          const leaderboardNav = page.locator('div:has(> img) > div:has-text("Leaderboard")').or(page.locator('text=Leaderboard')).first();
-          await leaderboardNav.click({ force: true });
-          console.log('✓ Navigated to Leaderboard');
-          await page.waitForTimeout(2000);
-          
-          testResults[deviceName].hunt = 'pass';
+      await benefitsNav.click({ force: true });
+      log('Clicked Benefits tab');
+      await waits.pace(page, 3000);
+      await visitPage('benefits');
+
+      await smoothScroll(page, 'down', 2000, scrollOptions);
+      await smoothScroll(page, 'up', 2000, scrollOptions);
+
+      log('Clicking first benefit...');
+      const benefitSelectors = ['#benefit1', '[id*="benefit"]'];
+      for (const selector of benefitSelectors) {
+        const element = page.locator(selector).first();
+        if (!(await waits.visible(element, 1000))) continue;
+
+        await element.click({ timeout: 3000 });
+        log(`✓ Clicked benefit`);
+        await waits.pace(page, 2000);
+
+        await smoothScroll(page, 'down', 1500, scrollOptions);
+        await smoothScroll(page, 'up', 1500, scrollOptions);
+        await scrollInnerContent(page, 1000, scrollOptions);
+
+        const backButton = page.locator(BACK_BUTTON).first();
+        if (await waits.visible(backButton, 2000)) {
+          await backButton.click();
+          log('✓ Returned to Benefits');
         }
+        return { status: 'pass', message: 'Opened the first benefit' };
       }
 
-      // Step 8: Leaderboard
-      console.log('\nStep 8: On Leaderboard page...');
-      await page.waitForTimeout(2000);
-      await smoothScroll(page, 'down', 2000);
-      
+      return { status: 'fail', message: `No benefit found to open (tried ${benefitSelectors.join(', ')})` };
+    });
+
+    // Step 7: Navigate to Hunt
+    await runStep('hunt', async () => {
+      log('\nStep 7: Navigating to Hunt page...');
+      const huntNav = navTab('Hunt');
+      if (!huntNav) return missingLabel('Hunt');
+      if (!(await waits.visible(huntNav))) {
+        return { status: 'fail', message: 'Hunt nav is not visible' };
+      }
+
+      await huntNav.click({ force: true });
+      log('Clicked Hunt tab');
+      await waits.pace(page, 3000);
+      await visitPage('hunt');
+
+      await page.evaluate(() => window.scrollBy(0, 150));
+      await waits.pace(page, 1000);
+      await smoothScroll(page, 'down', 2000, scrollOptions);
+      await smoothScroll(page, 'up', 2000, scrollOptions);
+
+      log('Clicking first hunt...');
+      const hunt = page.locator('#hunt1').first();
+      if (!(await waits.visible(hunt))) {
+        return { status: 'fail', message: 'No hunt (#hunt1) visible on the Hunt page' };
+      }
+
+      await hunt.click({ timeout: 3000 });
+      log('✓ Clicked hunt');
+      await waits.pace(page, 2000);
+
+      await smoothScroll(page, 'down', 1500, scrollOptions);
+      await smoothScroll(page, 'up', 1500, scrollOptions);
+      return { status: 'pass', message: 'Opened the first hunt' };
+    });
+
+    // Step 8: Leaderboard. Passes only when leaderboard rows are rendered.
+    await runStep('leaderboard', async () => {
+      log('\nStep 8: Navigating to Leaderboard page...');
+      const leaderboardNav = navTab('Leaderboard');
+      if (!leaderboardNav) return missingLabel('Leaderboard');
+      if (!(await waits.visible(leaderboardNav))) {
+        return { status: 'fail', message: 'Leaderboard nav is not visible' };
+      }
+
+      await leaderboardNav.click({ force: true });
+      log('✓ Navigated to Leaderboard');
+
+      const rows = page.locator(LEADERBOARD_ROWS);
+      if (!(await waits.visible(rows.first(), waits.timeouts.leaderboard))) {
+        return { status: 'fail', message: 'Leaderboard page rendered no rows' };
+      }
+      await visitPage('leaderboard');
+
+      await smoothScroll(page, 'down', 2000, scrollOptions);
+
       const seeMoreButton = page.locator('div:has-text("See more")').first();
-      if (await seeMoreButton.isVisible({ timeout: 3000 }).catch(() => false)) {
+      if (await waits.visible(seeMoreButton, 3000)) {
         await seeMoreButton.click();
-        console.log('✓ Clicked See more button');
-        await page.waitForTimeout(2000);
+        log('✓ Clicked See more button');
+        await waits.pace(page, 2000);
       }
-      
+
       await page.evaluate(() => window.scrollTo({ top: 0, behavior: 'smooth' }));
-      await page.waitForTimeout(2000);
-      testResults[deviceName].leaderboard = 'pass';
+      await waits.pace(page, 2000);
 
-      // Step 9: Scan functionality
-      console.log('\nStep 9: Opening Scan with floating button...');
+      const rowCount = await rows.count();
+      log(`✓ Leaderboard shows ${rowCount} rows`);
+      return { status: 'pass', message: `Leaderboard shows ${rowCount} rows`, details: { rowCount } };
+    });
+
+    // Step 9: Scan functionality
+    await runStep('scan', async () => {
+      log('\nStep 9: Opening Scan with floating button...');
       const scanButton = page.locator('#scanbutton');
-      
-      if (await scanButton.isVisible({ timeout: 5000 }).catch(() => false)) {
-        await scanButton.click();
-        console.log('✓ Clicked Scan button');
-        
-        await page.waitForTimeout(7000);
-        
-        const scanScreenshot = `./passport-screenshots/${deviceFilename}-scan-interface.png`;
-        await page.screenshot({ path: scanScreenshot, fullPage: true });
-        console.log('Screenshot saved');
-        
-        // Close scan with backbuttonscan
-        const backButtonScan = page.locator('#backbuttonscan');
-        const backButtonCount = await backButtonScan.count();
-        console.log(`Found ${backButtonCount} elements with #backbuttonscan`);
-        
-        if (backButtonCount > 0) {
-          let scanClosed = false;
-          
-          try {
-            console.log('Attempting force click...');
-            await backButtonScan.click({ force: true, timeout: 3000 });
-            console.log('✓ Force click succeeded');
-            scanClosed = true;
-          } catch (e) {
-            console.log('Force click failed, trying Escape key...');
-            await page.keyboard.press('Escape');
-            scanClosed = true;
-          }
-          
-          if (scanClosed) {
-            console.log('✓ Successfully closed Scan interface');
-            await page.waitForTimeout(2000);
-            testResults[deviceName].scan = 'pass';
-          }
-        }
+      if (!(await waits.visible(scanButton))) {
+        return { status: 'fail', message: 'Scan button (#scanbutton) is not visible' };
       }
 
-      // Step 10: Settings
-      console.log('\nStep 10: Opening Settings...');
-      await page.waitForTimeout(1500);
-      
+      await scanButton.click();
+      log('✓ Clicked Scan button');
+
+      // The scan interface is open once its close button is in the DOM
+      const backButtonScan = page.locator('#backbuttonscan');
+      const scanOpened = await waits.attached(backButtonScan, waits.timeouts.scan);
+      await waits.pace(page, 3000);
+
+      const scanScreenshot = `./passport-screenshots/${deviceFilename}-scan-interface.png`;
+      await page.screenshot({ path: scanScreenshot, fullPage: true });
+      log('Screenshot saved');
+      await visitPage('scan');
+
+      // Close scan with backbuttonscan
+      if (!scanOpened) {
+        return { status: 'fail', message: 'Scan opened but has no close button (#backbuttonscan)', screenshot: scanScreenshot };
+      }
+
+      let closedWith = 'back button';
+      try {
+        log('Attempting force click...');
+        await backButtonScan.click({ force: true, timeout: 3000 });
+        log('✓ Force click succeeded');
+      } catch (e) {
+        log('Force click failed, trying Escape key...');
+        await page.keyboard.press('Escape');
+        closedWith = 'Escape key';
+      }
+
+      log('✓ Successfully closed Scan interface');
+      await waits.pace(page, 2000);
+      return { status: 'pass', message: `Opened Scan and closed it with the ${closedWith}`, screenshot: scanScreenshot };
+    });
+
+    // Step 10: Settings, its sub-pages and sign out
+    await runStep('settings', async () => {
+      log('\nStep 10: Opening Settings...');
+      await waits.pace(page, 1500);
+
       const settingsButton = page.locator('#settingsbutton');
-      if (await settingsButton.isVisible({ timeout: 5000 }).catch(() => false)) {
-        await settingsButton.click();
-        console.log('✓ Opened Settings');
-        await page.waitForTimeout(2000);
-        
-        // Help
-        const helpButton = page.locator('#helpbutton');
-        if (await helpButton.isVisible({ timeout: 3000 }).catch(() => false)) {
-          await helpButton.click();
-          await page.waitForTimeout(2000);
-          
-          const backButtonHelp = page.locator('#backbuttonhelp');
-          if (await backButtonHelp.isVisible({ timeout: 3000 }).catch(() => false)) {
-            await backButtonHelp.click();
-            await page.waitForTimeout(1500);
-            console.log('✓ Navigated Help');
-          }
-        }
-        
-        // Terms & Conditions
-        const tcButton = page.locator('#tcbutton');
-        if (await tcButton.isVisible({ timeout: 3000 }).catch(() => false)) {
-          await tcButton.click();
-          await page.waitForTimeout(2000);
-          
-          const backButton = page.locator('#backbutton');
-          if (await backButton.isVisible({ timeout: 3000 }).catch(() => false)) {
-            await backButton.click();
-            await page.waitForTimeout(1500);
-            console.log('✓ Navigated T&C');
-          }
-        }
-        
-        // Privacy Policy
-        const ppButton = page.locator('#ppbutton');
-        if (await ppButton.isVisible({ timeout: 3000 }).catch(() => false)) {
-          await ppButton.click();
-          await page.waitForTimeout(2000);
-          
-          const backButton = page.locator('#backbutton');
-          if (await backButton.isVisible({ timeout: 3000 }).catch(() => false)) {
-            await backButton.click();
-            await page.waitForTimeout(1500);
-            console.log('✓ Navigated Privacy Policy');
-          }
+      if (!(await waits.visible(settingsButton))) {
+        return { status: 'fail', message: 'Settings button (#settingsbutton) is not visible' };
+      }
+
+      await settingsButton.click();
+      log('✓ Opened Settings');
+      await visitPage('settings');
+
+      const subPages = [
+        { name: 'Help', audit: 'help', button: '#helpbutton', back: '#backbuttonhelp' },
+        { name: 'T&C', audit: 'terms', button: '#tcbutton', back: '#backbutton' },
+        { name: 'Privacy Policy', audit: 'privacy', button: '#ppbutton', back: '#backbutton' }
+      ];
+      const missing = [];
+      for (const subPage of subPages) {
+        const button = page.locator(subPage.button);
+        if (!(await waits.visible(button))) {
+          missing.push(`${subPage.name} (${subPage.button})`);
+          continue;
         }
-        
-        // Sign out
-        const signOutButton = page.locator('#signout');
-        if (await signOutButton.isVisible({ timeout: 3000 }).catch(() => false)) {
-          await signOutButton.click();
-          console.log('✓ Signed out');
-          await page.waitForTimeout(3000);
-          testResults[deviceName].settings = 'pass';
+        await button.click();
+        await waits.pace(page, 2000);
+
+        const backButton = page.locator(subPage.back);
+        if (!(await waits.visible(backButton))) {
+          missing.push(`${subPage.name} back button (${subPage.back})`);
+          continue;
         }
+        await visitPage(subPage.audit);
+        await backButton.click();
+        await waits.pace(page, 1500);
+        log(`✓ Navigated ${subPage.name}`);
       }
 
-      console.log('\n✅ Test completed successfully!');
+      // Sign out
+      const signOutButton = page.locator('#signout');
+      if (!(await waits.visible(signOutButton))) {
+        missing.push('Sign out (#signout)');
+      } else {
+        await signOutButton.click();
+        log('✓ Signed out');
+        await waits.pace(page, 3000);
+      }
 
-      // Close page and context to save video
-      await page.close();
-      await context.close();
+      if (missing.length > 0) {
+        return { status: 'fail', message: `Missing in Settings: ${missing.join(', ')}` };
+      }
+      return { status: 'pass', message: 'Visited Help, T&C and Privacy Policy, then signed out' };
+    });
+
+    log('\n✅ Test completed successfully!');
+
+    // Close page and context to save the last (or only) video
+    videoPath = await closeRecording(segment > 1 ? `${videoName}-part${segment}` : videoName);
+
+  } catch (error) {
+    log.error(`\n❌ Error testing ${deviceName}: ${error.message}`);
+    sessionError = error.message;
+    blocked = error instanceof BotProtectionError;
+    if (recording) {
+      await recording.context.close().catch(() => {});
+    }
+  }
+
+  finishSession(run, session, { error: sessionError, blocked, video: videoPath, videoStartedAt });
+}
 
-      // Rename video file
-      const videoDir = './passport-videos';
-      const files = await fs.readdir(videoDir);
-      const latestVideo = files.filter(f => f.endsWith('.webm')).sort().pop();
-
-      if (latestVideo) {
-        const newVideoName = `passport-${deviceFilename}-${formattedDate}.webm`;
-        await fs.rename(
-          path.join(videoDir, latestVideo),
-          path.join(videoDir, newVideoName)
-        );
-        console.log(`\n✅ Video saved: ./passport-videos/${newVideoName}`);
+(async () => {
+  // Load base URL, devices and login identities from the suite file, narrowed by CLI filters
+  let args;
+  let configPath;
+  let suite;
+  let stepsToTest;
+  let devicesToTest;
+  let enginesToTest;
+  let profilesToTest;
+  let localesToTest;
+  let variants;
+  let thresholds;
+  let waits;
+  let webhook;
+  try {
+    args = parsePassportArgs();
+    if (args.help) {
+      console.log(PASSPORT_USAGE);
+      return;
+    }
+    configPath = args.config || process.env.SUITE_CONFIG || DEFAULT_CONFIG_PATH;
+    suite = await loadSuiteConfig(configPath);
+    stepsToTest = selectSteps(args.step);
+    devicesToTest = filterDevices(suite.passport.devices, args.device, Object.keys(devices));
+    ({ engines: enginesToTest, profiles: profilesToTest, locales: localesToTest, variants } = selectVariants(suite.passport, suite.networkProfiles, args));
+    thresholds = { ...suite.thresholds, ...args.thresholds };
+    waits = createWaits({ demoPacing: args.demoPacing, timeouts: suite.timeouts });
+    webhook = createWebhook({ ...suite.webhook, ...(args.webhook ? { url: args.webhook } : {}) });
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+  const { baseUrl: BASE_URL } = suite.passport;
+
+  const matrix = `${devicesToTest.length} devices × ${enginesToTest.length} engines × ${profilesToTest.length} networks × ${localesToTest.length} locales × ${stepsToTest.length} steps`;
+
+  if (args.list) {
+    console.log(`\n📋 ${matrix} (${BASE_URL})\n`);
+    console.log(`🪜 Steps: ${stepsToTest.join(', ')}\n`);
+    for (const deviceName of devicesToTest) {
+      for (const { engine, profile, locale } of variants) {
+        console.log(`  ${describeVariant(deviceName, { engine, profile, locale })}`);
       }
+    }
+    console.log('');
+    return;
+  }
 
-    } catch (error) {
-      console.error(`\n❌ Error testing ${deviceName}: ${error.message}`);
-      testResults[deviceName].error = error.message;
+  const formattedDate = getFormattedDate();
+  console.log(`\n🚀 Starting Passport Navigation Test - ${formattedDate}\n`);
+  if (waits.demoPacing) {
+    console.log('🎬 Demo pacing on: keeping human-watchable pauses for the videos\n');
+  }
+  console.log(`Testing ${matrix}\n`);
+  if (webhook) {
+    console.log(`🔔 Posting results to the webhook${webhook.signed ? ', signed' : ' (unsigned: no secret set)'}\n`);
+  }
+
+  // Create directories for outputs
+  await fs.mkdir('./passport-videos', { recursive: true });
+  await fs.mkdir('./passport-screenshots', { recursive: true });
+  // approve-baselines.js promotes only what this run snapshots
+  if (args.visual) {
+    await clearSnapshots('passport');
+  }
+
+  // Plan every session and step in device order up front, so the results
+  // layout does not depend on which worker finishes first
+  const run = createRun('passport', [{ name: PASSPORT_TARGET, url: BASE_URL }], { suite: path.relative('.', configPath), filters: activeFilters(args) });
+
+  // Each run gets its own video directory, so reruns never overwrite videos
+  const videoDir = path.join('./passport-videos', run.runId);
+  await fs.mkdir(videoDir, { recursive: true });
+  const jobs = devicesToTest.flatMap(deviceName => variants.map(({ engine, profile, locale }) => {
+    const where = { target: PASSPORT_TARGET, device: deviceName, engine, network: profile.name, locale: locale.locale };
+    const session = planSession(run, where);
+    const items = {};
+    for (const step of stepsToTest) {
+      items[step] = planItem(run, { ...where, step });
     }
+    return { deviceName, engine, profile, locale, session, items };
+  }));
+
+  const runnable = runnableJobs(run, jobs);
+
+  // One browser per engine, with a fake camera for the Scan page; an engine
+  // that does not launch errors only its own sessions
+  const engines = await launchBrowsers([...new Set(runnable.map(job => job.engine))], { fakeMedia: true });
+  for (const [engine, reason] of engines.failed) {
+    console.error(`❌ Could not launch ${engine}: ${reason}`);
+  }
+  const launched = runnable.filter(({ engine, session }) => {
+    if (engines.browsers.has(engine)) return true;
+    finishSession(run, session, { error: `Could not launch ${engine}: ${engines.failed.get(engine)}` });
+    return false;
+  });
+
+  if (args.workers > 1) {
+    console.log(`⚙️  Running up to ${args.workers} device sessions in parallel\n`);
   }
 
-  await browser.close();
+  await runPool(launched, args.workers, async ({ deviceName, engine, profile, locale, session, items }) => {
+    await testDevice(engines.browsers.get(engine), deviceName, {
+      engine,
+      profile,
+      locale,
+      translations: suite.translations,
+      passport: suite.passport,
+      formattedDate,
+      videoDir,
+      retriesFor: createRetryPolicy('passport', suite.retries, args.retries),
+      run,
+      session,
+      items,
+      // Slower profiles get proportionally longer timeouts
+      waits: createWaits({ demoPacing: waits.demoPacing, timeouts: scaleTimeouts(waits.timeouts, profile) }),
+      diagnosticsOptions: suite.diagnostics,
+      visualCheck: args.visual ? createVisualCheck(suite.visual) : null,
+      accessibilityAudit: args.a11y ? createAccessibilityAudit({ ...suite.accessibility, ...args.accessibility }) : null,
+      performanceOptions: suite.performance,
+      log: createLogger(args.workers > 1 ? `[${deviceLabel(session)}]` : '')
+    });
+    if (webhook) webhook.sessionFinished(run, session);
+  });
 
-  // Save test results as JSON
+  finishRun(run, { browsers: engines.versions() });
+  await engines.closeAll();
+
+  // Save test results as JSON (schema: lib/results.js)
   const resultsPath = './passport-test-results.json';
-  await fs.writeFile(resultsPath, JSON.stringify(testResults, null, 2));
+  await fs.writeFile(resultsPath, JSON.stringify(run, null, 2));
   console.log(`\n📊 Test results saved: ${resultsPath}`);
 
-  // Print summary
-  console.log(`\n${'='.repeat(60)}`);
-  console.log('📈 TEST SUMMARY');
-  console.log(`${'='.repeat(60)}\n`);
+  // test-results.json is overwritten by the next run; the history keeps it
+  console.log(`🗂️ Run history appended: ${await appendHistory(run)}`);
+
+  // JUnit XML for CI test views, single-file HTML for reviewers, and a
+  // markdown digest for the Actions run page (or a file outside Actions)
+  const reports = await writeReports(runToReport(run, `POAP passport navigation test - ${formattedDate}`), {
+    junit: './passport-test-results.xml',
+    html: './passport-test-report.html',
+    markdown: process.env.GITHUB_STEP_SUMMARY || './passport-test-digest.md'
+  }, {
+    // As uploaded by .github/workflows/passport-test-on-demand.yml
+    artifacts: [
+      { name: 'passport-test-screenshots', dir: './passport-screenshots' },
+      { name: 'passport-test-visual', dir: './visual-diffs' },
+      { name: 'passport-test-visual', dir: './visual-actual' }
+    ]
+  });
+  console.log(`📄 Reports saved: ${reports.join(', ')}`);
 
-  for (const [device, results] of Object.entries(testResults)) {
-    console.log(`📱 ${device}:`);
-    for (const [test, result] of Object.entries(results)) {
-      const icon = result === 'pass' ? '✅' : result === 'fail' ? '❌' : '⚠️';
-      console.log(`   ${icon} ${test}: ${result.toUpperCase()}`);
-    }
-    console.log('');
+  printSummary(run);
+
+  const outcome = resolveExitCode({ ...countOutcomes(run), crashed: engines.crashed() }, thresholds);
+  process.exitCode = outcome.code;
+
+  if (webhook) {
+    await webhook.runFinished(run, {
+      outcome,
+      artifacts: { results: resultsPath, reports, videos: videoDir, screenshots: './passport-screenshots' }
+    });
   }
 
-  console.log('🎉 All passport tests completed!\n');
-})();
+  if (outcome.code === EXIT_CODES.OK) {
+    console.log(`🎉 All passport tests completed! ${outcome.reason}\n`);
+  } else {
+    console.log(`🚨 Passport tests completed with problems: ${outcome.reason} (exit code ${outcome.code})\n`);
+  }
+})().catch(error => {
+  console.error(`\n💥 Passport test run crashed: ${error.stack || error.message}\n`);
+  process.exitCode = EXIT_CODES.CRASHED;
+});
@@ -0,0 +1,10 @@
+const { defineConfig } = require('@playwright/test');
+
+// `npm test` runs the unit tests in ./tests: plain Node code, no browser.
+// The form and passport runners are scripts of their own (see package.json)
+// and verify-harness.js checks them end to end against the mock server.
+module.exports = defineConfig({
+  testDir: './tests',
+  outputDir: './test-results',
+  reporter: 'list'
+});
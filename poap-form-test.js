@@ -1,500 +1,879 @@
-const { chromium, devices } = require('playwright-extra');
-const stealth = require('puppeteer-extra-plugin-stealth')();
+const { devices } = require('playwright-extra');
 const path = require('path');
 const fs = require('fs').promises;
+const { DEFAULT_CONFIG_PATH, loadSuiteConfig } = require('./lib/suite-config');
+const { FORM_USAGE, activeFilters, filterByName, filterDevices, parseFormArgs } = require('./lib/cli');
+const { createLogger } = require('./lib/logger');
+const { runPool } = require('./lib/worker-pool');
+const { BotProtectionError, assertNotBlocked } = require('./lib/bot-protection');
+const { EXIT_CODES, resolveExitCode } = require('./lib/exit-codes');
+const { runToReport, writeReports } = require('./lib/reporters');
+const {
+  countOutcomes,
+  createRun,
+  deviceLabel,
+  finishItem,
+  finishRun,
+  finishSession,
+  planItem,
+  planSession,
+  retryItem,
+  setItemVideo,
+  startItem,
+  startSession
+} = require('./lib/results');
+const { printSummary } = require('./lib/summary');
+const { createWaits } = require('./lib/waits');
+const { describeCall, failedCalls, startNetworkCapture } = require('./lib/network-capture');
+const { summarizeDiagnostics } = require('./lib/page-diagnostics');
+const { clearSnapshots, createVisualCheck } = require('./lib/visual');
+const { createAccessibilityAudit, summarizeAccessibility } = require('./lib/accessibility');
+const { createPerformanceMonitor, formatMeasurement } = require('./lib/performance');
+const { createRetryPolicy, shouldRetry } = require('./lib/retries');
+const { createWebhook } = require('./lib/webhook');
+const { appendHistory } = require('./lib/history');
+const { describeInput, generateScenarios, resolveGeneratedInputs } = require('./lib/identity-inputs');
+const { DEFAULT_MAIL, createMailbox, followClaimLink, uniqueAddress } = require('./lib/mailbox');
+const { fillFields, requiredFieldScenarios } = require('./lib/form-fields');
+const {
+  DEFAULT_NETWORK,
+  describeNetworkProfile,
+  scaleTimeouts
+} = require('./lib/network-profiles');
+const { DEFAULT_LOCALE, createTranslator } = require('./lib/locales');
+const { DEFAULT_ENGINE, deviceClass, launchBrowsers } = require('./lib/browsers');
+const { describeVariant, deviceToFilename, getFormattedDate, openRecording, runnableJobs, selectVariants } = require('./lib/recording');
+
+// Where contexts record their videos before each is moved into the run's
+// directory, and the permissions they are granted
+const RECORDING = { videoDir: './videos', permissions: ['geolocation', 'notifications'] };
 
-// Add stealth plugin to playwright
-chromium.use(stealth);
-
-// Define URLs to test
-const urlsToTest = [
-  {
-    name: 'Original',
-    url: 'https://mint.poap.studio/version-72bms/index-20/customdemoflow05'
-  },
-  {
-    name: 'Internal-Dashboard',
-    url: 'https://mint.poap.studio/version-72bms/index/internal-new-dashboard5'
-  }
-];
+// Convert URL name to filename-friendly format
+function urlToFilename(urlName) {
+  return urlName.toLowerCase().replace(/\s+/g, '-');
+}
 
-// Define all devices to test
-const devicesToTest = [
-  'iPhone SE',
-  'iPhone 13 Pro',
-  'iPhone 14 Pro Max',
-  'Pixel 5',
-  'Galaxy S9+',
-  'Galaxy S24'
+// Texts that identify the form's response to "Test", in English; sessions in
+// other locales look for their translations instead. Errors are checked
+// first because an error can share the screen with drop branding.
+const ERROR_TEXTS = [
+  'You already have this collectible',
+  'Wrong format',
+  'valid ENS',
+  'valid ETH',
+  'must use a valid',
+  'Email is required',
+  'Invalid',
+  'Error'
 ];
 
-// Test scenarios
-const testScenarios = [
-  {
-    name: 'already-used-email',
-    description: 'Already used email',
-    email: 'test@example.com',
-    expectError: true,
-    expectedErrorText: 'You already have this collectible'
-  },
-  {
-    name: 'bad-format-email',
-    description: 'Bad format email',
-    email: 'notanemail',
-    expectError: true,
-    expectedErrorText: 'Wrong format'
-  },
-  {
-    name: 'invalid-eth',
-    description: 'Invalid ETH address',
-    email: '0xfmifeo',
-    expectError: true,
-    expectedErrorText: 'valid ETH'
-  },
-  {
-    name: 'invalid-ens',
-    description: 'Invalid ENS domain',
-    email: 'cuchipando..eth',
-    expectError: true,
-    expectedErrorText: 'valid ENS'
-  },
-  {
-    name: 'valid-unique-email',
-    description: 'Valid unique email',
-    email: null, // Will be generated with timestamp
-    expectError: false,
-    expectedErrorText: null
-  }
+// How a form can tell the user its connection dropped. Only texts that were
+// not on screen before submitting count, so page copy cannot match them.
+const OFFLINE_ERROR_TEXTS = [
+  'Connection lost',
+  'connection',
+  'offline',
+  'network',
+  'try again'
 ];
 
-// Generate formatted date for filenames (DD-MM-YYYY)
-function getFormattedDate() {
-  const now = new Date();
-  const day = String(now.getDate()).padStart(2, '0');
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const year = now.getFullYear();
-  return `${day}-${month}-${year}`;
-}
+// The first one has to be translated for every locale a success is expected in
+const SUCCESS_TEXTS = [
+  'CONGRATULATIONS',
+  'Congratulations',
+  'You have just collected',
+  'Custom Demo Flow',
+  'Show Details'
+];
 
-// Convert device name to filename-friendly format
-function deviceToFilename(deviceName) {
-  return deviceName.toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/\+/g, '-plus');
+// Error texts match anywhere in an element, success texts only exactly
+function responseLocator(page, text, { exact = false } = {}) {
+  return exact
+    ? page.locator(`text="${text}"`).first()
+    : page.getByText(text, { exact: false }).first();
 }
 
-// Convert URL name to filename-friendly format
-function urlToFilename(urlName) {
-  return urlName.toLowerCase().replace(/\s+/g, '-');
-}
+// Run every scenario for one URL on one device, engine, network profile and locale in its own browser context,
+// or in one context (and video clip) per scenario with `videoPerScenario`.
+// Retries of a scenario always get a fresh context and clip of their own.
+// `session` and `items` (keyed by scenario name) are planned by the caller in
+// matrix order, so parallel workers only ever fill in their own entries.
+async function testDevice(browser, urlConfig, deviceName, { engine, profile, locale, translations, testScenarios, formattedDate, videoDir, videoPerScenario, retriesFor, run, session, items, waits, diagnosticsOptions, visualCheck, accessibilityAudit, performanceOptions, mailbox, claimAddress, log }) {
+  const urlName = urlConfig.name;
+  const dropTitle = urlConfig.title || null;
+  const fields = urlConfig.fields;
+  const urlAddress = urlConfig.url;
+  const urlFilename = urlToFilename(urlName);
+  // Sessions off the default engine, locale or network keep their own
+  // screenshots, videos and baselines
+  const deviceFilename = [
+    deviceToFilename(deviceName),
+    ...(engine === DEFAULT_ENGINE ? [] : [engine]),
+    ...(locale.locale === DEFAULT_LOCALE.locale ? [] : [locale.locale.toLowerCase()]),
+    ...(profile.name === DEFAULT_NETWORK ? [] : [profile.name])
+  ].join('-');
+  const translator = createTranslator(locale.locale, translations);
+  const translated = texts => texts.map(translator.t).filter(Boolean);
+
+  log(`\n${'='.repeat(60)}`);
+  log(`📱 Testing on: ${deviceName} (${urlName})`);
+  log(`🧭 Engine: ${engine}`);
+  log(`📶 Network: ${describeNetworkProfile(profile)}`);
+  log(`🌍 Locale: ${locale.locale} (${locale.timezoneId})`);
+  log(`${'='.repeat(60)}\n`);
+
+  startSession(session);
+  let videoPath = null;
+  let videoStartedAt = null;
+  let recording = null;
+  let clip = null;
+  let sessionError = null;
+  let blocked = false;
+  try {
+    // Get device configuration
+    const deviceConfig = devices[deviceName];
+    
+    if (!deviceConfig) {
+      throw new Error(`Device "${deviceName}" not found in Playwright devices`);
+    }
 
-// Test results storage - now organized by URL
-const testResults = {};
+    log(`   ${deviceClass(deviceConfig)} viewport ${deviceConfig.viewport.width}×${deviceConfig.viewport.height}`);
+    const performanceMonitor = createPerformanceMonitor(deviceName, performanceOptions);
+
+    // Close the recording and move its video into this run's directory.
+    // Other workers record into the same directory, so never guess by listing it.
+    const closeRecording = async ({ context, page, video }, name) => {
+      await page.close();
+      await context.close();
+      if (!video) return null;
+      const target = path.join(videoDir, `${name}.webm`);
+      await fs.rename(await video.path(), target);
+      log(`✅ Video saved: ${target}`);
+      return target;
+    };
+
+    // One recording for the whole device, or one per scenario below
+    if (!videoPerScenario) {
+      recording = await openRecording(browser, deviceConfig, { engine, waits, diagnosticsOptions, profile, locale, ...RECORDING });
+      videoStartedAt = recording.startedAt;
+    }
 
-(async () => {
-  const browser = await chromium.launch({
-    headless: true,
-    args: [
-      '--disable-blink-features=AutomationControlled',
-      '--disable-dev-shm-usage',
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-web-security',
-      '--disable-features=IsolateOrigins,site-per-process'
-    ]
-  });
+    // One attempt at a scenario on `recording`. Retries pass a fresh recording
+    // and their attempt number, which is added to screenshot names.
+    const runAttempt = async (scenario, item, { page, pageDiagnostics, connection }, attempt) => {
+      const shotName = attempt > 1 ? `${scenario.name}-attempt${attempt}` : scenario.name;
+
+      // Response texts in the session's locale, led by the error this scenario
+      // expects; the drop's required-field messages are errors too
+      const expectedErrorText = scenario.expectError ? translator.t(scenario.expectedErrorText) : null;
+      const requiredTexts = translated(fields.filter(field => field.required).map(field => field.requiredText));
+      const errorTexts = [...new Set([...(expectedErrorText ? [expectedErrorText] : []), ...translated(ERROR_TEXTS), ...requiredTexts])];
+      const successTexts = translated(SUCCESS_TEXTS);
+      const locate = text => responseLocator(page, text, { exact: successTexts.includes(text) });
+
+      // A unique address for scenarios without one, or with {id} in theirs
+      const emailToUse = uniqueAddress(scenario.email === null ? claimAddress : scenario.email);
+
+      log(`   Email: ${scenario.generated ? describeInput(emailToUse) : emailToUse}`);
+
+      // axe audits of the filled form and of the state it ends in
+      const audits = [];
+      const auditPage = async name => {
+        if (accessibilityAudit) audits.push(await accessibilityAudit.audit(page, name));
+      };
+
+      startItem(item);
+      // Filled in by the attempt, then by the checks after it; the item is
+      // finished once, with all of it
+      let outcome;
+      let offline = false;
+      let submittedAt = null;
+      try {
+        // Navigate to the page
+        const response = await page.goto(urlAddress, {
+          waitUntil: 'networkidle',
+          timeout: waits.timeouts.navigation
+        });
+        await assertNotBlocked(page, response);
+
+        // Load performance of the drop page on this device
+        const measurement = await performanceMonitor.measure(page, 'drop-page');
+        item.details.performance = [measurement];
+        log(`   ⏱️ ${formatMeasurement(measurement)}`);
+        for (const violation of measurement.violations) {
+          log(`   ⚠️ Over budget: ${violation.metric} ${violation.value} > ${violation.budget}`);
+        }
 
-  const formattedDate = getFormattedDate();
-  console.log(`\n🚀 Starting multi-URL multi-device test suite - ${formattedDate}\n`);
-  console.log(`Testing ${urlsToTest.length} URLs × ${devicesToTest.length} devices × ${testScenarios.length} scenarios = ${urlsToTest.length * devicesToTest.length * testScenarios.length} total tests\n`);
+        await waits.pace(page, 2000);
 
-  // Create directories for outputs
-  await fs.mkdir('./videos', { recursive: true });
-  await fs.mkdir('./screenshots', { recursive: true });
+        // Click "I want this" button; the fields below wait for the form to open
+        await page.click('text="I want this"');
+        await waits.pace(page, 1500);
 
-  // Loop through each URL
-  for (const urlConfig of urlsToTest) {
-    const urlName = urlConfig.name;
-    const urlAddress = urlConfig.url;
-    const urlFilename = urlToFilename(urlName);
+        // Fill the drop's declared fields; a missing one errors the scenario
+        await fillFields(page, fields, { identity: emailToUse, empty: scenario.emptyField, waits, log });
 
-    console.log(`\n${'═'.repeat(80)}`);
-    console.log(`🌐 Testing URL: ${urlName}`);
-    console.log(`   ${urlAddress}`);
-    console.log(`${'═'.repeat(80)}\n`);
+        // Click Test button
+        const testButton = page.locator('text="Test"');
+        await testButton.waitFor({ state: 'visible' });
+        await waits.pace(page, 500);
 
-    testResults[urlName] = {};
+        // Only texts that are not on screen yet can signal the response
+        const offlineTexts = scenario.offlineAfterSubmit ? translated(OFFLINE_ERROR_TEXTS) : [];
+        const pendingTexts = [];
+        for (const text of [...errorTexts, ...offlineTexts, ...successTexts]) {
+          if (!(await locate(text).isVisible().catch(() => false))) {
+            pendingTexts.push(text);
+          }
+        }
 
-    // Loop through each device for this URL
-    for (const deviceName of devicesToTest) {
-      const deviceFilename = deviceToFilename(deviceName);
-      console.log(`\n${'='.repeat(60)}`);
-      console.log(`📱 Testing on: ${deviceName} (${urlName})`);
-      console.log(`${'='.repeat(60)}\n`);
+        await auditPage('form-before-submit');
 
-      testResults[urlName][deviceName] = {};
+        // Record the backend calls the submit triggers
+        const capture = startNetworkCapture(page);
+        if (scenario.offlineAfterSubmit) {
+          // Drop the connection as Test is clicked, so every call the submit
+          // makes fails; the form has to say so within the submit timeout
+          log('   📴 Going offline as Test is clicked');
+          await connection.setOffline(true);
+          offline = true;
+        }
+        // The page may already sit at a URL other than the configured one
+        // (trailing slash, query string, Bubble's own redirect), so only a
+        // change from where the submit started counts as a redirect
+        const submittedFrom = page.url();
+        submittedAt = Date.now();
+        await testButton.click();
+
+        // Wait for response - an error message, the success popup or a redirect
+        const responseConditions = {
+          redirect: timeout => page.waitForURL(target => target.href !== submittedFrom, { timeout })
+        };
+        for (const text of pendingTexts) {
+          responseConditions[text] = timeout => locate(text).waitFor({ state: 'visible', timeout });
+        }
+        const responded = await waits.any(responseConditions, waits.timeouts.submit);
+        if (!responded) {
+          log(`   ⏱️ No response within ${waits.timeouts.submit}ms`);
+        }
+        if (offline) {
+          await connection.setOffline(false);
+          offline = false;
+        }
 
-      try {
-        // Get device configuration
-        const deviceConfig = devices[deviceName];
-        
-        if (!deviceConfig) {
-          throw new Error(`Device "${deviceName}" not found in Playwright devices`);
+        // Check for ERROR messages FIRST (priority)
+        let foundErrorMessage = null;
+        for (const errorText of [...offlineTexts.filter(text => pendingTexts.includes(text)), ...errorTexts]) {
+          // Try to find any element containing this text
+          try {
+            const errorElement = locate(errorText);
+            const isVisible = await errorElement.isVisible().catch(() => false);
+            if (isVisible) {
+              // Get the full error text
+              const fullText = await errorElement.textContent().catch(() => errorText);
+              foundErrorMessage = fullText.trim() || errorText;
+              log(`   🔍 Found error message: "${foundErrorMessage}"`);
+              break;
+            }
+          } catch (e) {
+            // Continue to next error text
+          }
         }
-        
-        // Create context with device emulation and video recording
-        const context = await browser.newContext({
-          ...deviceConfig,
-          recordVideo: {
-            dir: './videos',
-            size: deviceConfig.viewport
-          },
-          // Additional stealth settings
-          locale: 'en-US',
-          timezoneId: 'America/New_York',
-          permissions: ['geolocation', 'notifications'],
-          extraHTTPHeaders: {
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Accept-Encoding': 'gzip, deflate, br',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+
+        // Only check for SUCCESS if NO error was found
+        let foundSuccessMessage = null;
+        if (!foundErrorMessage) {
+          for (const successText of successTexts) {
+            const successElement = locate(successText);
+            if (await successElement.isVisible().catch(() => false)) {
+              foundSuccessMessage = successText;
+              log(`   🎉 Found success message: "${successText}"`);
+              break;
+            }
           }
-        });
+        }
 
-        // Add stealth measures
-        await context.addInitScript(() => {
-          Object.defineProperty(navigator, 'webdriver', {
-            get: () => false,
-          });
-          Object.defineProperty(navigator, 'plugins', {
-            get: () => [1, 2, 3, 4, 5],
-          });
-          Object.defineProperty(navigator, 'languages', {
-            get: () => ['en-US', 'en'],
-          });
-        });
+        // Also check if URL changed (redirect happened)
+        const currentUrl = page.url();
+        const redirected = currentUrl !== submittedFrom;
+
+        // Let the workflow calls finish, then keep them with the result
+        await capture.settle(waits.timeouts.element);
+        const network = capture.stop();
+        const failedNetwork = failedCalls(network);
+        item.details.network = network;
+        log(`   🔌 ${network.length} workflow call(s), ${failedNetwork.length} failed`);
+        for (const call of failedNetwork) {
+          log(`      ${describeCall(call)}`);
+        }
 
-        const page = await context.newPage();
-
-        // Run all test scenarios
-        for (let i = 0; i < testScenarios.length; i++) {
-          const scenario = testScenarios[i];
-          const testNumber = i + 1;
-          
-          console.log(`\n📝 Test ${testNumber}/${testScenarios.length}: ${scenario.description}`);
-          
-          // Generate unique email for the last test
-          let emailToUse = scenario.email;
-          if (scenario.email === null) {
-            const timestamp = Date.now();
-            emailToUse = `test${timestamp}@example.com`;
-          }
-          
-          console.log(`   Email: ${emailToUse}`);
+        await auditPage(foundErrorMessage ? 'form-error-state' : 'form-after-submit');
 
-          try {
-            // Navigate to the page
-            await page.goto(urlAddress, {
-              waitUntil: 'networkidle',
-              timeout: 60000
-            });
-
-            await page.waitForTimeout(2000);
-
-            // Click "I want this" button
-            await page.click('text="I want this"');
-            await page.waitForTimeout(1500);
-
-            // Fill form fields
-            await page.fill('input[name="name"], input[placeholder*="Name"], input[placeholder*="name"]', 'Juan Carlos');
-            await page.fill('input[name="lastname"], input[name="lastName"], input[placeholder*="Last"], input[placeholder*="last"]', 'Rodríguez');
-            await page.fill('input[name="address"], input[placeholder*="Address"], input[placeholder*="address"]', '123 Main Street, Apt 4B');
-
-            // Select from dropdown
-            try {
-              await page.click('text="Select from the list"');
-              await page.waitForTimeout(800);
-              await page.click('text="Option 1"');
-              await page.waitForTimeout(500);
-            } catch (error) {
-              try {
-                const dropdown = await page.locator('select').first();
-                await dropdown.selectOption({ label: 'Option 1' });
-              } catch (e) {
-                console.log('   ⚠️ Warning: Could not select from dropdown');
-              }
-            }
+        // Determine test result
+        let testResult;
+        if (scenario.expectError) {
+          // We expected an error
+          if (foundErrorMessage && !foundErrorMessage.toLowerCase().includes(expectedErrorText.toLowerCase())) {
+            testResult = 'FAIL - Error shown but not the expected one';
+            log(`   ❌ ${testResult}: "${foundErrorMessage}", expected "${expectedErrorText}"`);
 
-            // Fill email field
-            await page.fill('input[name="email"], input[type="email"], input[placeholder*="Email"], input[placeholder*="email"], input[placeholder*="ETH"], input[placeholder*="ENS"]', emailToUse);
-            await page.waitForTimeout(500);
-
-            // Click Test button
-            const testButton = page.locator('text="Test"');
-            await testButton.waitFor({ state: 'visible', timeout: 15000 });
-            await page.waitForTimeout(500);
-            await testButton.click();
-
-            // Wait for response - either error message or success popup (longer wait)
-            await page.waitForTimeout(5000);
-
-            // Check for ERROR messages FIRST (priority)
-            const errorTexts = [
-              'You already have this collectible',
-              'Wrong format',
-              'valid ENS',
-              'valid ETH',
-              'must use a valid',
-              'Email is required',
-              'Invalid',
-              'Error'
-            ];
-
-            let foundErrorMessage = null;
-            for (const errorText of errorTexts) {
-              // Try to find any element containing this text
-              try {
-                const errorElement = page.getByText(errorText, { exact: false }).first();
-                const isVisible = await errorElement.isVisible().catch(() => false);
-                if (isVisible) {
-                  // Get the full error text
-                  const fullText = await errorElement.textContent().catch(() => errorText);
-                  foundErrorMessage = fullText.trim() || errorText;
-                  console.log(`   🔍 Found error message: "${foundErrorMessage}"`);
-                  break;
-                }
-              } catch (e) {
-                // Continue to next error text
-              }
-            }
+            const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${shotName}.png`;
+            await page.screenshot({ path: screenshotPath, fullPage: true });
 
-            // Only check for SUCCESS if NO error was found
-            let foundSuccessMessage = null;
-            if (!foundErrorMessage) {
-              const successTexts = [
-                'CONGRATULATIONS',
-                'Congratulations',
-                'You have just collected',
-                'Custom Demo Flow',
-                'Show Details'
-              ];
-
-              for (const successText of successTexts) {
-                const successElement = page.locator(`text="${successText}"`);
-                if (await successElement.isVisible().catch(() => false)) {
-                  foundSuccessMessage = successText;
-                  console.log(`   🎉 Found success message: "${successText}"`);
-                  break;
-                }
-              }
+            outcome = {
+              status: 'fail',
+              message: `Error detected: ${foundErrorMessage}, but expected it to read "${expectedErrorText}"`,
+              screenshot: screenshotPath,
+              details: { errorMessage: foundErrorMessage }
+            };
+          } else if (foundErrorMessage) {
+            testResult = 'PASS - Error message displayed';
+            log(`   ✅ ${testResult}: "${foundErrorMessage}"`);
+            
+            // Take screenshot of the error
+            const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${shotName}.png`;
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+            log(`   📸 Screenshot saved: ${screenshotPath}`);
+            
+            outcome = {
+              status: 'pass',
+              message: `Error detected${scenario.offlineAfterSubmit ? ' after the connection dropped' : ''}: ${foundErrorMessage}`,
+              screenshot: screenshotPath,
+              details: { errorMessage: foundErrorMessage }
+            };
+          } else if (foundSuccessMessage) {
+            testResult = 'FAIL - Expected error but got success';
+            log(`   ❌ ${testResult}: "${foundSuccessMessage}"`);
+            outcome = {
+              status: 'fail',
+              message: `Form succeeded when it should have shown an error. Success message: ${foundSuccessMessage}`,
+              details: { successMessage: foundSuccessMessage }
+            };
+          } else if (scenario.offlineAfterSubmit && !redirected) {
+            // Sitting there without a word is exactly what dropping the connection must not do
+            testResult = 'FAIL - No error after the connection dropped';
+            log(`   ❌ ${testResult}`);
+
+            const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${shotName}.png`;
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+
+            outcome = {
+              status: 'fail',
+              message: `Form showed no error within ${waits.timeouts.submit}ms after the connection dropped`,
+              screenshot: screenshotPath
+            };
+          } else if (!redirected) {
+            // No error message found, but also didn't redirect - might be an error we don't detect
+            testResult = 'PASS - No redirect (likely error)';
+            log(`   ✅ ${testResult}`);
+            
+            const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${shotName}.png`;
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+            
+            outcome = {
+              status: 'pass',
+              message: 'Form did not redirect (error assumed)',
+              screenshot: screenshotPath
+            };
+          } else {
+            testResult = 'FAIL - Expected error but form submitted';
+            log(`   ❌ ${testResult}`);
+            log(`   🔗 Redirected to: ${currentUrl}`);
+            outcome = {
+              status: 'fail',
+              message: 'Form redirected when it should have shown an error',
+              details: { redirectUrl: currentUrl }
+            };
+          }
+        } else {
+          // We expected success
+          if ((foundSuccessMessage || redirected) && !foundErrorMessage && failedNetwork.length > 0) {
+            // The page looks fine but the mint did not go through
+            testResult = 'FAIL - Success shown but a workflow call failed';
+            log(`   ❌ ${testResult}`);
+
+            const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${shotName}.png`;
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+
+            outcome = {
+              status: 'fail',
+              message: `Success shown but ${failedNetwork.length} workflow call(s) failed: ${failedNetwork.map(describeCall).join('; ')}`,
+              screenshot: screenshotPath,
+              details: { successMessage: foundSuccessMessage, currentUrl }
+            };
+          } else if (foundSuccessMessage && !foundErrorMessage) {
+            testResult = 'PASS - Success popup displayed';
+            log(`   ✅ ${testResult}: "${foundSuccessMessage}"`);
+            
+            // Wait for page to fully load
+            await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+            
+            // Record for 9 seconds after success
+            if (waits.demoPacing) {
+              log('   🎥 Recording for 9 seconds after success...');
+              await waits.pace(page, 9000);
             }
-
-            // Also check if URL changed (redirect happened)
-            const currentUrl = page.url();
-            const redirected = currentUrl !== urlAddress;
-
-            // Determine test result
-            let testResult;
-            if (scenario.expectError) {
-              // We expected an error
-              if (foundErrorMessage) {
-                testResult = 'PASS - Error message displayed';
-                console.log(`   ✅ ${testResult}: "${foundErrorMessage}"`);
-                
-                // Take screenshot of the error
-                const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${scenario.name}.png`;
-                await page.screenshot({ path: screenshotPath, fullPage: true });
-                console.log(`   📸 Screenshot saved: ${screenshotPath}`);
-                
-                testResults[urlName][deviceName][scenario.name] = {
-                  status: 'pass',
-                  message: `Error detected: ${foundErrorMessage}`,
-                  screenshot: screenshotPath,
-                  errorMessage: foundErrorMessage
-                };
-              } else if (foundSuccessMessage) {
-                testResult = 'FAIL - Expected error but got success';
-                console.log(`   ❌ ${testResult}: "${foundSuccessMessage}"`);
-                testResults[urlName][deviceName][scenario.name] = {
-                  status: 'fail',
-                  message: `Form succeeded when it should have shown an error. Success message: ${foundSuccessMessage}`
-                };
-              } else if (!redirected) {
-                // No error message found, but also didn't redirect - might be an error we don't detect
-                testResult = 'PASS - No redirect (likely error)';
-                console.log(`   ✅ ${testResult}`);
-                
-                const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${scenario.name}.png`;
-                await page.screenshot({ path: screenshotPath, fullPage: true });
-                
-                testResults[urlName][deviceName][scenario.name] = {
-                  status: 'pass',
-                  message: 'Form did not redirect (error assumed)',
-                  screenshot: screenshotPath
-                };
-              } else {
-                testResult = 'FAIL - Expected error but form submitted';
-                console.log(`   ❌ ${testResult}`);
-                console.log(`   🔗 Redirected to: ${currentUrl}`);
-                testResults[urlName][deviceName][scenario.name] = {
-                  status: 'fail',
-                  message: 'Form redirected when it should have shown an error',
-                  redirectUrl: currentUrl
-                };
-              }
-            } else {
-              // We expected success
-              if (foundSuccessMessage && !foundErrorMessage) {
-                testResult = 'PASS - Success popup displayed';
-                console.log(`   ✅ ${testResult}: "${foundSuccessMessage}"`);
-                
-                // Wait for page to fully load
-                await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-                
-                // Record for 9 seconds after success
-                console.log('   🎥 Recording for 9 seconds after success...');
-                for (let j = 1; j <= 3; j++) {
-                  await page.waitForTimeout(3000);
-                }
-                
-                testResults[urlName][deviceName][scenario.name] = {
-                  status: 'pass',
-                  message: `Form submitted successfully. Success message: ${foundSuccessMessage}`,
-                  successMessage: foundSuccessMessage,
-                  currentUrl: currentUrl
-                };
-              } else if (redirected && !foundErrorMessage) {
-                testResult = 'PASS - Form redirected successfully';
-                console.log(`   ✅ ${testResult}`);
-                console.log(`   🔗 Redirected to: ${currentUrl}`);
-                
-                await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-                
-                console.log('   🎥 Recording for 9 seconds after redirect...');
-                for (let j = 1; j <= 3; j++) {
-                  await page.waitForTimeout(3000);
-                }
-                
-                testResults[urlName][deviceName][scenario.name] = {
-                  status: 'pass',
-                  message: 'Form submitted successfully and redirected',
-                  redirectUrl: currentUrl
-                };
-              } else {
-                testResult = 'FAIL - Expected success but got error';
-                console.log(`   ❌ ${testResult}`);
-                if (foundErrorMessage) {
-                  console.log(`   📛 Error: "${foundErrorMessage}"`);
-                }
-                
-                // Take screenshot of unexpected error
-                const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${scenario.name}-unexpected-error.png`;
-                await page.screenshot({ path: screenshotPath, fullPage: true });
-                
-                testResults[urlName][deviceName][scenario.name] = {
-                  status: 'fail',
-                  message: foundErrorMessage ? `Unexpected error: ${foundErrorMessage}` : 'Form did not show success or redirect',
-                  screenshot: screenshotPath,
-                  errorMessage: foundErrorMessage
-                };
-              }
+            
+            outcome = {
+              status: 'pass',
+              message: `Form submitted successfully. Success message: ${foundSuccessMessage}`,
+              details: { successMessage: foundSuccessMessage, currentUrl }
+            };
+          } else if (redirected && !foundErrorMessage) {
+            testResult = 'PASS - Form redirected successfully';
+            log(`   ✅ ${testResult}`);
+            log(`   🔗 Redirected to: ${currentUrl}`);
+            
+            await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+            
+            if (waits.demoPacing) {
+              log('   🎥 Recording for 9 seconds after redirect...');
+              await waits.pace(page, 9000);
             }
+            
+            outcome = {
+              status: 'pass',
+              message: 'Form submitted successfully and redirected',
+              details: { redirectUrl: currentUrl }
+            };
+          } else {
+            testResult = 'FAIL - Expected success but got error';
+            log(`   ❌ ${testResult}`);
+            if (foundErrorMessage) {
+              log(`   📛 Error: "${foundErrorMessage}"`);
+            }
+            
+            // Take screenshot of unexpected error
+            const screenshotPath = `./screenshots/${urlFilename}-${deviceFilename}-${shotName}-unexpected-error.png`;
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+            
+            outcome = {
+              status: 'fail',
+              message: foundErrorMessage ? `Unexpected error: ${foundErrorMessage}` : 'Form did not show success or redirect',
+              screenshot: screenshotPath,
+              details: { errorMessage: foundErrorMessage }
+            };
+          }
+        }
 
-          } catch (error) {
-            console.log(`   ❌ ERROR: ${error.message}`);
-            testResults[urlName][deviceName][scenario.name] = {
-              status: 'error',
-              message: error.message
+      } catch (error) {
+        log(`   ❌ ERROR: ${error.message}`);
+        outcome = {
+          status: 'error',
+          message: error.message,
+          details: { blocked: error instanceof BotProtectionError }
+        };
+      }
+      if (offline) {
+        await connection.setOffline(false).catch(() => {});
+      }
+
+      // A generated input fails when the form answers it differently from
+      // the reference validator, so say what the reference expected
+      outcome = { ...outcome, details: { ...outcome.details } };
+      if (scenario.generated && outcome.status === 'fail') {
+        const { category, input, reference } = scenario.generated;
+        const verdict = reference.valid ? `accepts it as a valid ${reference.kind}` : `rejects it (${reference.reason})`;
+        log(`   🧪 Disagrees with the reference validator, which ${verdict}`);
+        outcome = { ...outcome, message: `${outcome.message}; the reference validator ${verdict}` };
+        outcome.details.disagreement = { category, input, reference };
+      }
+
+      // A successful claim has to be followed by its email, naming the drop
+      // and carrying a claim link that opens in this device's context
+      if (mailbox && scenario.verifyEmail && outcome.status === 'pass') {
+        log(`   📬 Waiting for the claim email to ${emailToUse}`);
+        const { email, problem: emailProblem } = await mailbox.verify({ to: emailToUse, title: dropTitle, since: submittedAt });
+        outcome.details.email = email;
+        let problem = emailProblem;
+        if (email && !problem && mailbox.followLink) {
+          log(`   🔗 Following the claim link: ${email.link}`);
+          const followed = await followClaimLink(page.context(), email.link, { title: dropTitle, waits });
+          email.followed = followed;
+          problem = followed.problem;
+        }
+        if (problem) {
+          log(`   ❌ FAIL - ${problem}`);
+          outcome = { ...outcome, status: 'fail', message: `${outcome.message}, but ${problem}` };
+        } else {
+          const arrived = `claim email "${email.subject}" arrived after ${(email.receivedAfterMs / 1000).toFixed(1)}s`;
+          log(`   ✅ ${arrived}`);
+          outcome = { ...outcome, message: `${outcome.message}; ${arrived}${email.followed ? ' and its claim link opened' : ''}` };
+        }
+      }
+
+      // Browser errors seen during this scenario; optionally fail a passing one
+      const diagnostics = pageDiagnostics.take();
+      outcome.details.diagnostics = diagnostics;
+      const diagnosticsSummary = summarizeDiagnostics(diagnostics);
+      if (diagnosticsSummary) {
+        log(`   🐞 Browser: ${diagnosticsSummary}`);
+      }
+      const diagnosticsProblem = pageDiagnostics.check(diagnostics);
+      if (diagnosticsProblem && outcome.status === 'pass') {
+        log(`   ❌ FAIL - ${diagnosticsProblem}`);
+        outcome = { ...outcome, status: 'fail', message: `${outcome.message}, but ${diagnosticsProblem}` };
+      }
+
+      if (accessibilityAudit) {
+        outcome.details.accessibility = audits;
+        const accessibilitySummary = summarizeAccessibility(audits);
+        if (accessibilitySummary) {
+          log(`   ♿ Accessibility: ${accessibilitySummary}`);
+        }
+        const accessibilityProblem = accessibilityAudit.check(audits);
+        if (accessibilityProblem && outcome.status === 'pass') {
+          log(`   ❌ FAIL - ${accessibilityProblem}`);
+          outcome = { ...outcome, status: 'fail', message: `${outcome.message}, but ${accessibilityProblem}` };
+        }
+      }
+
+      const performanceProblem = item.details.performance ? performanceMonitor.check(item.details.performance) : null;
+      if (performanceProblem && outcome.status === 'pass') {
+        log(`   ❌ FAIL - ${performanceProblem}`);
+        outcome = { ...outcome, status: 'fail', message: `${outcome.message}, but ${performanceProblem}` };
+      }
+
+      // Compare the screen a passing scenario ends on with its baseline
+      if (visualCheck && outcome.status === 'pass') {
+        try {
+          const visual = await visualCheck.check(page, { runner: 'form', target: urlFilename, device: deviceFilename, state: scenario.name });
+          outcome.details.visual = visual;
+          if (visual.status === 'missing') {
+            log(`   🆕 No visual baseline yet: ${visual.baseline}`);
+          } else if (visual.status === 'mismatch') {
+            log(`   ❌ FAIL - Screen differs from baseline: ${visual.reason}`);
+            outcome = {
+              ...outcome,
+              status: 'fail',
+              message: `${outcome.message}, but the screen differs from its baseline: ${visual.reason}`,
+              screenshot: visual.diff || visual.actual
             };
+          } else {
+            log('   🖼️ Screen matches baseline');
           }
+        } catch (error) {
+          log(`   ⚠️ Visual check failed: ${error.message}`);
+        }
+      }
 
-          // Wait before next test
-          await page.waitForTimeout(2000);
+      finishItem(item, outcome);
+    };
+
+    // Run all test scenarios
+    for (let i = 0; i < testScenarios.length; i++) {
+      const scenario = testScenarios[i];
+      const testNumber = i + 1;
+      const item = items[scenario.name];
+      const retries = retriesFor(scenario.name);
+      
+      log(`\n📝 Test ${testNumber}/${testScenarios.length}: ${scenario.description}`);
+
+      // A scenario cannot be judged without its expected text in this locale
+      const expectedText = scenario.expectError ? scenario.expectedErrorText : SUCCESS_TEXTS[0];
+      if (!translator.t(expectedText)) {
+        const message = translator.missing(expectedText);
+        log(`   ❌ FAIL - ${message}`);
+        startItem(item);
+        finishItem(item, { status: 'fail', message, details: { missingTranslation: expectedText } });
+        continue;
+      }
+
+      for (let attempt = 1; ; attempt = retryItem(item)) {
+        // Retries always start over in a fresh context with a clip of their own
+        const ownClip = videoPerScenario || attempt > 1;
+        if (ownClip) {
+          clip = await openRecording(browser, deviceConfig, { engine, waits, diagnosticsOptions, profile, locale, ...RECORDING });
         }
+        const clipStartedAt = ownClip ? clip.startedAt : null;
+        await runAttempt(scenario, item, ownClip ? clip : recording, attempt);
 
-        // Close page and context to save video
-        await page.close();
-        await context.close();
-
-        // Rename video file to include URL, device name and date
-        const videoDir = './videos';
-        const files = await fs.readdir(videoDir);
-        const latestVideo = files
-          .filter(f => f.endsWith('.webm'))
-          .sort()
-          .pop();
-
-        if (latestVideo) {
-          const newVideoName = `${urlFilename}-${deviceFilename}-${formattedDate}.webm`;
-          await fs.rename(
-            path.join(videoDir, latestVideo),
-            path.join(videoDir, newVideoName)
-          );
-          console.log(`\n✅ Video saved: ./videos/${newVideoName}`);
+        if (ownClip) {
+          const suffix = attempt > 1 ? `-attempt${attempt}` : '';
+          setItemVideo(item, await closeRecording(clip, `${urlFilename}-${deviceFilename}-${scenario.name}${suffix}-${formattedDate}`), clipStartedAt);
+          clip = null;
+        }
+        if (!shouldRetry(item, retries)) {
+          if (item.flaky) log(`   🔁 FLAKY - passed on attempt ${attempt} of ${retries + 1}`);
+          break;
         }
+        log(`   🔁 Retrying (attempt ${attempt + 1} of ${retries + 1}) in a fresh context`);
+      }
 
-      } catch (error) {
-        console.error(`\n❌ Error testing ${deviceName} on ${urlName}:`, error.message);
-        testResults[urlName][deviceName].error = error.message;
+      // Pause before next test
+      if (!videoPerScenario) {
+        await waits.pace(recording.page, 2000);
       }
     }
-  }
 
-  await browser.close();
+    if (recording) {
+      log('');
+      videoPath = await closeRecording(recording, `${urlFilename}-${deviceFilename}-${formattedDate}`);
+      recording = null;
+    }
 
-  // Save test results as JSON for n8n
-  const resultsPath = './test-results.json';
-  await fs.writeFile(resultsPath, JSON.stringify(testResults, null, 2));
-  console.log(`\n📊 Test results saved: ${resultsPath}`);
+  } catch (error) {
+    log.error(`\n❌ Error testing ${deviceName} on ${urlName}:`, error.message);
+    sessionError = error.message;
+    blocked = error instanceof BotProtectionError;
+    for (const open of [recording, clip]) {
+      if (open) await open.context.close().catch(() => {});
+    }
+  }
 
-  // Print summary
-  console.log(`\n${'═'.repeat(80)}`);
-  console.log('📈 TEST SUMMARY');
-  console.log(`${'═'.repeat(80)}\n`);
+  finishSession(run, session, { error: sessionError, blocked, video: videoPath, videoStartedAt });
+}
 
-  let totalTests = 0;
-  let totalPassed = 0;
-  let totalFailed = 0;
+(async () => {
+  // Load drops, devices and scenarios from the suite file, narrowed by CLI filters
+  let args;
+  let configPath;
+  let urlsToTest;
+  let devicesToTest;
+  let enginesToTest;
+  let profilesToTest;
+  let localesToTest;
+  let variants;
+  let translations;
+  let scenariosByDrop;
+  let generatedInputs;
+  let thresholds;
+  let waits;
+  let diagnosticsOptions;
+  let visualCheck;
+  let accessibilityAudit;
+  let performanceOptions;
+  let retriesFor;
+  let webhook;
+  let mailbox;
+  let claimAddress;
+  try {
+    args = parseFormArgs();
+    if (args.help) {
+      console.log(FORM_USAGE);
+      return;
+    }
+    configPath = args.config || process.env.SUITE_CONFIG || DEFAULT_CONFIG_PATH;
+    const suite = await loadSuiteConfig(configPath);
+    urlsToTest = filterByName(suite.form.drops, args.url, 'URL', drop => drop.name);
+    devicesToTest = filterDevices(suite.form.devices, args.device, Object.keys(devices));
+    ({ engines: enginesToTest, profiles: profilesToTest, locales: localesToTest, variants } = selectVariants(suite.form, suite.networkProfiles, args));
+    translations = suite.translations;
+    // Each drop's required-field scenarios, then generated inputs, join the
+    // suite's scenarios. --scenario picks from all of them, on every drop
+    // that has the picked ones.
+    generatedInputs = suite.form.generatedInputs ? resolveGeneratedInputs(suite.form.generatedInputs) : null;
+    const generated = generatedInputs ? generateScenarios(generatedInputs) : [];
+    const candidates = new Map(urlsToTest.map(drop => [drop, [...suite.form.scenarios, ...requiredFieldScenarios(drop.fields), ...generated]]));
+    const allScenarios = [...new Map([...candidates.values()].flat().map(scenario => [scenario.name, scenario])).values()];
+    const picked = new Set(filterByName(allScenarios, args.scenario, 'scenario', scenario => scenario.name).map(scenario => scenario.name));
+    scenariosByDrop = new Map([...candidates].map(([drop, scenarios]) => [drop, scenarios.filter(scenario => picked.has(scenario.name))]));
+    thresholds = { ...suite.thresholds, ...args.thresholds };
+    waits = createWaits({ demoPacing: args.demoPacing, timeouts: suite.timeouts });
+    diagnosticsOptions = suite.diagnostics;
+    visualCheck = args.visual ? createVisualCheck(suite.visual) : null;
+    accessibilityAudit = args.a11y ? createAccessibilityAudit({ ...suite.accessibility, ...args.accessibility }) : null;
+    performanceOptions = suite.performance;
+    retriesFor = createRetryPolicy('form', suite.retries, args.retries);
+    webhook = createWebhook({ ...suite.webhook, ...(args.webhook ? { url: args.webhook } : {}) });
+    mailbox = createMailbox({ ...suite.form.mail, ...(args.mailbox ? { url: args.mailbox } : {}) });
+    claimAddress = suite.form.mail.address || DEFAULT_MAIL.address;
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
 
-  for (const [urlName, urlResults] of Object.entries(testResults)) {
-    console.log(`\n🌐 ${urlName}:`);
-    
-    let urlPassed = 0;
-    let urlFailed = 0;
-    
-    for (const [device, results] of Object.entries(urlResults)) {
-      console.log(`  📱 ${device}:`);
-      for (const [test, result] of Object.entries(results)) {
-        if (test !== 'error') {
-          totalTests++;
-          const statusIcon = result.status === 'pass' ? '✅' : result.status === 'fail' ? '❌' : '⚠️';
-          console.log(`     ${statusIcon} ${test}: ${result.status.toUpperCase()}`);
-          
-          if (result.status === 'pass') {
-            urlPassed++;
-            totalPassed++;
-          } else {
-            urlFailed++;
-            totalFailed++;
-          }
-          
-          if (result.errorMessage) {
-            console.log(`        Error: "${result.errorMessage}"`);
-          }
-          if (result.successMessage) {
-            console.log(`        Success: "${result.successMessage}"`);
+  // Drops can differ in their required-field scenarios
+  const scenarioCounts = [...new Set([...scenariosByDrop.values()].map(scenarios => scenarios.length))];
+  const runCount = [...scenariosByDrop.values()].reduce((sum, scenarios) => sum + scenarios.length, 0) * devicesToTest.length * variants.length;
+  const matrix = `${urlsToTest.length} URLs × ${devicesToTest.length} devices × ${enginesToTest.length} engines × ${profilesToTest.length} networks × ${localesToTest.length} locales × ${scenarioCounts.join('/')} scenarios = ${runCount}`;
+
+  if (args.list) {
+    console.log(`\n📋 ${matrix} runs\n`);
+    if (generatedInputs) {
+      console.log(`🧪 Generated inputs: ${generatedInputs.perCategory} per category, seed ${generatedInputs.seed}\n`);
+    }
+    for (const urlConfig of urlsToTest) {
+      console.log(`🌐 ${urlConfig.name} (${urlConfig.url})`);
+      console.log(`   Fields: ${urlConfig.fields.map(field => `${field.name} (${field.type}${field.required ? ', required' : ''})`).join(', ')}`);
+      for (const deviceName of devicesToTest) {
+        for (const { engine, profile, locale } of variants) {
+          console.log(`  ${describeVariant(deviceName, { engine, profile, locale })}`);
+          for (const scenario of scenariosByDrop.get(urlConfig)) {
+            const generatedInput = scenario.generated
+              ? ` ${describeInput(scenario.generated.input)} → ${scenario.expectError ? `"${scenario.expectedErrorText}"` : 'accepted'}`
+              : '';
+            const emptyField = scenario.emptyField ? ` ⬜ ${scenario.emptyField} empty → ${JSON.stringify(scenario.expectedErrorText)}` : '';
+            console.log(`     • ${scenario.name}${generatedInput}${emptyField}${scenario.verifyEmail ? ' 📬' : ''}`);
           }
         }
       }
-      if (results.error) {
-        console.log(`     ❌ Device error: ${results.error}`);
+    }
+    console.log('');
+    return;
+  }
+
+  const formattedDate = getFormattedDate();
+  console.log(`\n🚀 Starting multi-URL multi-device test suite - ${formattedDate}\n`);
+  if (waits.demoPacing) {
+    console.log('🎬 Demo pacing on: keeping human-watchable pauses for the videos\n');
+  }
+  console.log(`Testing ${matrix} total tests\n`);
+  if (generatedInputs) {
+    console.log(`🧪 Generated inputs from seed ${generatedInputs.seed}\n`);
+  }
+  if (webhook) {
+    console.log(`🔔 Posting results to the webhook${webhook.signed ? ', signed' : ' (unsigned: no secret set)'}\n`);
+  }
+  const checksEmail = [...scenariosByDrop.values()].flat().some(scenario => scenario.verifyEmail);
+  if (checksEmail && mailbox) {
+    console.log(`📬 Checking claim emails in ${mailbox.url}${mailbox.followLink ? ' and following their claim links' : ''}\n`);
+  } else if (checksEmail) {
+    console.log('ℹ️ No mailbox configured (form.mail.url or --mailbox): claim emails are not checked\n');
+  }
+
+  // Create directories for outputs
+  await fs.mkdir('./videos', { recursive: true });
+  await fs.mkdir('./screenshots', { recursive: true });
+  // approve-baselines.js promotes only what this run snapshots
+  if (args.visual) {
+    await clearSnapshots('form');
+  }
+
+  // Plan every session and item in matrix order up front, so the results
+  // layout does not depend on which worker finishes first
+  const run = createRun('form', urlsToTest, { suite: path.relative('.', configPath), filters: activeFilters(args) });
+  // The seed goes with the results, so a disagreement can be typed again
+  run.environment.generatedInputs = generatedInputs;
+
+  // Each run gets its own video directory, so reruns never overwrite videos
+  const videoDir = path.join('./videos', run.runId);
+  await fs.mkdir(videoDir, { recursive: true });
+  const jobs = [];
+  for (const urlConfig of urlsToTest) {
+    for (const deviceName of devicesToTest) {
+      for (const { engine, profile, locale } of variants) {
+        const where = { target: urlConfig.name, device: deviceName, engine, network: profile.name, locale: locale.locale };
+        const session = planSession(run, where);
+        const items = {};
+        for (const scenario of scenariosByDrop.get(urlConfig)) {
+          items[scenario.name] = planItem(run, { ...where, step: scenario.name });
+        }
+        jobs.push({ urlConfig, deviceName, engine, profile, locale, session, items });
       }
     }
-    
-    console.log(`  📊 URL Summary: ${urlPassed}/${urlPassed + urlFailed} tests passed`);
   }
 
-  console.log(`\n${'═'.repeat(80)}`);
-  console.log(`🎯 OVERALL SUMMARY: ${totalPassed}/${totalTests} tests passed`);
-  console.log(`${'═'.repeat(80)}`);
-  console.log('🎉 All tests completed!\n');
-})();
+  const runnable = runnableJobs(run, jobs);
+
+  // One browser per engine; an engine that does not launch errors only its own sessions
+  const engines = await launchBrowsers([...new Set(runnable.map(job => job.engine))]);
+  for (const [engine, reason] of engines.failed) {
+    console.error(`❌ Could not launch ${engine}: ${reason}`);
+  }
+  const launched = runnable.filter(({ engine, session }) => {
+    if (engines.browsers.has(engine)) return true;
+    finishSession(run, session, { error: `Could not launch ${engine}: ${engines.failed.get(engine)}` });
+    return false;
+  });
+
+  if (args.workers > 1) {
+    console.log(`⚙️  Running up to ${args.workers} device sessions in parallel\n`);
+  }
+
+  const announced = new Set();
+  await runPool(launched, args.workers, async ({ urlConfig, deviceName, engine, profile, locale, session, items }) => {
+    const log = createLogger(args.workers > 1 ? `[${urlConfig.name} · ${deviceLabel(session)}]` : '');
+
+    // Sequential runs keep the per-URL banner
+    if (args.workers === 1 && !announced.has(urlConfig)) {
+      announced.add(urlConfig);
+      console.log(`\n${'═'.repeat(80)}`);
+      console.log(`🌐 Testing URL: ${urlConfig.name}`);
+      console.log(`   ${urlConfig.url}`);
+      console.log(`${'═'.repeat(80)}\n`);
+    }
+
+    await testDevice(engines.browsers.get(engine), urlConfig, deviceName, {
+      engine,
+      profile,
+      locale,
+      translations,
+      testScenarios: scenariosByDrop.get(urlConfig),
+      formattedDate,
+      videoDir,
+      videoPerScenario: args.videoPerScenario,
+      retriesFor,
+      run,
+      session,
+      items,
+      // Slower profiles get proportionally longer timeouts
+      waits: createWaits({ demoPacing: waits.demoPacing, timeouts: scaleTimeouts(waits.timeouts, profile) }),
+      diagnosticsOptions,
+      visualCheck,
+      accessibilityAudit,
+      performanceOptions,
+      mailbox,
+      claimAddress,
+      log
+    });
+    if (webhook) webhook.sessionFinished(run, session);
+  });
+
+  finishRun(run, { browsers: engines.versions() });
+  await engines.closeAll();
+
+  // Save test results as JSON for n8n (schema: lib/results.js)
+  const resultsPath = './test-results.json';
+  await fs.writeFile(resultsPath, JSON.stringify(run, null, 2));
+  console.log(`\n📊 Test results saved: ${resultsPath}`);
+
+  // test-results.json is overwritten by the next run; the history keeps it
+  console.log(`🗂️ Run history appended: ${await appendHistory(run)}`);
+
+  // JUnit XML for CI test views, single-file HTML for reviewers, and a
+  // markdown digest for the Actions run page (or a file outside Actions)
+  const reports = await writeReports(runToReport(run, `POAP form test - ${formattedDate}`), {
+    junit: './test-results.xml',
+    html: './test-report.html',
+    markdown: process.env.GITHUB_STEP_SUMMARY || './test-digest.md'
+  }, {
+    // As uploaded by .github/workflows/test-on-demand.yml
+    artifacts: [
+      { name: 'poap-test-screenshots', dir: './screenshots' },
+      { name: 'poap-test-visual', dir: './visual-diffs' },
+      { name: 'poap-test-visual', dir: './visual-actual' }
+    ]
+  });
+  console.log(`📄 Reports saved: ${reports.join(', ')}`);
+
+  printSummary(run);
+
+  const disagreements = run.items.filter(item => item.details.disagreement);
+  if (disagreements.length > 0) {
+    console.log(`🧪 ${disagreements.length} generated input(s) answered differently from the reference validator:`);
+    for (const item of disagreements) {
+      console.log(`   ${item.id}: ${describeInput(item.details.disagreement.input)}`);
+    }
+  }
+
+  const outcome = resolveExitCode({ ...countOutcomes(run), crashed: engines.crashed() }, thresholds);
+  process.exitCode = outcome.code;
+
+  if (webhook) {
+    await webhook.runFinished(run, {
+      outcome,
+      artifacts: { results: resultsPath, reports, videos: videoDir, screenshots: './screenshots' }
+    });
+  }
+
+  if (outcome.code === EXIT_CODES.OK) {
+    console.log(`🎉 All tests completed! ${outcome.reason}\n`);
+  } else {
+    console.log(`🚨 Tests completed with problems: ${outcome.reason} (exit code ${outcome.code})\n`);
+  }
+})().catch(error => {
+  console.error(`\n💥 Test run crashed: ${error.stack || error.message}\n`);
+  process.exitCode = EXIT_CODES.CRASHED;
+});
@@ -0,0 +1,35 @@
+const { test, expect } = require('@playwright/test');
+const { createAccessibilityAudit, summarizeAccessibility } = require('../lib/accessibility');
+
+function audit(page, impacts, error = null) {
+  const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  for (const impact of impacts) counts[impact]++;
+  return {
+    page,
+    url: `https://mint.poap.studio/${page}`,
+    violations: impacts.map((impact, i) => ({ id: `rule-${i}`, impact, help: '', helpUrl: '', nodes: 1, targets: ['#x'] })),
+    counts,
+    error
+  };
+}
+
+test.describe('check', () => {
+  const audits = [audit('form', ['moderate', 'serious']), audit('success', ['minor'])];
+
+  test('fails at or above the configured impact', () => {
+    expect(createAccessibilityAudit().check(audits)).toBe('1 accessibility violation(s) at or above "serious": rule-1 (serious) on form');
+    expect(createAccessibilityAudit({ failOn: 'critical' }).check(audits)).toBeNull();
+    expect(createAccessibilityAudit({ failOn: 'minor' }).check(audits)).toBe('3 accessibility violation(s) at or above "minor": rule-0 (moderate) on form, rule-1 (serious) on form, rule-0 (minor) on success');
+  });
+
+  test('only reports when failOn is null', () => {
+    expect(createAccessibilityAudit({ failOn: null }).check([audit('form', ['critical'])])).toBeNull();
+  });
+});
+
+test('summarizeAccessibility totals impacts across pages', () => {
+  expect(summarizeAccessibility([audit('form', ['serious', 'critical']), audit('success', ['serious'], 'Execution context was destroyed')]))
+    .toBe('1 critical, 2 serious, 1 audit(s) could not run on 2 page(s)');
+  expect(summarizeAccessibility([audit('form', [])])).toBeNull();
+  expect(summarizeAccessibility([])).toBeNull();
+});
@@ -0,0 +1,48 @@
+const { test, expect } = require('@playwright/test');
+const { BotProtectionError, assertNotBlocked, challengeReason, detectBotProtection } = require('../lib/bot-protection');
+
+// Just the parts of a Playwright page and response the checks read.
+// `challengeElements` is how many challenge-form elements the page has.
+function fakePage({ title = 'POAP Studio', challengeElements = 0, url = 'https://mint.poap.studio/drop' } = {}) {
+  return { title: async () => title, locator: () => ({ count: async () => challengeElements }), url: () => url };
+}
+
+function fakeResponse(status, headers = {}) {
+  return { status: () => status, headers: () => headers };
+}
+
+test.describe('challengeReason', () => {
+  test('passes a real page', () => {
+    expect(challengeReason({ status: 200, title: 'POAP Studio' })).toBeNull();
+  });
+
+  test('flags 403 and 503 only with cf-mitigated', () => {
+    expect(challengeReason({ status: 403, headers: { 'cf-mitigated': 'challenge' } })).toBe('HTTP 403 with cf-mitigated: challenge');
+    expect(challengeReason({ status: 503, headers: { server: 'cloudflare' } })).toBeNull();
+    expect(challengeReason({ status: 429, headers: { 'cf-mitigated': 'challenge' } })).toBeNull();
+  });
+
+  test('flags challenge titles and the challenge form', () => {
+    expect(challengeReason({ status: 200, title: 'Just a moment...' })).toBe('challenge page detected (title "Just a moment...")');
+    expect(challengeReason({ status: 200, challengeElement: true })).toBe('challenge page detected (challenge form)');
+  });
+});
+
+test.describe('detectBotProtection', () => {
+  test('reads the response, title and challenge elements of the page', async () => {
+    expect(await detectBotProtection(fakePage(), fakeResponse(200))).toBeNull();
+    expect(await detectBotProtection(fakePage({ challengeElements: 1 }), fakeResponse(200))).toBe('challenge page detected (challenge form)');
+    expect(await detectBotProtection(fakePage(), fakeResponse(503, { 'cf-mitigated': 'challenge' }))).toBe('HTTP 503 with cf-mitigated: challenge');
+  });
+
+  test('checks the page alone without a response', async () => {
+    expect(await detectBotProtection(fakePage({ title: 'Checking your browser' }), null)).toBe('challenge page detected (title "Checking your browser")');
+  });
+});
+
+test('assertNotBlocked throws a BotProtectionError with the URL', async () => {
+  const error = await assertNotBlocked(fakePage({ title: 'Attention Required!' }), fakeResponse(200)).catch(e => e);
+  expect(error).toBeInstanceOf(BotProtectionError);
+  expect(error.url).toBe('https://mint.poap.studio/drop');
+  expect(error.message).toBe('Blocked by bot protection at https://mint.poap.studio/drop: challenge page detected (title "Attention Required!")');
+});
@@ -0,0 +1,31 @@
+const { test, expect } = require('@playwright/test');
+const { devices } = require('playwright-extra');
+const { deviceClass, deviceOptions, supportsCdp } = require('../lib/browsers');
+
+test('deviceClass tells phones, tablets and desktops apart', () => {
+  expect(deviceClass(devices['Pixel 5'])).toBe('phone');
+  expect(deviceClass(devices['iPad Pro 11'])).toBe('tablet');
+  expect(deviceClass(devices['Desktop Chrome'])).toBe('desktop');
+});
+
+test.describe('deviceOptions', () => {
+  test('keeps mobile emulation off Firefox only', () => {
+    expect(deviceOptions('webkit', devices['Pixel 5']).isMobile).toBe(true);
+    const firefox = deviceOptions('firefox', devices['Pixel 5']);
+    expect(firefox).not.toHaveProperty('isMobile');
+    expect(firefox).not.toHaveProperty('defaultBrowserType');
+    expect(firefox.viewport).toEqual(devices['Pixel 5'].viewport);
+  });
+
+  test('drops permissions the engine cannot grant', () => {
+    const permissions = ['camera', 'geolocation', 'notifications'];
+    expect(deviceOptions('chromium', devices['Pixel 5'], permissions).permissions).toEqual(permissions);
+    expect(deviceOptions('firefox', devices['Pixel 5'], permissions).permissions).toEqual(['geolocation', 'notifications']);
+    expect(deviceOptions('webkit', devices['Pixel 5'], permissions).permissions).toEqual(['geolocation']);
+  });
+});
+
+test('only Chromium speaks the DevTools Protocol', () => {
+  expect(supportsCdp('chromium')).toBe(true);
+  expect(supportsCdp('firefox')).toBe(false);
+});
@@ -0,0 +1,142 @@
+const { test, expect } = require('@playwright/test');
+const {
+  CliError,
+  activeFilters,
+  filterByName,
+  filterDevices,
+  parseApproveArgs,
+  parseCompareArgs,
+  parseFormArgs,
+  parseMockArgs,
+  parsePassportArgs,
+  parseVerifyArgs
+} = require('../lib/cli');
+
+test.describe('parseFormArgs', () => {
+  test('splits repeated and comma-separated filters', () => {
+    const args = parseFormArgs(['--device', 'Pixel 5, iPhone SE', '--device', 'Galaxy S9+', '--scenario', 'valid-email']);
+    expect(args.device).toEqual(['Pixel 5', 'iPhone SE', 'Galaxy S9+']);
+    expect(args.scenario).toEqual(['valid-email']);
+    expect(args.url).toEqual([]);
+    expect(args.network).toEqual([]);
+    expect(args.locale).toEqual([]);
+    expect(args.engine).toEqual([]);
+    expect(args.list).toBe(false);
+    expect(args.workers).toBe(1);
+    expect(args.demoPacing).toBe(false);
+    expect(args.videoPerScenario).toBe(false);
+  });
+
+  test('takes a positive --workers count', () => {
+    expect(parseFormArgs(['--workers', '3']).workers).toBe(3);
+    expect(() => parseFormArgs(['--workers', '0'])).toThrow('--workers must be a positive integer, got "0"');
+    expect(() => parseFormArgs(['--workers', 'two'])).toThrow(CliError);
+  });
+
+  test('turns --a11y-fail-on into an accessibility override', () => {
+    expect(parseFormArgs([]).accessibility).toEqual({});
+    expect(parseFormArgs(['--a11y-fail-on', 'moderate']).accessibility).toEqual({ failOn: 'moderate' });
+    expect(parseFormArgs(['--a11y-fail-on', 'none']).accessibility).toEqual({ failOn: null });
+    expect(() => parseFormArgs(['--a11y-fail-on', 'loud'])).toThrow('--a11y-fail-on must be one of critical, serious, moderate, minor or none, got "loud"');
+  });
+
+  test('leaves retries to the suite file unless --retries is given', () => {
+    expect(parseFormArgs([]).retries).toBeUndefined();
+    expect(parseFormArgs(['--retries', '2']).retries).toBe(2);
+    expect(() => parseFormArgs(['--retries', '9'])).toThrow('--retries must be an integer from 0 to 5, got "9"');
+  });
+
+  test('sets only the thresholds given', () => {
+    expect(parseFormArgs([]).thresholds).toEqual({});
+    expect(parseFormArgs(['--max-failures', '2']).thresholds).toEqual({ maxFailures: 2 });
+    expect(() => parseFormArgs(['--max-errors=-1'])).toThrow('--max-errors must be a non-negative integer, got "-1"');
+  });
+
+  test('wants --webhook to be a URL', () => {
+    expect(parseFormArgs(['--webhook', 'https://n8n.example.com/hook']).webhook).toBe('https://n8n.example.com/hook');
+    expect(() => parseFormArgs(['--webhook', 'n8n'])).toThrow('--webhook must be a URL, got "n8n"');
+  });
+
+  test('wants --mailbox to be a mail catcher or IMAP URL', () => {
+    expect(parseFormArgs(['--mailbox', 'imaps://mail.example.com/INBOX']).mailbox).toBe('imaps://mail.example.com/INBOX');
+    expect(() => parseFormArgs(['--mailbox', 'smtp://mail.example.com'])).toThrow('--mailbox must be an http(s):// or imap(s):// URL, got "smtp://mail.example.com"');
+  });
+
+  test('rejects unknown flags with a CliError', () => {
+    expect(() => parseFormArgs(['--browser', 'firefox'])).toThrow(CliError);
+    expect(() => parseFormArgs(['--step', 'login'])).toThrow(CliError);
+  });
+});
+
+test.describe('parsePassportArgs', () => {
+  test('takes --device and --step but not --scenario', () => {
+    expect(parsePassportArgs(['--device', 'Pixel 5', '--list']).device).toEqual(['Pixel 5']);
+    expect(parsePassportArgs(['--step', 'login,leaderboard']).step).toEqual(['login', 'leaderboard']);
+    expect(() => parsePassportArgs(['--scenario', 'x'])).toThrow(CliError);
+  });
+});
+
+test.describe('parseApproveArgs', () => {
+  test('takes a runner and text to match', () => {
+    expect(parseApproveArgs(['--runner', 'form', '--match', 'iphone-se,leaderboard'])).toMatchObject({ runner: 'form', match: ['iphone-se', 'leaderboard'], list: false });
+    expect(() => parseApproveArgs(['--runner', 'mail'])).toThrow('--runner must be "form" or "passport", got "mail"');
+  });
+});
+
+test.describe('parseMockArgs and parseVerifyArgs', () => {
+  test('check the port and the runner', () => {
+    expect(parseMockArgs(['--port', '0']).port).toBe(0);
+    expect(() => parseMockArgs(['--port', '70000'])).toThrow('--port must be a port number, got "70000"');
+    expect(parseVerifyArgs(['--runner', 'passport']).runner).toBe('passport');
+    expect(() => parseVerifyArgs(['--runner', 'mail'])).toThrow('--runner must be "form" or "passport", got "mail"');
+  });
+});
+
+test.describe('parseCompareArgs', () => {
+  test('checks the runner, --base and --runs', () => {
+    expect(parseCompareArgs([])).toMatchObject({ runs: 10 });
+    expect(() => parseCompareArgs(['--runner', 'mail'])).toThrow('--runner must be "form" or "passport", got "mail"');
+    expect(() => parseCompareArgs(['--base', 'r1'])).toThrow('--base needs --runner');
+    expect(() => parseCompareArgs(['--runs', '1'])).toThrow('--runs must be an integer of at least 2, got "1"');
+  });
+});
+
+test.describe('parseVerifyArgs', () => {
+  test('takes an output directory', () => {
+    expect(parseVerifyArgs(['--runner', 'form', '--output', 'harness-output'])).toMatchObject({ runner: 'form', output: 'harness-output' });
+    expect(parseVerifyArgs([]).output).toBeUndefined();
+  });
+});
+
+test('activeFilters records the filters given, lowercased and sorted', () => {
+  const args = parseFormArgs(['--locale', 'es-ES,en-US', '--device', 'Pixel 5', '--device', 'pixel 5']);
+  expect(activeFilters(args)).toEqual({ device: ['pixel 5'], locale: ['en-us', 'es-es'] });
+  expect(activeFilters(parseFormArgs([]))).toEqual({});
+});
+
+test.describe('filterByName', () => {
+  const scenarios = [{ name: 'valid-email' }, { name: 'bad-format-email' }, { name: 'empty-email' }];
+
+  test('keeps the suite order, ignoring case', () => {
+    expect(filterByName(scenarios, ['EMPTY-EMAIL', 'valid-email'], 'scenario', s => s.name).map(s => s.name)).toEqual(['valid-email', 'empty-email']);
+    expect(filterByName(scenarios, [], 'scenario', s => s.name)).toBe(scenarios);
+  });
+
+  test('names what matched nothing', () => {
+    expect(() => filterByName(scenarios, ['nope'], 'scenario', s => s.name))
+      .toThrow('Unknown scenario "nope". Available: valid-email, bad-format-email, empty-email');
+  });
+});
+
+test.describe('filterDevices', () => {
+  const known = ['Pixel 5', 'iPhone SE', 'iPad Mini', 'Desktop Chrome'];
+
+  test('picks suite devices or any known one, in the order given', () => {
+    expect(filterDevices(['Pixel 5', 'iPhone SE'], ['ipad mini', 'pixel 5'], known)).toEqual(['iPad Mini', 'Pixel 5']);
+    expect(filterDevices(['Pixel 5'], [], known)).toEqual(['Pixel 5']);
+  });
+
+  test('names unknown devices', () => {
+    expect(() => filterDevices(['Pixel 5'], ['Nokia 3310'], known)).toThrow('Unknown device "Nokia 3310". Suite devices: Pixel 5');
+  });
+});
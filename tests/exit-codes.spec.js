@@ -0,0 +1,25 @@
+const { test, expect } = require('@playwright/test');
+const { EXIT_CODES, resolveExitCode } = require('../lib/exit-codes');
+
+test.describe('resolveExitCode', () => {
+  test('is OK when everything is within thresholds', () => {
+    expect(resolveExitCode({})).toEqual({ code: EXIT_CODES.OK, reason: 'All results within thresholds' });
+    expect(resolveExitCode({ failed: 2, errored: 1 }, { maxFailures: 2, maxErrors: 1 }).code).toBe(EXIT_CODES.OK);
+  });
+
+  test('ranks a crash over failures, failures over errors and errors over blocks', () => {
+    expect(resolveExitCode({ failed: 1, errored: 1, blocked: 1, crashed: true }).code).toBe(EXIT_CODES.CRASHED);
+    expect(resolveExitCode({ failed: 1, errored: 1, blocked: 1 }).code).toBe(EXIT_CODES.FAILED);
+    expect(resolveExitCode({ errored: 1, blocked: 1 }).code).toBe(EXIT_CODES.ERRORED);
+    expect(resolveExitCode({ blocked: 1 }).code).toBe(EXIT_CODES.BLOCKED);
+  });
+
+  test('does not let maxErrors excuse blocked items', () => {
+    expect(resolveExitCode({ blocked: 2 }, { maxErrors: 5 })).toEqual({ code: EXIT_CODES.BLOCKED, reason: '2 blocked by bot protection' });
+  });
+
+  test('names the threshold it went over', () => {
+    expect(resolveExitCode({ failed: 3 }, { maxFailures: 1 }).reason).toBe('3 failed (allowed: 1)');
+    expect(resolveExitCode({ errored: 1 }).reason).toBe('1 errored (allowed: 0)');
+  });
+});
@@ -0,0 +1,29 @@
+const { test, expect } = require('@playwright/test');
+const { DEFAULT_FIELDS, FIELD_TYPES, requiredFieldScenarios } = require('../lib/form-fields');
+
+test.describe('DEFAULT_FIELDS', () => {
+  test('use known types and fill the identity field from the scenario', () => {
+    expect(DEFAULT_FIELDS.every(field => FIELD_TYPES.includes(field.type))).toBe(true);
+    expect(DEFAULT_FIELDS.filter(field => field.type === 'identity').map(field => field.name)).toEqual(['email']);
+  });
+});
+
+test.describe('requiredFieldScenarios', () => {
+  test('leaves each required field empty in a scenario of its own', () => {
+    const fields = [
+      { name: 'name', type: 'text', selector: '#name', value: 'Juan', required: true, requiredText: 'Name is required' },
+      { name: 'city', type: 'text', selector: '#city', value: 'Lima' },
+      { name: 'terms', type: 'checkbox', selector: '#terms', required: true, requiredText: { en: 'Please accept the terms', es: 'Acepta los términos' } },
+      { name: 'email', type: 'identity', selector: '#email', required: true, requiredText: 'Email is required' }
+    ];
+    expect(requiredFieldScenarios(fields)).toEqual([
+      { name: 'required-name', description: 'Leaves the required name field empty', email: null, expectError: true, expectedErrorText: 'Name is required', emptyField: 'name' },
+      { name: 'required-terms', description: 'Leaves the required terms field empty', email: null, expectError: true, expectedErrorText: { en: 'Please accept the terms', es: 'Acepta los términos' }, emptyField: 'terms' },
+      { name: 'required-email', description: 'Leaves the required email field empty', email: '', expectError: true, expectedErrorText: 'Email is required', emptyField: 'email' }
+    ]);
+  });
+
+  test('has nothing to add without required fields', () => {
+    expect(requiredFieldScenarios([{ name: 'city', type: 'text', selector: '#city', value: 'Lima' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { appendHistory, compareRuns, describeSelection, passRateTrend, readHistory, sameSelection } = require('../lib/history');
+
+function record(runId, statuses, { suite = 'suite.config.json', filters = {}, messages = {} } = {}) {
+  return {
+    runId,
+    runner: 'form',
+    suite,
+    filters,
+    items: Object.entries(statuses).map(([id, status]) => ({ id, status, flaky: false, message: messages[id] || `${status} message`, errorMessage: null }))
+  };
+}
+
+test.describe('compareRuns', () => {
+  test('sorts every item by how it changed', () => {
+    const previous = record('r1', { a: 'pass', b: 'fail', c: 'fail', d: 'error', e: 'skipped', gone: 'pass' });
+    const latest = record('r2', { a: 'fail', b: 'pass', c: 'fail', d: 'error', e: 'fail', added: 'pass' }, { messages: { d: 'Timeout' } });
+    const comparison = compareRuns(previous, latest);
+    expect(comparison.newFailures.map(entry => entry.id)).toEqual(['a']);
+    expect(comparison.fixed.map(entry => entry.id)).toEqual(['b']);
+    expect(comparison.stillFailing.map(entry => entry.id)).toEqual(['c']);
+    expect(comparison.changedMessages.map(entry => entry.id)).toEqual(['d']);
+    expect(comparison.added.map(item => item.id)).toEqual(['added']);
+    expect(comparison.removed.map(item => item.id)).toEqual(['gone']);
+  });
+
+  test('refuses runs of different suite files or filters', () => {
+    const live = record('r1', { a: 'pass' });
+    expect(() => compareRuns(live, record('r2', { a: 'fail' }, { suite: 'suite.mock.json' }))).toThrow('ran different selections');
+    expect(() => compareRuns(live, record('r2', { a: 'fail' }, { filters: { device: ['pixel 5'] } }))).toThrow('ran different selections');
+  });
+});
+
+test.describe('selections', () => {
+  test('match on suite file and filters', () => {
+    expect(sameSelection(record('r1', {}), record('r2', {}))).toBe(true);
+    expect(sameSelection(record('r1', {}, { filters: { step: ['login'] } }), record('r2', {}, { filters: { step: ['login'] } }))).toBe(true);
+    expect(sameSelection(record('r1', {}), { runId: 'old', items: [] })).toBe(false);
+  });
+
+  test('read like the command line that made them', () => {
+    expect(describeSelection(record('r1', {}, { suite: 'suite.mock.json', filters: { device: ['pixel 5'], step: ['login', 'settings'] } })))
+      .toBe('suite.mock.json --device pixel 5 --step login,settings');
+    expect(describeSelection({ runId: 'old' })).toBe('unrecorded suite');
+  });
+});
+
+test('passRateTrend counts only the runs an item ran in', () => {
+  const trend = passRateTrend([record('r1', { a: 'pass', b: 'skipped' }), record('r2', { a: 'fail' }), record('r3', { a: 'pass', b: 'pass' })]);
+  expect(trend).toEqual([
+    { id: 'a', runs: 3, passes: 2, rate: 0.667, sequence: ['pass', 'fail', 'pass'] },
+    { id: 'b', runs: 1, passes: 1, rate: 1, sequence: ['skipped', '', 'pass'] }
+  ]);
+});
+
+test.describe('appendHistory and readHistory', () => {
+  let dir;
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'poap-history-'));
+  });
+  test.afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const run = runId => ({
+    runId,
+    runner: 'form',
+    startedAt: '2026-10-19T14:21:39.000Z',
+    finishedAt: '2026-10-19T14:22:39.000Z',
+    durationMs: 60000,
+    selection: { suite: 'suite.mock.json', filters: { device: ['pixel 5'] } },
+    environment: { targets: [], browsers: [] },
+    totals: { total: 1, pass: 1, fail: 0, error: 0, skipped: 0 },
+    items: [{ id: 'Drop/Pixel 5/a', status: 'pass', flaky: false, message: 'ok', details: { errorMessage: 'Wrong format' } }]
+  });
+
+  test('round-trip a run with its selection', async () => {
+    const filePath = await appendHistory(run('r1'), { dir });
+    expect(filePath).toBe(path.join(dir, 'form.jsonl'));
+    const { runs, skipped } = await readHistory('form', { dir });
+    expect(skipped).toBe(0);
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ runId: 'r1', suite: 'suite.mock.json', filters: { device: ['pixel 5'] } });
+    expect(runs[0].items).toEqual([{ id: 'Drop/Pixel 5/a', status: 'pass', flaky: false, message: 'ok', errorMessage: 'Wrong format' }]);
+  });
+
+  test('keep the last record of a run and skip lines that do not parse', async () => {
+    await appendHistory(run('r1'), { dir });
+    await appendHistory(run('r2'), { dir });
+    await fs.appendFile(path.join(dir, 'form.jsonl'), '{"runId":"r3"\n');
+    await appendHistory({ ...run('r1'), durationMs: 1 }, { dir });
+    const { runs, skipped } = await readHistory('form', { dir });
+    expect(runs.map(entry => [entry.runId, entry.durationMs])).toEqual([['r2', 60000], ['r1', 1]]);
+    expect(skipped).toBe(1);
+  });
+
+  test('start empty without a history file', async () => {
+    expect(await readHistory('passport', { dir })).toEqual({ runs: [], skipped: 0 });
+  });
+});
@@ -0,0 +1,100 @@
+const { test, expect } = require('@playwright/test');
+const {
+  CATEGORY_NAMES,
+  checkIdentity,
+  describeInput,
+  generateScenarios,
+  resolveGeneratedInputs,
+  toChecksumAddress
+} = require('../lib/identity-inputs');
+
+test.describe('toChecksumAddress', () => {
+  test('matches the EIP-55 examples', () => {
+    for (const address of [
+      '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+      '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+      '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+      '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+    ]) {
+      expect(toChecksumAddress(address.toLowerCase())).toBe(address);
+    }
+  });
+});
+
+test.describe('checkIdentity', () => {
+  test('accepts checksummed, all-lowercase and all-uppercase addresses', () => {
+    expect(checkIdentity('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).toEqual({ kind: 'eth', valid: true, reason: null, errorText: null });
+    expect(checkIdentity('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed').valid).toBe(true);
+    expect(checkIdentity('0x5AAEB6053F3E94C9B9A09F33669435E7EF1BEAED').valid).toBe(true);
+  });
+
+  test('names what is wrong with an address', () => {
+    expect(checkIdentity('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD').reason).toBe('EIP-55 checksum mismatch');
+    expect(checkIdentity('0X5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed').reason).toBe('prefix must be lowercase 0x');
+    expect(checkIdentity('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA').reason).toBe('38 hex digits instead of 40');
+    expect(checkIdentity('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAzz').reason).toBe('not hexadecimal');
+  });
+
+  test('checks ENS names for normalized form and label rules', () => {
+    expect(checkIdentity('café.eth')).toMatchObject({ kind: 'ens', valid: true });
+    expect(checkIdentity('Poap.eth').reason).toBe('not in normalized form');
+    expect(checkIdentity('poap..eth').reason).toBe('empty label');
+    expect(checkIdentity('ab--cd.eth').reason).toBe('hyphens in the 3rd and 4th position');
+  });
+
+  test('checks email lengths and shapes, international ones included', () => {
+    expect(checkIdentity('qa+poap@example.com')).toMatchObject({ kind: 'email', valid: true });
+    expect(checkIdentity('用户@例子.广告').valid).toBe(true);
+    expect(checkIdentity('qa@example').reason).toBe('domain without a dot');
+    expect(checkIdentity('a..b@example.com').reason).toBe('malformed local part');
+    expect(checkIdentity(`${'a'.repeat(65)}@example.com`).reason).toBe('local part longer than 64 bytes');
+    expect(checkIdentity('qa@example.com').errorText).toBeNull();
+    expect(checkIdentity('qa@example').errorText).toBe('Wrong format');
+  });
+
+  test('ignores surrounding whitespace and rejects blank input', () => {
+    expect(checkIdentity('  qa@example.com\n').valid).toBe(true);
+    expect(checkIdentity('   ')).toMatchObject({ kind: 'empty', valid: false, reason: 'empty' });
+  });
+});
+
+test.describe('generateScenarios', () => {
+  test('is repeatable for a seed and records it', () => {
+    const first = generateScenarios({ seed: 7 });
+    expect(generateScenarios({ seed: 7 })).toEqual(first);
+    expect(generateScenarios({ seed: 8 })).not.toEqual(first);
+    expect(first.every(scenario => scenario.generated.seed === 7)).toBe(true);
+  });
+
+  test('defaults to a fixed seed', () => {
+    expect(resolveGeneratedInputs().seed).toBe(1);
+    expect(generateScenarios()).toEqual(generateScenarios());
+  });
+
+  test('settles a null seed to a random one it records', () => {
+    const { seed } = resolveGeneratedInputs({ seed: null });
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(generateScenarios({ seed })).toEqual(generateScenarios({ seed }));
+  });
+
+  test('names one scenario per category and template, expecting what the reference says', () => {
+    const scenarios = generateScenarios({ categories: ['eth-valid', 'eth-bad-checksum'], perCategory: 2 });
+    expect(scenarios.map(scenario => scenario.name)).toEqual(['gen-eth-valid-1', 'gen-eth-valid-2', 'gen-eth-bad-checksum-1', 'gen-eth-bad-checksum-2']);
+    for (const scenario of scenarios) {
+      const reference = checkIdentity(scenario.email);
+      expect(scenario.expectError).toBe(!reference.valid);
+      expect(scenario.expectedErrorText).toBe(reference.errorText);
+    }
+    expect(scenarios.filter(scenario => scenario.name.startsWith('gen-eth-valid')).every(scenario => !scenario.expectError)).toBe(true);
+  });
+
+  test('stops at the number of templates a category has', () => {
+    expect(generateScenarios({ categories: ['eth-valid'], perCategory: 10 })).toHaveLength(2);
+    expect(generateScenarios({ perCategory: 1 })).toHaveLength(CATEGORY_NAMES.length);
+  });
+});
+
+test('describeInput shortens long inputs', () => {
+  expect(describeInput('qa@example.com')).toBe('"qa@example.com"');
+  expect(describeInput('x'.repeat(100))).toBe(`"${'x'.repeat(24)}…${'x'.repeat(16)}" (100 chars)`);
+});
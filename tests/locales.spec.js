@@ -0,0 +1,38 @@
+const { test, expect } = require('@playwright/test');
+const { acceptLanguage, createTranslator, navigatorLanguages } = require('../lib/locales');
+
+test.describe('createTranslator', () => {
+  const translations = {
+    'es-ES': { 'Invalid email': 'Correo no válido' },
+    es: { 'Wrong format': 'Formato incorrecto' }
+  };
+
+  test('reads English texts as they are in English locales', () => {
+    expect(createTranslator('en-GB', translations).t('Invalid email')).toBe('Invalid email');
+  });
+
+  test('looks texts up by locale, then by language', () => {
+    const { t } = createTranslator('es-ES', translations);
+    expect(t('Invalid email')).toBe('Correo no válido');
+    expect(t('Wrong format')).toBe('Formato incorrecto');
+    expect(createTranslator('es-MX', translations).t('Invalid email')).toBeNull();
+  });
+
+  test('resolves a scenario text map the same way', () => {
+    const text = { 'en-US': 'Claimed', es: 'Reclamado' };
+    expect(createTranslator('es-ES').t(text)).toBe('Reclamado');
+    expect(createTranslator('en-GB').t(text)).toBe('Claimed');
+    expect(createTranslator('fr-FR').t(text)).toBeNull();
+  });
+
+  test('names the English text it could not translate', () => {
+    expect(createTranslator('fr-FR').missing('Invalid email')).toBe('No fr-FR translation for "Invalid email"');
+    expect(createTranslator('fr-FR').missing({ es: 'Reclamado', 'en-US': 'Claimed' })).toBe('No fr-FR translation for "Claimed"');
+  });
+});
+
+test('acceptLanguage and navigatorLanguages add the bare language', () => {
+  expect(acceptLanguage('es-ES')).toBe('es-ES,es;q=0.9');
+  expect(acceptLanguage('de')).toBe('de');
+  expect(navigatorLanguages('es-ES')).toEqual(['es-ES', 'es']);
+});
@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { renderMarkdown, writeMarkdownDigest } = require('../lib/reporters/markdown');
+
+const REPORT = {
+  name: 'POAP form',
+  timestamp: '2026-10-19T14:21:39.000Z',
+  flakeRates: [{ step: 'valid-email', runs: 2, flaky: 1, rate: 0.5 }],
+  cases: [
+    { target: 'Original', device: 'Pixel 5', suite: 'Original / Pixel 5', name: 'valid-email', status: 'pass', flaky: true },
+    { target: 'Original', device: 'Pixel 5', suite: 'Original / Pixel 5', name: 'bad|format', status: 'fail', message: 'Expected *Wrong format*' },
+    { target: 'Original', device: 'iPhone SE', suite: 'Original / iPhone SE', name: 'valid-email', status: 'skipped' },
+    { target: 'Original', device: 'iPhone SE', suite: 'Original / iPhone SE', name: 'device', status: 'error', message: 'Browser closed', session: true }
+  ]
+};
+
+test.describe('renderMarkdown', () => {
+  test('counts the results and draws a device × step grid per target', async () => {
+    const markdown = await renderMarkdown(REPORT);
+    expect(markdown).toContain('4 results: ✅ 1 passed, ❌ 1 failed, ⚠️ 1 errored, ⏭️ 1 skipped, 🔁 1 flaky');
+    expect(markdown).toContain('Flake rates: valid-email 1/2 (50%)');
+    expect(markdown).toContain([
+      '### Original',
+      '',
+      '| Device | valid-email | bad\\|format |',
+      '| --- | :---: | :---: |',
+      '| Pixel 5 | ✅ 🔁 | ❌ |',
+      '| iPhone SE | ⏭️ |  |'
+    ].join('\n'));
+  });
+
+  test('lists failures and session errors with escaped messages', async () => {
+    const markdown = await renderMarkdown(REPORT);
+    expect(markdown).toContain('- ❌ **Original / Pixel 5 / bad\\|format**: Expected \\*Wrong format\\*');
+    expect(markdown).toContain('- ⚠️ **Original / iPhone SE / device**: Browser closed');
+  });
+});
+
+test.describe('failure screenshots', () => {
+  const ACTIONS_ENV = { GITHUB_SERVER_URL: 'https://github.com', GITHUB_REPOSITORY: 'poap/tests', GITHUB_RUN_ID: '42' };
+  const cases = [
+    { ...REPORT.cases[1], screenshot: 'screenshots/run 1/bad.png' },
+    { ...REPORT.cases[1], name: 'other', screenshot: 'elsewhere/other.png' }
+  ];
+
+  async function render(env, options) {
+    const previous = Object.fromEntries(Object.keys(ACTIONS_ENV).map(key => [key, process.env[key]]));
+    Object.keys(ACTIONS_ENV).forEach(key => delete process.env[key]);
+    Object.assign(process.env, env);
+    try {
+      return await renderMarkdown({ ...REPORT, cases }, { artifacts: [{ name: 'poap-test-screenshots', dir: 'screenshots' }], ...options });
+    } finally {
+      for (const [key, value] of Object.entries(previous)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  }
+
+  test('are embedded relative to the digest', async () => {
+    expect(await render({})).toContain('Screenshot: ![screenshots/run 1/bad.png](screenshots/run%201/bad.png)');
+    expect(await render(ACTIONS_ENV, { dir: 'reports' })).toContain('Screenshot: ![screenshots/run 1/bad.png](../screenshots/run%201/bad.png)');
+  });
+
+  test('link to the artifact that holds them in the job summary', async () => {
+    const markdown = await render(ACTIONS_ENV, { jobSummary: true });
+    expect(markdown).toContain('Screenshot: [screenshots/run 1/bad.png](https://github.com/poap/tests/actions/runs/42#artifacts) in the `poap-test-screenshots` artifact');
+    expect(markdown).toContain('Screenshot: `elsewhere/other.png`');
+    expect(markdown).not.toContain('![');
+  });
+});
+
+test.describe('writeMarkdownDigest', () => {
+  let dir;
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'poap-markdown-'));
+  });
+  test.afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('appends to the job summary and overwrites any other file', async () => {
+    const summary = path.join(dir, 'summary.md');
+    const digest = path.join(dir, 'digest.md');
+    await fs.writeFile(summary, 'earlier step\n');
+    await fs.writeFile(digest, 'earlier run\n');
+    const previous = process.env.GITHUB_STEP_SUMMARY;
+    process.env.GITHUB_STEP_SUMMARY = summary;
+    try {
+      await writeMarkdownDigest(summary, REPORT);
+      await writeMarkdownDigest(digest, REPORT);
+    } finally {
+      if (previous === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+      else process.env.GITHUB_STEP_SUMMARY = previous;
+    }
+    expect(await fs.readFile(summary, 'utf8')).toMatch(/^earlier step\n## POAP form/);
+    expect(await fs.readFile(digest, 'utf8')).toMatch(/^## POAP form/);
+  });
+
+  test('embeds screenshots in a digest file but not in the job summary', async () => {
+    const summary = path.join(dir, 'summary.md');
+    const digest = path.join(dir, 'digest.md');
+    const report = { ...REPORT, cases: [{ ...REPORT.cases[1], screenshot: path.join(dir, 'shots', 'bad.png') }] };
+    const previous = process.env.GITHUB_STEP_SUMMARY;
+    process.env.GITHUB_STEP_SUMMARY = summary;
+    try {
+      await writeMarkdownDigest(summary, report);
+      await writeMarkdownDigest(digest, report);
+    } finally {
+      if (previous === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+      else process.env.GITHUB_STEP_SUMMARY = previous;
+    }
+    expect(await fs.readFile(summary, 'utf8')).not.toContain('![');
+    expect(await fs.readFile(digest, 'utf8')).toContain('](shots/bad.png)');
+  });
+});
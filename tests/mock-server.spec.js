@@ -0,0 +1,48 @@
+const { test, expect } = require('@playwright/test');
+const { startMockServer } = require('../lib/mock-server');
+
+test.describe('mock server', () => {
+  let mock;
+  test.beforeEach(async () => {
+    mock = await startMockServer({ port: 0 });
+  });
+  test.afterEach(async () => {
+    await mock.close();
+  });
+
+  const claim = address => fetch(`${mock.url}/api/1.1/wf/claim`, { method: 'POST', body: JSON.stringify({ address }) }).then(response => response.json());
+
+  test('serves the mint forms, their claimed pages and 404 otherwise', async () => {
+    const form = await fetch(`${mock.url}/form/demo`);
+    expect(form.status).toBe(200);
+    expect(await form.text()).toContain('Mock Demo Drop');
+    expect((await fetch(`${mock.url}/form/demo/claimed`)).status).toBe(200);
+    expect((await fetch(`${mock.url}/form/missing`)).status).toBe(404);
+    expect((await fetch(`${mock.url}/form/demo`, { method: 'DELETE' })).status).toBe(405);
+  });
+
+  test('decides the claim outcome from the address', async () => {
+    expect(await claim('fresh@example.com')).toEqual({ status: 'success', response: { outcome: 'success' } });
+    expect(await claim('notanemail')).toEqual({ status: 'success', response: { outcome: 'error', message: 'Wrong format' } });
+    expect(await claim('Used@example.com')).toEqual({ status: 'success', response: { outcome: 'error', message: 'You already have this collectible' } });
+    expect(await claim('0xfmifeo')).toEqual({ status: 'success', response: { outcome: 'error', message: 'You must use a valid ETH address' } });
+    expect(await claim('redirect@example.com')).toEqual({ status: 'success', response: { outcome: 'redirect' } });
+  });
+
+  test('fails a workflow with HTTP 200, as Bubble does', async () => {
+    expect(await claim('workflow-fail@example.com')).toEqual({ status: 'ERROR', message: 'Workflow "claim" failed: mint queue unavailable' });
+  });
+
+  test('alternates flaky claims, starting over on a fresh server', async () => {
+    expect((await claim('flaky@example.com')).response.outcome).toBe('silent');
+    expect((await claim('flaky@example.com')).response.outcome).toBe('success');
+    await mock.close();
+    mock = await startMockServer({ port: 0 });
+    expect((await claim('flaky@example.com')).response.outcome).toBe('silent');
+  });
+
+  test('rejects a claim body that is not JSON', async () => {
+    const response = await fetch(`${mock.url}/api/1.1/wf/claim`, { method: 'POST', body: 'address=x' });
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+const { test, expect } = require('@playwright/test');
+const { describeCall, failedCalls, startNetworkCapture } = require('../lib/network-capture');
+
+// A page that emits the request events Playwright does, with requests that
+// answer from plain values
+function fakePage() {
+  const page = new EventEmitter();
+  page.off = page.removeListener;
+  return page;
+}
+
+function fakeRequest(url, { method = 'POST', postData = '{}', status = 200, body = '{}', failure = null } = {}) {
+  return {
+    url: () => url,
+    method: () => method,
+    postData: () => postData,
+    failure: () => failure,
+    response: async () => ({ status: () => status, text: async () => body })
+  };
+}
+
+const WORKFLOW = 'https://mint.poap.studio/version-72bms/workflow/start';
+
+async function capture(requests, finish) {
+  const page = fakePage();
+  const recorder = startNetworkCapture(page);
+  for (const request of requests) page.emit('request', request);
+  await finish(page);
+  await recorder.settle(100);
+  return recorder.stop();
+}
+
+test.describe('startNetworkCapture', () => {
+  test('records only Bubble workflow and API calls', async () => {
+    const workflow = fakeRequest(WORKFLOW);
+    const analytics = fakeRequest('https://www.google-analytics.com/collect');
+    const calls = await capture([workflow, analytics], async page => {
+      page.emit('requestfinished', workflow);
+      page.emit('requestfinished', analytics);
+    });
+    expect(calls).toEqual([expect.objectContaining({ method: 'POST', url: WORKFLOW, status: 200, ok: true, error: null })]);
+  });
+
+  test('fails a 200 that carries a Bubble error in its body', async () => {
+    const request = fakeRequest(WORKFLOW, { body: JSON.stringify({ error_class: 'NotAllowed', message: 'Already claimed' }) });
+    const [call] = await capture([request], async page => page.emit('requestfinished', request));
+    expect(call).toMatchObject({ ok: false, error: 'NotAllowed: Already claimed' });
+    expect(describeCall(call)).toBe('POST /version-72bms/workflow/start → NotAllowed: Already claimed');
+  });
+
+  test('records HTTP errors, network failures and calls left unanswered', async () => {
+    const rejected = fakeRequest(`${WORKFLOW}?a`, { status: 500 });
+    const failed = fakeRequest(`${WORKFLOW}?b`, { failure: { errorText: 'net::ERR_CONNECTION_RESET' } });
+    const hanging = fakeRequest(`${WORKFLOW}?c`);
+    const calls = await capture([rejected, failed, hanging], async page => {
+      page.emit('requestfinished', rejected);
+      page.emit('requestfailed', failed);
+    });
+    expect(calls.map(call => call.error)).toEqual(['HTTP 500', 'net::ERR_CONNECTION_RESET', 'No response before the capture stopped']);
+    expect(failedCalls(calls)).toHaveLength(3);
+  });
+
+  test('truncates long bodies', async () => {
+    const request = fakeRequest(WORKFLOW, { postData: 'x'.repeat(2500) });
+    const [call] = await capture([request], async page => page.emit('requestfinished', request));
+    expect(call.requestBody).toBe(`${'x'.repeat(2000)}… (2500 chars)`);
+  });
+});
@@ -0,0 +1,76 @@
+const { test, expect } = require('@playwright/test');
+const {
+  describeNetworkProfile,
+  emulateNetwork,
+  networkProfileNames,
+  resolveNetworkProfile,
+  scaleTimeouts
+} = require('../lib/network-profiles');
+
+// A browser context whose DevTools session records what it is sent
+function fakeContext() {
+  const sent = [];
+  let sessions = 0;
+  return {
+    sent,
+    sessions: () => sessions,
+    newCDPSession: async () => {
+      sessions++;
+      return { send: async (method, params) => sent.push([method, params]) };
+    }
+  };
+}
+
+test.describe('resolveNetworkProfile', () => {
+  test('fills suite profiles from the unthrottled one', () => {
+    const custom = { 'hotel-wifi': { downloadKbps: 800, latencyMs: 300 } };
+    expect(resolveNetworkProfile('hotel-wifi', custom)).toEqual({ name: 'hotel-wifi', downloadKbps: 800, uploadKbps: null, latencyMs: 300, timeoutFactor: 1 });
+    expect(networkProfileNames(custom)).toEqual(['full', 'fast-3g', 'slow-3g', 'high-latency', 'hotel-wifi']);
+  });
+
+  test('names the known profiles for an unknown one', () => {
+    expect(() => resolveNetworkProfile('5g')).toThrow('Unknown network profile "5g" (known: full, fast-3g, slow-3g, high-latency)');
+  });
+});
+
+test('scaleTimeouts stretches every timeout by the profile factor', () => {
+  expect(scaleTimeouts({ element: 10000, submit: 20000 }, resolveNetworkProfile('slow-3g'))).toEqual({ element: 40000, submit: 80000 });
+});
+
+test('describeNetworkProfile shows throughput and latency', () => {
+  expect(describeNetworkProfile(resolveNetworkProfile('slow-3g'))).toBe('slow-3g (400/400 kbps, +2000ms)');
+  expect(describeNetworkProfile(resolveNetworkProfile('full'))).toBe('full (unthrottled)');
+  expect(describeNetworkProfile(resolveNetworkProfile('x', { x: { latencyMs: 50 } }))).toBe('x (∞/∞ kbps, +50ms)');
+});
+
+test.describe('emulateNetwork', () => {
+  test('throttles through DevTools and keeps the throttling offline', async () => {
+    const context = fakeContext();
+    const network = await emulateNetwork(context, {}, resolveNetworkProfile('fast-3g'));
+    await network.setOffline(true);
+    expect(context.sessions()).toBe(1);
+    expect(context.sent).toEqual([
+      ['Network.enable', undefined],
+      ['Network.emulateNetworkConditions', { offline: false, latency: 563, downloadThroughput: 180000, uploadThroughput: 84375 }],
+      ['Network.emulateNetworkConditions', { offline: true, latency: 563, downloadThroughput: 180000, uploadThroughput: 84375 }]
+    ]);
+  });
+
+  test('opens no DevTools session for an unthrottled page until it goes offline', async () => {
+    const context = fakeContext();
+    const network = await emulateNetwork(context, {}, resolveNetworkProfile('full'));
+    expect(context.sessions()).toBe(0);
+    await network.setOffline(true);
+    expect(context.sent[1]).toEqual(['Network.emulateNetworkConditions', { offline: true, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }]);
+  });
+
+  test('only goes offline without DevTools, and refuses to throttle there', async () => {
+    const context = { ...fakeContext(), setOffline: async offline => { context.offline = offline; } };
+    const network = await emulateNetwork(context, {}, resolveNetworkProfile('full'), { cdp: false });
+    await network.setOffline(true);
+    expect(context.offline).toBe(true);
+    expect(context.sessions()).toBe(0);
+    await expect(emulateNetwork(context, {}, resolveNetworkProfile('slow-3g'), { cdp: false }))
+      .rejects.toThrow('Network profile "slow-3g" needs Chromium to throttle');
+  });
+});
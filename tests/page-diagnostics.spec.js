@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const { test, expect } = require('@playwright/test');
+const { compilePattern, createPageDiagnostics, summarizeDiagnostics } = require('../lib/page-diagnostics');
+
+function fakeRequest(url, { method = 'GET', resourceType = 'script', failure = null } = {}) {
+  return { url: () => url, method: () => method, resourceType: () => resourceType, failure: () => failure };
+}
+
+function fakeResponse(url, status, options) {
+  const request = fakeRequest(url, options);
+  return { url: () => url, status: () => status, request: () => request };
+}
+
+function consoleMessage(type, text, url = '') {
+  return { type: () => type, text: () => text, location: () => ({ url }) };
+}
+
+test('compilePattern takes substrings and /regex/flags', () => {
+  expect(compilePattern('a.b').test('a.b')).toBe(true);
+  expect(compilePattern('a.b').test('axb')).toBe(false);
+  expect(compilePattern('/google-analytics|hotjar/i').test('https://www.Google-Analytics.com')).toBe(true);
+});
+
+test.describe('createPageDiagnostics', () => {
+  test('collects console errors, page errors and failed requests until taken', () => {
+    const page = new EventEmitter();
+    const diagnostics = createPageDiagnostics(page);
+    page.emit('console', consoleMessage('warning', 'deprecated'));
+    page.emit('console', consoleMessage('error', 'Uncaught TypeError', 'https://mint.poap.studio/app.js'));
+    page.emit('pageerror', new Error('x is undefined'));
+    page.emit('requestfailed', fakeRequest('https://cdn.example.com/app.js', { failure: { errorText: 'net::ERR_FAILED' } }));
+    page.emit('response', fakeResponse('https://mint.poap.studio/logo.png', 404, { resourceType: 'image' }));
+    page.emit('response', fakeResponse('https://mint.poap.studio/', 200));
+
+    const taken = diagnostics.take();
+    expect(taken.consoleErrors).toEqual([{ text: 'Uncaught TypeError', url: 'https://mint.poap.studio/app.js' }]);
+    expect(taken.pageErrors).toEqual([{ message: 'x is undefined' }]);
+    expect(taken.failedRequests.map(entry => [entry.url, entry.status, entry.error])).toEqual([
+      ['https://cdn.example.com/app.js', null, 'net::ERR_FAILED'],
+      ['https://mint.poap.studio/logo.png', 404, null]
+    ]);
+    expect(summarizeDiagnostics(taken)).toBe('1 page error(s), 1 console error(s), 2 failed request(s)');
+    expect(summarizeDiagnostics(diagnostics.take())).toBeNull();
+  });
+
+  test('leaves out allowlisted noise', () => {
+    const page = new EventEmitter();
+    const diagnostics = createPageDiagnostics(page, { allowlist: ['hotjar', '/favicon\\.ico HTTP 404/'] });
+    page.emit('requestfailed', fakeRequest('https://static.hotjar.com/c.js', { failure: { errorText: 'net::ERR_BLOCKED_BY_CLIENT' } }));
+    page.emit('response', fakeResponse('https://mint.poap.studio/favicon.ico', 404, { resourceType: 'image' }));
+    expect(diagnostics.take().failedRequests).toEqual([]);
+  });
+
+  test('fails only on what the suite file asks for', () => {
+    const page = new EventEmitter();
+    const taken = {
+      consoleErrors: [],
+      pageErrors: [{ message: 'x is undefined' }],
+      failedRequests: [{ method: 'GET', url: 'https://cdn.example.com/app.js', resourceType: 'script', status: 500, error: null }],
+      dropped: 0
+    };
+    expect(createPageDiagnostics(page).check(taken)).toBeNull();
+    expect(createPageDiagnostics(page, { failOnPageError: true }).check(taken)).toBe('1 uncaught page error(s), first: x is undefined');
+    expect(createPageDiagnostics(page, { failOnHttpErrors: true }).check(taken)).toBe('1 failed request(s), first: GET https://cdn.example.com/app.js → HTTP 500');
+  });
+
+  test('fails only on failed requests of the asset types it is given', () => {
+    const page = new EventEmitter();
+    const taken = {
+      consoleErrors: [],
+      pageErrors: [],
+      failedRequests: [
+        { method: 'POST', url: 'https://api.poap.example/claim', resourceType: 'fetch', status: 400, error: null },
+        { method: 'GET', url: 'https://cdn.example.com/font.woff2', resourceType: 'font', status: 404, error: null }
+      ],
+      dropped: 0
+    };
+    expect(createPageDiagnostics(page, { failOnHttpErrors: true }).check(taken)).toBe('1 failed request(s), first: GET https://cdn.example.com/font.woff2 → HTTP 404');
+    expect(createPageDiagnostics(page, { failOnHttpErrors: true, httpErrorTypes: ['fetch'] }).check(taken)).toBe('1 failed request(s), first: POST https://api.poap.example/claim → HTTP 400');
+    expect(createPageDiagnostics(page, { failOnHttpErrors: true, httpErrorTypes: ['document'] }).check(taken)).toBeNull();
+  });
+});
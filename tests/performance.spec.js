@@ -0,0 +1,48 @@
+const { test, expect } = require('@playwright/test');
+const { createPerformanceMonitor, formatMeasurement, summarizePerformance } = require('../lib/performance');
+
+// A page whose in-page measurement returns the given metrics in turn
+function fakePage(...readings) {
+  return { url: () => 'https://mint.poap.studio/drop', evaluate: async () => readings.shift() };
+}
+
+function metrics(overrides = {}) {
+  return { ttfb: 300, domContentLoaded: 1200, load: 2000, lcp: 1800, cls: 0.02, tti: 1500, transferredBytes: 500 * 1024, resourceCount: 40, longTaskCount: 2, timeOrigin: 1000, ...overrides };
+}
+
+test.describe('createPerformanceMonitor', () => {
+  test('lets device budgets override the shared ones', () => {
+    const monitor = createPerformanceMonitor('iPhone SE', { budgets: { lcp: 2500, cls: 0.1 }, devices: { 'iPhone SE': { lcp: 4000 } } });
+    expect(monitor.budgets).toEqual({ lcp: 4000, cls: 0.1 });
+  });
+
+  test('checks a new document against every budget', async () => {
+    const monitor = createPerformanceMonitor('Pixel 5', { budgets: { lcp: 1500, cls: 0.1 } });
+    const entry = await monitor.measure(fakePage(metrics()), 'form');
+    expect(entry).toMatchObject({ page: 'form', newDocument: true, bytesSincePrevious: 500 * 1024 });
+    expect(entry.violations).toEqual([{ metric: 'lcp', value: 1800, budget: 1500 }]);
+    expect(formatMeasurement(entry)).toBe('form: TTFB 300ms, LCP 1800ms, CLS 0.02, TTI 1500ms, 500 KB transferred');
+  });
+
+  test('checks only the bytes an in-app page added to the same document', async () => {
+    const monitor = createPerformanceMonitor('Pixel 5', { budgets: { lcp: 1500, transferredBytes: 100 * 1024 } });
+    await monitor.measure(fakePage(metrics({ lcp: 1000 })), 'form');
+    const entry = await monitor.measure(fakePage(metrics({ lcp: 9000, transferredBytes: 700 * 1024 })), 'success');
+    expect(entry).toMatchObject({ newDocument: false, bytesSincePrevious: 200 * 1024 });
+    expect(entry.violations).toEqual([{ metric: 'transferredBytes', value: 200 * 1024, budget: 100 * 1024 }]);
+    expect(formatMeasurement(entry)).toBe('success: 200 KB transferred');
+  });
+
+  test('fails items only with failOnBudget', async () => {
+    const measured = [await createPerformanceMonitor('Pixel 5', { budgets: { cls: 0.01 } }).measure(fakePage(metrics()), 'form')];
+    expect(createPerformanceMonitor('Pixel 5').check(measured)).toBeNull();
+    expect(createPerformanceMonitor('Pixel 5', { failOnBudget: true }).check(measured)).toBe('1 performance budget(s) exceeded: cls 0.02 > 0.01 on form');
+    expect(summarizePerformance(measured)).toBe('over budget: cls 0.02 > 0.01 on form');
+  });
+
+  test('notes a page it could not measure', async () => {
+    const page = { url: () => 'about:blank', evaluate: async () => { throw new Error('Target closed'); } };
+    const entry = await createPerformanceMonitor('Pixel 5').measure(page, 'form');
+    expect(formatMeasurement(entry)).toBe('form: not measured (Target closed)');
+  });
+});
@@ -0,0 +1,68 @@
+const { test, expect } = require('@playwright/test');
+const { CliError } = require('../lib/cli');
+const { createRun, planItem, planSession } = require('../lib/results');
+const { describeVariant, deviceToFilename, getFormattedDate, runnableJobs, selectVariants } = require('../lib/recording');
+
+const RUNNER = {
+  engines: ['chromium'],
+  networks: ['full', 'office'],
+  locales: [{ locale: 'en-US', timezoneId: 'America/New_York' }, { locale: 'es-ES', timezoneId: 'Europe/Madrid' }]
+};
+const PROFILES = { office: { downloadKbps: 5000, uploadKbps: 1000, latencyMs: 40, timeoutFactor: 1 } };
+const NO_FILTERS = { engine: [], network: [], locale: [] };
+
+test('getFormattedDate writes the local date as DD-MM-YYYY', () => {
+  expect(getFormattedDate(new Date(2026, 0, 5, 23, 59))).toBe('05-01-2026');
+});
+
+test('deviceToFilename keeps device names apart in file names', () => {
+  expect(deviceToFilename('iPhone 14 Pro Max')).toBe('iphone-14-pro-max');
+  expect(deviceToFilename('Galaxy S9+')).toBe('galaxy-s9-plus');
+});
+
+test.describe('selectVariants', () => {
+  test('combines the runner\'s engines, networks and locales in matrix order', () => {
+    const { engines, profiles, locales, variants } = selectVariants(RUNNER, PROFILES, NO_FILTERS);
+    expect(engines).toEqual(['chromium']);
+    expect(profiles.map(profile => profile.name)).toEqual(['full', 'office']);
+    expect(locales).toBe(RUNNER.locales);
+    expect(variants.map(({ engine, profile, locale }) => `${engine} ${profile.name} ${locale.locale}`)).toEqual([
+      'chromium full en-US',
+      'chromium full es-ES',
+      'chromium office en-US',
+      'chromium office es-ES'
+    ]);
+  });
+
+  test('lets the filters pick any engine or network and narrow the locales', () => {
+    const { variants } = selectVariants(RUNNER, PROFILES, { engine: ['WebKit'], network: ['slow-3g'], locale: ['es-es'] });
+    expect(variants.map(({ engine, profile, locale }) => `${engine} ${profile.name} ${locale.locale}`)).toEqual(['webkit slow-3g es-ES']);
+  });
+
+  test('rejects names it does not know', () => {
+    expect(() => selectVariants(RUNNER, PROFILES, { ...NO_FILTERS, network: ['5g'] })).toThrow(CliError);
+    expect(() => selectVariants(RUNNER, PROFILES, { ...NO_FILTERS, locale: ['fr-FR'] })).toThrow('Unknown locale "fr-FR"');
+  });
+});
+
+test.describe('unrunnable sessions', () => {
+  const variant = engine => selectVariants({ ...RUNNER, engines: [engine], networks: ['slow-3g'], locales: [RUNNER.locales[0]] }, {}, NO_FILTERS).variants[0];
+
+  test('are marked in --list', () => {
+    expect(describeVariant('Pixel 5', variant('chromium'))).toBe('📱 Pixel 5 (phone) 🧭 chromium 📶 slow-3g (400/400 kbps, +2000ms) 🌍 en-US (America/New_York)');
+    expect(describeVariant('Pixel 5', variant('firefox'))).toMatch(/⏭️ \(throttling needs Chromium\)$/);
+  });
+
+  test('are finished unrun, saying why', () => {
+    const run = createRun('form', [{ name: 'Demo', url: 'https://poap.example' }], {});
+    const jobs = ['chromium', 'firefox'].map(engine => {
+      const { profile, locale } = variant(engine);
+      const where = { target: 'Demo', device: 'Pixel 5', engine, network: profile.name, locale: locale.locale };
+      return { engine, profile, session: planSession(run, where), items: { scenario: planItem(run, { ...where, step: 'scenario' }) } };
+    });
+    expect(runnableJobs(run, jobs)).toEqual([jobs[0]]);
+    expect(jobs[1].session.finishedAt).toBeTruthy();
+    expect(jobs[1].items.scenario.message).toBe('Not run: network profile "slow-3g" needs Chromium to throttle');
+    expect(jobs[0].session.finishedAt).toBeFalsy();
+  });
+});
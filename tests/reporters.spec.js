@@ -0,0 +1,50 @@
+const { test, expect } = require('@playwright/test');
+const { escapeXml } = require('../lib/reporters/escape');
+const { renderJUnit } = require('../lib/reporters/junit');
+const { renderHtml } = require('../lib/reporters/html');
+
+const REPORT = {
+  name: 'POAP form',
+  timestamp: '2026-10-19T14:21:39.000Z',
+  cases: [
+    { suite: 'Original / Pixel 5', name: 'valid-email', status: 'pass', message: 'ok', durationMs: 1500 },
+    { suite: 'Original / Pixel 5', name: 'bad-format-email', status: 'fail', message: 'Expected "Wrong format" <got nothing>', screenshot: 'screenshots/bad.png', durationMs: 500 },
+    { suite: 'Original / iPhone SE', name: 'valid-email', status: 'skipped', message: 'Not run' }
+  ]
+};
+
+test('escapeXml escapes markup and drops characters XML forbids', () => {
+  expect(escapeXml(`<a href="x">Tom & 'Jerry'</a>\x07`)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; &apos;Jerry&apos;&lt;/a&gt;');
+  expect(escapeXml(null)).toBe('');
+});
+
+test.describe('renderJUnit', () => {
+  test('groups cases into suites and counts them', () => {
+    const xml = renderJUnit(REPORT);
+    expect(xml).toContain('<testsuites name="POAP form" tests="3" failures="1" errors="0" skipped="1" time="2.000">');
+    expect(xml).toContain('<testsuite name="Original / Pixel 5" tests="2" failures="1" errors="0" skipped="0" timestamp="2026-10-19T14:21:39.000Z" time="2.000">');
+    expect(xml).toContain('<testsuite name="Original / iPhone SE" tests="1" failures="0" errors="0" skipped="1"');
+  });
+
+  test('writes failures with their message and screenshot attachment', () => {
+    const xml = renderJUnit(REPORT);
+    expect(xml).toContain('<failure message="Expected &quot;Wrong format&quot; &lt;got nothing&gt;">');
+    expect(xml).toContain('<system-out>[[ATTACHMENT|screenshots/bad.png]]</system-out>');
+    expect(xml).toContain('<skipped message="Not run"/>');
+  });
+});
+
+test.describe('renderHtml', () => {
+  test('escapes messages and notes screenshots that are missing', async () => {
+    const html = await renderHtml(REPORT, '/tmp/report.html');
+    expect(html).toContain('Expected &quot;Wrong format&quot; &lt;got nothing&gt;');
+    expect(html).toContain('<em>missing screenshots/bad.png</em>');
+    expect(html).toContain('<span>Total: 3</span>');
+  });
+
+  test('links a shared video at the case\'s chapter', async () => {
+    const cases = [{ suite: 'Drop / Pixel 5', name: 'a', status: 'pass', message: 'ok', video: '/tmp/videos/session.webm', videoStartMs: 83400 }];
+    const html = await renderHtml({ name: 'POAP form', cases }, '/tmp/report.html');
+    expect(html).toContain('<a href="videos/session.webm#t=83.4">session.webm @ 1:23</a>');
+  });
+});
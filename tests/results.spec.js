@@ -0,0 +1,218 @@
+const { test, expect } = require('@playwright/test');
+const {
+  attachSessionVideo,
+  countOutcomes,
+  createRun,
+  deviceLabel,
+  finishItem,
+  finishRun,
+  finishSession,
+  planItem,
+  planSession,
+  retryItem,
+  setItemVideo,
+  startItem,
+  targetVersion
+} = require('../lib/results');
+const { runToReport } = require('../lib/reporters');
+
+// One form session on Pixel 5 with the given steps planned
+function plannedRun(steps, where = { target: 'Drop', device: 'Pixel 5' }) {
+  const run = createRun('form', [{ name: 'Drop', url: 'https://mint.poap.studio/version-72bms/mint/drop' }], { suite: 'suite.config.json', filters: {} });
+  const session = planSession(run, where);
+  const items = Object.fromEntries(steps.map(step => [step, planItem(run, { ...where, step })]));
+  return { run, session, items };
+}
+
+test.describe('createRun', () => {
+  test('records the targets with their app version and the selection', () => {
+    const { run } = plannedRun([]);
+    expect(run.environment.targets).toEqual([{ name: 'Drop', url: 'https://mint.poap.studio/version-72bms/mint/drop', version: 'version-72bms' }]);
+    expect(run.runId).toMatch(/^\d{8}T\d{6}Z-[0-9a-f]{6}$/);
+    expect(run.environment.generatedInputs).toBeNull();
+    expect(run.selection).toEqual({ suite: 'suite.config.json', filters: {} });
+  });
+
+  test('calls a URL without a Bubble version live', () => {
+    expect(targetVersion('https://poap.studio/mint/drop')).toBe('live');
+  });
+});
+
+test.describe('planItem', () => {
+  test('leaves defaults out of the id and label and marks the rest', () => {
+    const run = createRun('form', []);
+    expect(planItem(run, { target: 'Drop', device: 'Pixel 5', step: 'a' }).id).toBe('Drop/Pixel 5/a');
+    expect(planItem(run, { target: 'Drop', device: 'Pixel 5', network: 'slow-3g', step: 'a' }).id).toBe('Drop/Pixel 5@slow-3g/a');
+    expect(deviceLabel({ device: 'Pixel 5' })).toBe('Pixel 5');
+    expect(deviceLabel({ device: 'Pixel 5', network: 'slow-3g' })).toBe('Pixel 5 @ slow-3g');
+    expect(planItem(run, { target: 'Drop', device: 'Pixel 5', engine: 'webkit', locale: 'es-ES', network: 'slow-3g', step: 'a' }).id)
+      .toBe('Drop/Pixel 5(webkit)[es-ES]@slow-3g/a');
+    expect(deviceLabel({ device: 'Pixel 5', engine: 'webkit', locale: 'es-ES' })).toBe('Pixel 5 (webkit) [es-ES]');
+  });
+
+  test('starts out skipped', () => {
+    const { items } = plannedRun(['a']);
+    expect(items.a).toMatchObject({ id: 'Drop/Pixel 5/a', status: 'skipped', message: 'Not run', startedAt: null, attempts: [] });
+  });
+});
+
+test.describe('finishItem', () => {
+  test('sets the outcome, merges details and keeps the screenshot', () => {
+    const { items } = plannedRun(['a']);
+    startItem(items.a);
+    items.a.details.redirectUrl = null;
+    finishItem(items.a, { status: 'fail', message: 'nope', screenshot: 'a.png', details: { errorMessage: 'Wrong format' } });
+    expect(items.a).toMatchObject({ status: 'fail', message: 'nope', flaky: false });
+    expect(items.a.details).toEqual({ redirectUrl: null, errorMessage: 'Wrong format' });
+    expect(items.a.artifacts.screenshots).toEqual(['a.png']);
+    expect(items.a.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('rejects an unknown status', () => {
+    const { items } = plannedRun(['a']);
+    expect(() => finishItem(items.a, { status: 'passed' })).toThrow('Unknown result status "passed"');
+  });
+});
+
+test.describe('retryItem', () => {
+  test('sets the attempt aside and starts the item over', () => {
+    const { items } = plannedRun(['a']);
+    startItem(items.a);
+    finishItem(items.a, { status: 'error', message: 'Timeout', screenshot: 'a-1.png', details: { errorMessage: null } });
+
+    expect(retryItem(items.a)).toBe(2);
+    expect(items.a.attempts).toEqual([expect.objectContaining({ attempt: 1, status: 'error', message: 'Timeout', artifacts: expect.objectContaining({ screenshots: ['a-1.png'] }) })]);
+    expect(items.a).toMatchObject({ status: 'skipped', message: 'Not run', startedAt: null, details: {} });
+    expect(items.a.artifacts.screenshots).toEqual([]);
+  });
+
+  test('makes a pass after a retry flaky', () => {
+    const { items } = plannedRun(['a']);
+    startItem(items.a);
+    finishItem(items.a, { status: 'fail', message: 'nope' });
+    retryItem(items.a);
+    startItem(items.a);
+    finishItem(items.a, { status: 'pass', message: 'ok' });
+    expect(items.a.flaky).toBe(true);
+  });
+});
+
+test.describe('finishSession', () => {
+  test('charges a session error to the running item only', () => {
+    const { run, session, items } = plannedRun(['done', 'running', 'never']);
+    startItem(items.done);
+    finishItem(items.done, { status: 'pass', message: 'ok' });
+    startItem(items.running);
+
+    finishSession(run, session, { error: 'Target closed', video: 'session.webm' });
+
+    expect(session).toMatchObject({ status: 'error', error: 'Target closed' });
+    expect(items.done).toMatchObject({ status: 'pass', message: 'ok' });
+    expect(items.running).toMatchObject({ status: 'error', message: 'Target closed' });
+    expect(items.running.details).toMatchObject({ sessionError: true, blocked: false });
+    expect(items.never).toMatchObject({ status: 'skipped', message: 'Not run: Target closed' });
+    expect(Object.values(items).map(item => item.artifacts.video)).toEqual(['session.webm', 'session.webm', 'session.webm']);
+  });
+
+  test('leaves the same device on another network alone', () => {
+    const { run, session, items } = plannedRun(['a']);
+    const slow = planItem(run, { target: 'Drop', device: 'Pixel 5', network: 'slow-3g', step: 'a' });
+    startItem(items.a);
+    startItem(slow);
+    finishSession(run, session, { error: 'Target closed' });
+    expect(items.a.status).toBe('error');
+    expect(slow.status).toBe('skipped');
+  });
+
+  test('leaves the items alone without an error', () => {
+    const { run, session, items } = plannedRun(['a']);
+    finishSession(run, session);
+    expect(session.status).toBe('ok');
+    expect(items.a).toMatchObject({ status: 'skipped', message: 'Not run' });
+  });
+});
+
+test.describe('videos', () => {
+  const RECORDING_STARTED = Date.parse('2026-10-19T14:00:00.000Z');
+
+  function ran(item, from, to) {
+    item.startedAt = new Date(RECORDING_STARTED + from).toISOString();
+    finishItem(item, { status: 'pass' });
+    item.finishedAt = new Date(RECORDING_STARTED + to).toISOString();
+  }
+
+  test('gives every item without a clip a chapter of the session video', () => {
+    const { run, session, items } = plannedRun(['a', 'b', 'c']);
+    ran(items.a, 2000, 5000);
+    ran(items.b, 6000, 9500);
+    setItemVideo(items.b, 'b.webm', Date.parse(items.b.startedAt));
+
+    finishSession(run, session, { video: 'session.webm', videoStartedAt: RECORDING_STARTED });
+
+    expect(items.a.artifacts).toMatchObject({ video: 'session.webm', videoChapter: { startMs: 2000, endMs: 5000 } });
+    expect(items.b.artifacts).toMatchObject({ video: 'b.webm', videoChapter: { startMs: 0, endMs: 3500 } });
+    expect(items.c.artifacts).toMatchObject({ video: 'session.webm', videoChapter: null });
+    expect(session.artifacts.chapters).toEqual([{ step: 'a', attempt: 1, video: 'session.webm', startMs: 2000, endMs: 5000 }]);
+  });
+
+  test('gives an earlier attempt a chapter of the recording it ran in', () => {
+    const { run, session, items } = plannedRun(['a']);
+    ran(items.a, 1000, 2000);
+    retryItem(items.a);
+    attachSessionVideo(run, session, 'first.webm', RECORDING_STARTED);
+    ran(items.a, 4000, 4500);
+    finishSession(run, session, { video: 'second.webm', videoStartedAt: RECORDING_STARTED + 3000 });
+
+    expect(items.a.attempts[0].artifacts).toMatchObject({ video: 'first.webm', videoChapter: { startMs: 1000, endMs: 2000 } });
+    expect(items.a.artifacts).toMatchObject({ video: 'second.webm', videoChapter: { startMs: 1000, endMs: 1500 } });
+    expect(session.artifacts.chapters.map(chapter => [chapter.attempt, chapter.video])).toEqual([[1, 'first.webm'], [2, 'second.webm']]);
+  });
+});
+
+test.describe('countOutcomes', () => {
+  test('counts failures, errors and blocked items apart', () => {
+    const { run, items } = plannedRun(['a', 'b', 'c', 'd']);
+    finishItem(items.a, { status: 'fail' });
+    finishItem(items.b, { status: 'error' });
+    finishItem(items.c, { status: 'error', details: { blocked: true } });
+    finishItem(items.d, { status: 'pass' });
+    expect(countOutcomes(run)).toEqual({ failed: 1, errored: 1, blocked: 1 });
+  });
+
+  test('counts a session error once, unless an item took it over', () => {
+    const first = plannedRun(['a']);
+    finishSession(first.run, first.session, { error: 'Could not launch' });
+    expect(countOutcomes(first.run)).toEqual({ failed: 0, errored: 1, blocked: 0 });
+
+    const second = plannedRun(['a']);
+    startItem(second.items.a);
+    finishSession(second.run, second.session, { error: 'Challenge page', blocked: true });
+    expect(countOutcomes(second.run)).toEqual({ failed: 0, errored: 0, blocked: 1 });
+  });
+});
+
+test('finishRun totals the items and rates flakes per step', () => {
+  const { run, items } = plannedRun(['a', 'b']);
+  startItem(items.a);
+  finishItem(items.a, { status: 'fail' });
+  retryItem(items.a);
+  startItem(items.a);
+  finishItem(items.a, { status: 'pass' });
+
+  finishRun(run, { browsers: [{ name: 'chromium', version: '120' }, { name: 'webkit', version: '18.0' }] });
+  expect(run.totals).toEqual({ total: 2, pass: 1, fail: 0, error: 0, skipped: 1, blocked: 0, flaky: 1 });
+  expect(run.flakeRates).toEqual([{ step: 'a', runs: 1, flaky: 1, rate: 1 }]);
+  expect(run.environment.browser).toEqual({ name: 'chromium', version: '120' });
+  expect(run.environment.browsers.map(browser => browser.name)).toEqual(['chromium', 'webkit']);
+});
+
+test('runToReport adds a case for a session error no item took over', () => {
+  const { run, session } = plannedRun(['a']);
+  finishSession(run, session, { error: 'Could not launch' });
+  const report = runToReport(run, 'POAP form');
+  expect(report.name).toBe(`POAP form (${run.runId})`);
+  expect(report.cases.map(c => [c.suite, c.name, c.status, c.message])).toEqual([
+    ['Drop / Pixel 5', 'a', 'skipped', 'Not run: Could not launch'],
+    ['Drop / Pixel 5', 'device', 'error', 'Could not launch']
+  ]);
+});
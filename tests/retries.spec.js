@@ -0,0 +1,57 @@
+const { test, expect } = require('@playwright/test');
+const { createRetryPolicy, formatFlakeRates, shouldRetry, summarizeAttempts } = require('../lib/retries');
+
+function finished(status, { attempts = 0, details = {} } = {}) {
+  return { status, details, attempts: Array.from({ length: attempts }, (_, i) => ({ attempt: i + 1, status: 'fail', message: 'nope' })) };
+}
+
+test.describe('createRetryPolicy', () => {
+  test('uses the per-name count, then the runner count', () => {
+    const retriesFor = createRetryPolicy('form', { form: 1, scenarios: { 'flaky-success': 3 } });
+    expect(retriesFor('flaky-success')).toBe(3);
+    expect(retriesFor('bad-format-email')).toBe(1);
+  });
+
+  test('reads steps for the passport runner', () => {
+    const retriesFor = createRetryPolicy('passport', { passport: 2, steps: { leaderboard: 0 }, scenarios: { leaderboard: 4 } });
+    expect(retriesFor('leaderboard')).toBe(0);
+    expect(retriesFor('login')).toBe(2);
+  });
+
+  test('lets --retries replace every count', () => {
+    const retriesFor = createRetryPolicy('form', { form: 1, scenarios: { 'flaky-success': 3 } }, 0);
+    expect(retriesFor('flaky-success')).toBe(0);
+  });
+
+  test('defaults to no retries', () => {
+    expect(createRetryPolicy('form')('anything')).toBe(0);
+  });
+});
+
+test.describe('shouldRetry', () => {
+  test('retries failures and errors while attempts are left', () => {
+    expect(shouldRetry(finished('fail'), 1)).toBe(true);
+    expect(shouldRetry(finished('error', { attempts: 1 }), 2)).toBe(true);
+    expect(shouldRetry(finished('error', { attempts: 2 }), 2)).toBe(false);
+  });
+
+  test('never retries a pass, a skip, bot protection or a missing translation', () => {
+    expect(shouldRetry(finished('pass'), 3)).toBe(false);
+    expect(shouldRetry(finished('skipped'), 3)).toBe(false);
+    expect(shouldRetry(finished('error', { details: { blocked: true } }), 3)).toBe(false);
+    expect(shouldRetry(finished('fail', { details: { missingTranslation: 'Wrong format' } }), 3)).toBe(false);
+  });
+});
+
+test('summarizeAttempts describes the earlier attempts', () => {
+  expect(summarizeAttempts({ attempts: [] })).toBeNull();
+  expect(summarizeAttempts({ status: 'pass', flaky: true, attempts: [{ attempt: 1, status: 'error', message: 'Timeout' }] }))
+    .toBe('flaky, passed on attempt 2 of 2 (#1 error: Timeout)');
+  expect(summarizeAttempts({ status: 'fail', flaky: false, attempts: [{ attempt: 1, status: 'fail', message: 'nope' }] }))
+    .toBe('fail again on attempt 2 of 2 (#1 fail: nope)');
+});
+
+test('formatFlakeRates lists only flaky steps', () => {
+  expect(formatFlakeRates([{ step: 'a', runs: 4, flaky: 0, rate: 0 }])).toBeNull();
+  expect(formatFlakeRates([{ step: 'a', runs: 4, flaky: 1, rate: 0.25 }, { step: 'b', runs: 2, flaky: 0, rate: 0 }])).toBe('a 1/4 (25%)');
+});
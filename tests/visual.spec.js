@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { test, expect } = require('@playwright/test');
+const { DEFAULT_VISUAL, clearSnapshots, compareSnapshots, listSnapshots } = require('../lib/visual');
+
+// A width × height PNG, white except for the pixels `paint` marks black
+async function writePng(filePath, width, height, paint = () => false) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const value = paint(x, y) ? 0 : 255;
+      png.data[offset] = png.data[offset + 1] = png.data[offset + 2] = value;
+      png.data[offset + 3] = 255;
+    }
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, PNG.sync.write(png));
+  return filePath;
+}
+
+test.describe('compareSnapshots', () => {
+  let dir;
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'poap-visual-'));
+  });
+  test.afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('matches identical screens without writing a diff', async () => {
+    const baseline = await writePng(path.join(dir, 'baseline.png'), 20, 20);
+    const actual = await writePng(path.join(dir, 'actual.png'), 20, 20);
+    const diff = path.join(dir, 'diff.png');
+    expect(await compareSnapshots(baseline, actual, diff, DEFAULT_VISUAL)).toEqual({ status: 'match', diffPixels: 0, diffRatio: 0, reason: null, diff: null });
+    await expect(fs.access(diff)).rejects.toThrow();
+  });
+
+  test('reports the share of changed pixels and writes a diff', async () => {
+    const baseline = await writePng(path.join(dir, 'baseline.png'), 10, 10);
+    const actual = await writePng(path.join(dir, 'actual.png'), 10, 10, x => x === 0);
+    const diff = path.join(dir, 'diffs', 'diff.png');
+    const result = await compareSnapshots(baseline, actual, diff, DEFAULT_VISUAL);
+    expect(result).toMatchObject({ status: 'mismatch', diffPixels: 10, diffRatio: 0.1, reason: '10.00% of pixels differ (allowed 0.10%)', diff });
+    await fs.access(diff);
+  });
+
+  test('allows changes up to maxDiffRatio', async () => {
+    const baseline = await writePng(path.join(dir, 'baseline.png'), 10, 10);
+    const actual = await writePng(path.join(dir, 'actual.png'), 10, 10, (x, y) => x === 0 && y === 0);
+    expect((await compareSnapshots(baseline, actual, path.join(dir, 'diff.png'), { ...DEFAULT_VISUAL, maxDiffRatio: 0.01 })).status).toBe('match');
+  });
+
+  test('calls a different size a mismatch', async () => {
+    const baseline = await writePng(path.join(dir, 'baseline.png'), 10, 10);
+    const actual = await writePng(path.join(dir, 'actual.png'), 10, 12);
+    expect(await compareSnapshots(baseline, actual, path.join(dir, 'diff.png'), DEFAULT_VISUAL))
+      .toMatchObject({ status: 'mismatch', reason: 'size 10x12 differs from baseline 10x10' });
+  });
+
+  test('listSnapshots finds every PNG below a directory, sorted', async () => {
+    await writePng(path.join(dir, 'passport', 'Live', 'Pixel 5', 'login.png'), 1, 1);
+    await writePng(path.join(dir, 'form', 'Drop', 'Pixel 5', 'valid-email.png'), 1, 1);
+    await fs.writeFile(path.join(dir, 'form', 'notes.txt'), '');
+    expect(await listSnapshots(dir)).toEqual([
+      path.join('form', 'Drop', 'Pixel 5', 'valid-email.png'),
+      path.join('passport', 'Live', 'Pixel 5', 'login.png')
+    ]);
+    expect(await listSnapshots(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  test('clearSnapshots removes one runner\'s snapshots and diffs only', async () => {
+    const actualDir = path.join(dir, 'actual');
+    const diffDir = path.join(dir, 'diffs');
+    await writePng(path.join(actualDir, 'form', 'Drop', 'iphone-se', 'valid-email.png'), 1, 1);
+    await writePng(path.join(diffDir, 'form', 'Drop', 'iphone-se', 'valid-email.png'), 1, 1);
+    await writePng(path.join(actualDir, 'passport', 'passport', 'pixel-5', 'login.png'), 1, 1);
+    await clearSnapshots('form', { actualDir, diffDir });
+    await clearSnapshots('form', { actualDir, diffDir });
+    expect(await listSnapshots(actualDir)).toEqual([path.join('passport', 'passport', 'pixel-5', 'login.png')]);
+    expect(await listSnapshots(diffDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,40 @@
+const { test, expect } = require('@playwright/test');
+const { DEFAULT_TIMEOUTS, createWaits } = require('../lib/waits');
+
+const after = (ms, value) => () => new Promise(resolve => setTimeout(() => resolve(value), ms));
+const never = () => new Promise(() => {});
+
+test.describe('createWaits', () => {
+  test('lets the suite file override single timeouts', () => {
+    const waits = createWaits({ timeouts: { submit: 5000 } });
+    expect(waits.timeouts).toEqual({ ...DEFAULT_TIMEOUTS, submit: 5000 });
+    expect(waits.demoPacing).toBe(false);
+  });
+
+  test('only paces when demo pacing is on', async () => {
+    const paused = [];
+    const page = { waitForTimeout: async ms => paused.push(ms) };
+    await createWaits().pace(page, 1500);
+    await createWaits({ demoPacing: true }).pace(page, 1500);
+    expect(paused).toEqual([1500]);
+  });
+});
+
+test.describe('any', () => {
+  const waits = createWaits();
+
+  test('resolves to the first condition that holds', async () => {
+    expect(await waits.any({ error: after(30), success: after(5), redirect: never }, 1000)).toBe('success');
+  });
+
+  test('ignores conditions that fail and resolves null on timeout', async () => {
+    const rejected = () => Promise.reject(new Error('closed'));
+    expect(await waits.any({ error: rejected, success: never }, 20)).toBeNull();
+  });
+
+  test('passes its timeout to every condition', async () => {
+    const seen = [];
+    await waits.any({ a: timeout => { seen.push(timeout); return Promise.resolve(); } }, 250);
+    expect(seen).toEqual([250]);
+  });
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { test, expect } = require('@playwright/test');
+const { MOCK_WEBHOOK_SECRET, startMockServer } = require('../lib/mock-server');
+const { createRun, finishItem, finishRun, finishSession, planItem, planSession, startItem } = require('../lib/results');
+const { createWebhook, postWebhook, runPayload, sessionPayload, signPayload, verifySignature } = require('../lib/webhook');
+
+const SECRET = 'whsec-test';
+const BODY = JSON.stringify({ event: 'run.finished', runId: '20261019T142139Z-3f9a1c' });
+
+test.describe('signPayload', () => {
+  test('is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update(`1760883699.${BODY}`).digest('hex');
+    expect(signPayload(SECRET, 1760883699, BODY)).toBe(`sha256=${expected}`);
+  });
+});
+
+test.describe('verifySignature', () => {
+  const headers = timestamp => ({ 'x-webhook-timestamp': String(timestamp), 'x-webhook-signature': signPayload(SECRET, timestamp, BODY) });
+
+  test('accepts a delivery signed with the secret', () => {
+    expect(verifySignature(SECRET, headers(1760883699), BODY)).toBe(true);
+  });
+
+  test('rejects another secret, body or timestamp', () => {
+    expect(verifySignature('other-secret', headers(1760883699), BODY)).toBe(false);
+    expect(verifySignature(SECRET, headers(1760883699), BODY.replace('run.finished', 'session.finished'))).toBe(false);
+    expect(verifySignature(SECRET, { ...headers(1760883699), 'x-webhook-timestamp': '1760883700' }, BODY)).toBe(false);
+  });
+
+  test('rejects unsigned and malformed deliveries', () => {
+    expect(verifySignature(SECRET, {}, BODY)).toBe(false);
+    expect(verifySignature(SECRET, { 'x-webhook-timestamp': '1760883699' }, BODY)).toBe(false);
+    expect(verifySignature(SECRET, { 'x-webhook-timestamp': '1760883699', 'x-webhook-signature': 'sha256=abc' }, BODY)).toBe(false);
+  });
+});
+
+test.describe('postWebhook', () => {
+  let mock;
+  test.beforeEach(async () => {
+    mock = await startMockServer({ port: 0 });
+  });
+  test.afterEach(async () => {
+    await mock.close();
+  });
+
+  test('retries a refused delivery under the same id and signs every attempt', async () => {
+    const result = await postWebhook(`${mock.url}/webhook?fail=1`, 'run.finished', { runId: 'r1' }, { secret: MOCK_WEBHOOK_SECRET, backoffMs: 1 });
+    expect(result).toEqual({ ok: true, status: 200, attempts: 2, error: null });
+    expect(mock.deliveries.map(({ attempt, status, signature }) => ({ attempt, status, signature }))).toEqual([
+      { attempt: 1, status: 503, signature: 'valid' },
+      { attempt: 2, status: 200, signature: 'valid' }
+    ]);
+    expect(mock.deliveries[1].delivery).toBe(mock.deliveries[0].delivery);
+    expect(mock.deliveries[1].payload).toEqual({ runId: 'r1' });
+  });
+
+  test('gives up after the last retry without throwing', async () => {
+    const result = await postWebhook(`${mock.url}/webhook?fail=5`, 'run.finished', {}, { retries: 1, backoffMs: 1 });
+    expect(result).toEqual({ ok: false, status: 503, attempts: 2, error: 'HTTP 503' });
+    expect(mock.deliveries[0].signature).toBe('unsigned');
+  });
+
+  test('does not retry a client error', async () => {
+    const result = await postWebhook(`${mock.url}/nowhere`, 'run.finished', {}, { backoffMs: 1 });
+    expect(result.attempts).toBe(1);
+    expect(result.status).toBe(405);
+  });
+});
+
+test('createWebhook is null without a URL', () => {
+  expect(createWebhook({ url: null })).toBeNull();
+  expect(createWebhook({ url: 'https://n8n.example.com/hook', secret: 's' }).signed).toBe(true);
+});
+
+test.describe('payloads', () => {
+  function finishedRun() {
+    const run = createRun('form', [{ name: 'Drop', url: 'https://mint.poap.studio/drop' }]);
+    const pixel = planSession(run, { target: 'Drop', device: 'Pixel 5' });
+    const iphone = planSession(run, { target: 'Drop', device: 'iPhone 12' });
+    const ok = planItem(run, { target: 'Drop', device: 'Pixel 5', step: 'ok' });
+    const bad = planItem(run, { target: 'Drop', device: 'Pixel 5', step: 'bad' });
+    startItem(ok);
+    finishItem(ok, { status: 'pass' });
+    startItem(bad);
+    finishItem(bad, { status: 'fail', message: 'Wrong error text' });
+    finishSession(run, pixel);
+    finishSession(run, iphone, { error: 'Browser closed' });
+    finishRun(run);
+    return { run, pixel };
+  }
+
+  test('a session payload counts only that session', () => {
+    const { run, pixel } = finishedRun();
+    const payload = sessionPayload(run, pixel);
+    expect(payload.event).toBe('session.finished');
+    expect(payload.session.label).toBe('Pixel 5');
+    expect(payload.totals).toEqual({ total: 2, pass: 1, fail: 1, error: 0, skipped: 0, flaky: 0 });
+    expect(payload.failures.map(failure => failure.step)).toEqual(['bad']);
+  });
+
+  test('a run payload lists uncharged session errors as failures', () => {
+    const { run } = finishedRun();
+    const payload = runPayload(run, { outcome: { code: 1, reason: '1 failed' }, artifacts: {} });
+    expect(payload.event).toBe('run.finished');
+    expect(payload.failures.map(({ device, step, message }) => ({ device, step, message }))).toEqual([
+      { device: 'Pixel 5', step: 'bad', message: 'Wrong error text' },
+      { device: 'iPhone 12', step: 'device', message: 'Browser closed' }
+    ]);
+  });
+});
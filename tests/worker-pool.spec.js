@@ -0,0 +1,41 @@
+const { test, expect } = require('@playwright/test');
+const { runPool } = require('../lib/worker-pool');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test.describe('runPool', () => {
+  test('keeps at most `limit` workers in flight and starts items in order', async () => {
+    let running = 0;
+    let peak = 0;
+    const started = [];
+    await runPool([1, 2, 3, 4, 5], 2, async item => {
+      started.push(item);
+      running++;
+      peak = Math.max(peak, running);
+      await tick();
+      running--;
+    });
+    expect(peak).toBe(2);
+    expect(started).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('opens no more lanes than there are items', async () => {
+    const lanes = new Set();
+    await runPool(['a', 'b'], 8, async (item, index, lane) => {
+      lanes.add(lane);
+    });
+    expect([...lanes].sort()).toEqual([0, 1]);
+  });
+
+  test('finishes every item before rethrowing the first error', async () => {
+    const done = [];
+    const pool = runPool([1, 2, 3, 4], 2, async item => {
+      await tick();
+      if (item === 1) throw new Error('first');
+      if (item === 3) throw new Error('second');
+      done.push(item);
+    });
+    await expect(pool).rejects.toThrow('first');
+    expect(done.sort()).toEqual([2, 4]);
+  });
+});
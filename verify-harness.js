@@ -0,0 +1,225 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { VERIFY_USAGE, parseVerifyArgs } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/exit-codes');
+const { DEFAULT_PORT, startMockServer } = require('./lib/mock-server');
+const { deviceLabel } = require('./lib/results');
+
+const MOCK_SUITE = path.join(__dirname, 'suite.mock.json');
+
+// A hung runner must not hang CI
+const RUNNER_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How every scenario or step of suite.mock.json has to end on the mock, per
+// target; '*' covers every step of a target. Expectations hold on every
+// device. `message` is a fragment of the item's message that pins down the
+// runner branch that produced the result.
+const EXPECTED = {
+  form: {
+    script: 'poap-form-test.js',
+    resultsPath: './test-results.json',
+    exitCode: EXIT_CODES.FAILED,
+    targets: {
+      'Mock-Drop': {
+        'already-used-email': { status: 'pass', message: 'Error detected: You already have this collectible' },
+        'bad-format-email': { status: 'pass', message: 'Error detected: Wrong format' },
+        'invalid-eth': { status: 'pass', message: 'valid ETH' },
+        'invalid-ens': { status: 'pass', message: 'valid ENS' },
+        'valid-unique-email': { status: 'pass', message: 'and its claim link opened' },
+        'claim-email-missing': { status: 'fail', message: 'no claim email reached' },
+        'redirect-success': { status: 'pass', message: 'submitted successfully and redirected' },
+        'silent-expecting-error': { status: 'pass', message: 'did not redirect (error assumed)' },
+        'success-expecting-error': { status: 'fail', message: 'succeeded when it should have shown an error' },
+        'redirect-expecting-error': { status: 'fail', message: 'redirected when it should have shown an error' },
+        'error-expecting-success': { status: 'fail', message: 'Unexpected error: You already have this collectible' },
+        'workflow-failure': { status: 'fail', message: 'workflow call(s) failed' },
+        'no-response': { status: 'fail', message: 'did not show success or redirect' },
+        'flaky-success': { status: 'pass', flaky: true, message: 'Success message: CONGRATULATIONS' },
+        'offline-after-submit': { status: 'pass', message: 'Connection lost' },
+        // One per required field of the drop, left empty
+        'required-name': { status: 'pass', message: 'Error detected: Name is required' },
+        'required-terms': { status: 'pass', message: 'Error detected: Please accept the terms' },
+        'required-email': { status: 'pass', message: 'Error detected: Email is required' },
+        // Generated inputs; the mock does not check EIP-55 checksums, which
+        // the reference validator reports as a disagreement
+        'gen-eth-valid-1': { status: 'pass', message: 'Success message: CONGRATULATIONS' },
+        'gen-eth-bad-checksum-1': { status: 'fail', message: 'the reference validator rejects it (EIP-55 checksum mismatch)' },
+        'gen-eth-wrong-length-1': { status: 'pass', message: 'valid ETH' },
+        'gen-ens-malformed-1': { status: 'pass', message: 'valid ENS' },
+        'gen-email-plus-1': { status: 'pass', message: 'Success message: CONGRATULATIONS' },
+        'gen-whitespace-1': { status: 'pass', message: 'Success message: CONGRATULATIONS' }
+      },
+      'Mock-Broken-Drop': {
+        '*': { status: 'error', message: 'I want this' }
+      }
+    }
+  },
+  passport: {
+    script: 'passport-navigation-test.js',
+    resultsPath: './passport-test-results.json',
+    exitCode: EXIT_CODES.OK,
+    targets: {
+      Passport: {
+        start: { status: 'pass', message: 'Start opened the login page' },
+        validation_eth: { status: 'pass', message: 'Validation error shown' },
+        validation_ens: { status: 'pass', message: 'Validation error shown' },
+        login: { status: 'pass', message: 'Logged in' },
+        collection: { status: 'pass', message: 'Opened a collectible' },
+        benefits: { status: 'pass', message: 'Opened the first benefit' },
+        hunt: { status: 'pass', message: 'Opened the first hunt' },
+        leaderboard: { status: 'pass', flaky: true, message: 'Leaderboard shows' },
+        scan: { status: 'pass', message: 'Opened Scan' },
+        settings: { status: 'pass', message: 'signed out' }
+      }
+    }
+  }
+};
+
+// Runners write every output relative to their working directory, `cwd`
+function runRunner(script, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, script), '--config', MOCK_SUITE], { stdio: 'inherit', cwd });
+    const timer = setTimeout(() => child.kill(), RUNNER_TIMEOUT_MS);
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      resolve(signal ? `killed by ${signal}` : code);
+    });
+  });
+}
+
+// Compare one results file with its expectations; returns problem lines
+function checkResults(run, expected) {
+  const problems = [];
+  for (const item of run.items) {
+    const label = `${item.target} / ${deviceLabel(item)} / ${item.step}`;
+    const steps = expected.targets[item.target] || {};
+    const want = steps[item.step] || steps['*'];
+    if (!want) {
+      problems.push(`${label}: no expectation for this item`);
+      continue;
+    }
+    const wrong = [];
+    if (item.status !== want.status) wrong.push(`status ${item.status}, expected ${want.status}`);
+    if (Boolean(item.flaky) !== Boolean(want.flaky)) wrong.push(item.flaky ? 'flaky, expected a first-try result' : 'not flaky, expected flaky');
+    if (want.message && !String(item.message).includes(want.message)) wrong.push(`message "${item.message}" lacks "${want.message}"`);
+    if (wrong.length > 0) {
+      problems.push(`${label}: ${wrong.join('; ')}`);
+    } else {
+      console.log(`  ✅ ${label}: ${item.status}${item.flaky ? ' (flaky)' : ''}`);
+    }
+  }
+  for (const [target, steps] of Object.entries(expected.targets)) {
+    for (const step of Object.keys(steps)) {
+      if (step !== '*' && !run.items.some(item => item.target === target && item.step === step)) {
+        problems.push(`${target} / ${step}: expected but not in the results`);
+      }
+    }
+  }
+  return problems;
+}
+
+// Check the webhook deliveries the mock received during one run: all signed
+// with the mock's secret, the refused first attempt retried, one accepted
+// session.finished per session and one run.finished matching the results
+function checkDeliveries(deliveries, run, exitCode) {
+  const problems = [];
+  const accepted = deliveries.filter(delivery => delivery.status === 200);
+  const unsigned = deliveries.filter(delivery => delivery.signature !== 'valid');
+  if (unsigned.length > 0) {
+    problems.push(`webhook: ${unsigned.length} deliveries with a ${unsigned[0].signature} signature`);
+  }
+  if (!deliveries.some(delivery => delivery.attempt > 1)) {
+    problems.push('webhook: the refused first attempt was never retried');
+  }
+  const sessions = accepted.filter(delivery => delivery.event === 'session.finished');
+  if (sessions.length !== run.sessions.length) {
+    problems.push(`webhook: ${sessions.length} session.finished deliveries, expected ${run.sessions.length}`);
+  }
+  const runs = accepted.filter(delivery => delivery.event === 'run.finished');
+  if (runs.length !== 1) {
+    problems.push(`webhook: ${runs.length} run.finished deliveries, expected 1`);
+    return problems;
+  }
+  const { payload } = runs[0];
+  if (!payload || payload.runId !== run.runId) {
+    problems.push(`webhook: run.finished is for run ${payload && payload.runId}, expected ${run.runId}`);
+  } else if (JSON.stringify(payload.totals) !== JSON.stringify(run.totals)) {
+    problems.push(`webhook: run.finished totals ${JSON.stringify(payload.totals)} differ from the results file`);
+  } else if (payload.outcome.code !== exitCode) {
+    problems.push(`webhook: run.finished exit code ${payload.outcome.code}, runner exited ${exitCode}`);
+  } else {
+    console.log(`  ✅ webhook: ${deliveries.length} deliveries, ${payload.failures.length} failures reported`);
+  }
+  return problems;
+}
+
+// Run each runner against the mock and check every result against EXPECTED
+(async () => {
+  let args;
+  try {
+    args = parseVerifyArgs();
+  } catch (error) {
+    console.error(`\n❌ ${error.message}\n`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+  if (args.help) {
+    console.log(VERIFY_USAGE);
+    return;
+  }
+
+  const outputDir = args.output ? path.resolve(args.output) : await fs.mkdtemp(path.join(os.tmpdir(), 'poap-harness-'));
+  await fs.mkdir(outputDir, { recursive: true });
+  const mock = await startMockServer({ port: DEFAULT_PORT });
+  console.log(`\n🧪 Mock server listening on ${mock.url}`);
+  console.log(`📁 Runner output: ${outputDir}\n`);
+
+  const runners = Object.keys(EXPECTED).filter(runner => !args.runner || args.runner === runner);
+  const problems = [];
+  let unrunnable = false;
+  try {
+    for (const runner of runners) {
+      const expected = EXPECTED[runner];
+      const resultsPath = path.join(outputDir, expected.resultsPath);
+      await fs.rm(resultsPath, { force: true });
+      mock.deliveries.length = 0;
+      console.log(`\n▶️  ${runner}: node ${expected.script} --config ${path.relative('.', MOCK_SUITE)}\n`);
+      const exitCode = await runRunner(expected.script, outputDir);
+
+      let run;
+      try {
+        run = JSON.parse(await fs.readFile(resultsPath, 'utf8'));
+      } catch (error) {
+        problems.push(`${runner}: no results (runner exit ${exitCode}): ${error.message}`);
+        unrunnable = true;
+        continue;
+      }
+
+      console.log(`\n🔎 Checking ${runner} results against the mock's expectations:\n`);
+      problems.push(...checkResults(run, expected).map(problem => `${runner}: ${problem}`));
+      problems.push(...checkDeliveries(mock.deliveries, run, exitCode).map(problem => `${runner}: ${problem}`));
+      if (exitCode !== expected.exitCode) {
+        problems.push(`${runner}: exit code ${exitCode}, expected ${expected.exitCode}`);
+      }
+    }
+  } finally {
+    await mock.close();
+  }
+
+  if (problems.length > 0) {
+    console.log(`\n❌ ${problems.length} unexpected result(s):`);
+    for (const problem of problems) {
+      console.log(`  - ${problem}`);
+    }
+    console.log('');
+    process.exitCode = unrunnable ? EXIT_CODES.CRASHED : EXIT_CODES.FAILED;
+    return;
+  }
+  console.log('\n🎉 Every scenario and step ended as the mock intends\n');
+})().catch(error => {
+  console.error(`\n💥 Harness verification crashed: ${error.stack || error.message}\n`);
+  process.exitCode = EXIT_CODES.CRASHED;
+});